@@ -1,4 +1,6 @@
 const express = require('express');
+const { requestContext } = require('../middleware/requestContext');
+const locale = require('../middleware/locale');
 
 // Load environment variables (for local development)
 if (process.env.NODE_ENV !== 'production') {
@@ -7,6 +9,10 @@ if (process.env.NODE_ENV !== 'production') {
 
 const app = express();
 
+// Vercel's edge proxy sits in front of the function; without this every
+// request would share its IP for sign-in lockouts
+app.set('trust proxy', 1);
+
 console.log('Vercel function starting...');
 
 // Basic middleware - IMPORTANT: Don't parse multipart/form-data with body parsers
@@ -15,6 +21,12 @@ console.log('Vercel function starting...');
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Per-request context for the audit log
+app.use(requestContext);
+
+// Response language from ?lang= / Accept-Language
+app.use(locale);
+
 // CORS middleware - Allow all necessary headers for file uploads
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -184,6 +196,19 @@ const feedbackRoutes = require('../routes/feedback');
 const serviceRoutes = require('../routes/services');
 const blogRoutes = require('../routes/blogs');
 const clinicInfoRoutes = require('../routes/clinicInfo');
+const appointmentRoutes = require('../routes/appointments');
+const searchRoutes = require('../routes/search');
+const securitySettingsRoutes = require('../routes/securitySettings');
+const auditLogRoutes = require('../routes/auditLogs');
+const trashRoutes = require('../routes/trash');
+const translationRoutes = require('../routes/translations');
+const mediaRoutes = require('../routes/media');
+const contactRoutes = require('../routes/contact');
+const inquiryRoutes = require('../routes/inquiries');
+const newsletterRoutes = require('../routes/newsletter');
+const invitationRoutes = require('../routes/invitations');
+// Background jobs (scheduled publishing, etc.) are triggered by Vercel Cron here
+const cronRoutes = require('../routes/cron');
 
 // Load results routes with error handling
 let resultsRoutes;
@@ -215,6 +240,15 @@ try {
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('../config/swagger');
 
+// Files stored by the local storage driver. Serverless file systems are not
+// persistent, so this only helps while an instance stays warm; use Cloudinary
+// or S3 in production.
+const localUploads = require('../storage/local');
+app.use(localUploads.ROUTE, localUploads.serve());
+if (process.env.STORAGE_DRIVER === 'local') {
+  console.warn('⚠️ STORAGE_DRIVER=local on a serverless deployment: uploaded files are lost when the instance is recycled');
+}
+
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   explorer: true,
   customCss: '.swagger-ui .topbar { display: none }',
@@ -236,6 +270,18 @@ app.use('/api/feedback', checkDBConnection, feedbackRoutes);
 app.use('/api/services', checkDBConnection, serviceRoutes);
 app.use('/api/blogs', checkDBConnection, blogRoutes);
 app.use('/api/clinic-info', checkDBConnection, clinicInfoRoutes);
+app.use('/api/appointments', checkDBConnection, appointmentRoutes);
+app.use('/api/search', checkDBConnection, searchRoutes);
+app.use('/api/security-settings', checkDBConnection, securitySettingsRoutes);
+app.use('/api/audit-logs', checkDBConnection, auditLogRoutes);
+app.use('/api/trash', checkDBConnection, trashRoutes);
+app.use('/api/translations', checkDBConnection, translationRoutes);
+app.use('/api/media', checkDBConnection, mediaRoutes);
+app.use('/api/contact', checkDBConnection, contactRoutes);
+app.use('/api/inquiries', checkDBConnection, inquiryRoutes);
+app.use('/api/newsletter', checkDBConnection, newsletterRoutes);
+app.use('/api/invitations', checkDBConnection, invitationRoutes);
+app.use('/api/cron', checkDBConnection, cronRoutes);
 
 // Register results routes - CRITICAL: Must be registered BEFORE the 404 handler
 console.log('═══════════════════════════════════════════════════════');
@@ -289,6 +335,17 @@ app.get('/', (req, res) => {
       blogs: '/api/blogs',
       clinicInfo: '/api/clinic-info',
       results: '/api/results',
+      appointments: '/api/appointments',
+      search: '/api/search',
+      securitySettings: '/api/security-settings',
+      auditLogs: '/api/audit-logs',
+      trash: '/api/trash',
+      translations: '/api/translations',
+      media: '/api/media',
+      contact: '/api/contact',
+      inquiries: '/api/inquiries',
+      newsletter: '/api/newsletter',
+      invitations: '/api/invitations',
       docs: '/api-docs'
     }
   });
@@ -0,0 +1,24 @@
+// Languages the public site is served in.
+//
+// Content in the default locale lives in each model's regular fields; other
+// locales are stored per document under `translations` (see
+// utils/translationsPlugin.js). Read lazily so config.env is loaded first.
+
+const parseLocales = (value) => String(value || '')
+  .split(',')
+  .map((locale) => locale.trim().toLowerCase())
+  .filter(Boolean);
+
+const getDefaultLocale = () => parseLocales(process.env.DEFAULT_LOCALE)[0] || 'en';
+
+// Always includes the default locale, listed first
+const getSupportedLocales = () => [...new Set([getDefaultLocale(), ...parseLocales(process.env.SUPPORTED_LOCALES)])];
+
+// Locales that can hold translations
+const getTranslationLocales = () => getSupportedLocales().slice(1);
+
+module.exports = {
+  getDefaultLocale,
+  getSupportedLocales,
+  getTranslationLocales
+};
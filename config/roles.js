@@ -0,0 +1,86 @@
+// Role-based access control
+//
+// Every protected route declares the permission it needs via
+// middleware/permit.js. Roles are ordered from most to least privileged;
+// a user may only manage accounts ranked below their own role.
+
+const ROLES = ['owner', 'admin', 'editor', 'receptionist'];
+
+const CONTENT_PERMISSIONS = [
+  'blogs:write',
+  'services:write',
+  'faqs:write',
+  'features:write',
+  'feedback:write',
+  'hero-images:write',
+  'hero-videos:write',
+  'partners:write',
+  'results:write',
+  'team:write',
+  'team-pictures:write',
+  'uploads:write',
+  'media:write',
+  'newsletter:write'
+];
+
+const APPOINTMENT_PERMISSIONS = [
+  'appointments:read',
+  'appointments:write'
+];
+
+const PERMISSIONS = [
+  ...CONTENT_PERMISSIONS,
+  ...APPOINTMENT_PERMISSIONS,
+  'inquiries:write',
+  'clinic-info:write',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'users:roles',
+  'users:invite',
+  'security-settings:write',
+  'audit-logs:read'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  admin: [
+    ...CONTENT_PERMISSIONS,
+    ...APPOINTMENT_PERMISSIONS,
+    'inquiries:write',
+    'clinic-info:write',
+    'users:read',
+    'users:write',
+    'audit-logs:read'
+  ],
+  editor: [
+    ...CONTENT_PERMISSIONS
+  ],
+  receptionist: [
+    ...APPOINTMENT_PERMISSIONS,
+    'inquiries:write'
+  ]
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+// Lower index = more privileged
+const getRank = (role) => {
+  const rank = ROLES.indexOf(role);
+  return rank === -1 ? ROLES.length : rank;
+};
+
+// Owners can manage anyone; everyone else only accounts ranked below them
+const canManageRole = (actorRole, targetRole) =>
+  actorRole === 'owner' || getRank(actorRole) < getRank(targetRole);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getPermissions,
+  canManageRole
+};
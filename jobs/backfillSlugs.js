@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const Service = require('../models/Service');
+const { generateUniqueSlug } = require('../utils/slug');
+
+const SLUGGED_MODELS = [Blog, Service];
+const BATCH_SIZE = 50;
+
+// Give blogs/services created before slugs existed a slug from their title
+const backfillSlugs = async () => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  let filled = 0;
+  for (const Model of SLUGGED_MODELS) {
+    const docs = await Model.find({ slug: { $exists: false } })
+      .setOptions({ withDeleted: true })
+      .select('cardInfo.title')
+      .limit(BATCH_SIZE);
+
+    for (const doc of docs) {
+      const slug = await generateUniqueSlug(Model, doc.cardInfo?.title, doc._id);
+      await Model.updateOne({ _id: doc._id, slug: { $exists: false } }, { $set: { slug } })
+        .setOptions({ withDeleted: true });
+      filled++;
+    }
+  }
+
+  if (filled > 0) {
+    console.log(`🔗 Generated slugs for ${filled} item(s)`);
+  }
+  return filled;
+};
+
+module.exports = backfillSlugs;
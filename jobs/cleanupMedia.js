@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { refreshReferences, purgeOrphans, getRetentionDays } = require('../utils/mediaReferences');
+
+// Recount media references, report unused files and delete the ones that
+// have been unused for longer than MEDIA_ORPHAN_RETENTION_DAYS
+const cleanupMedia = async () => {
+  if (mongoose.connection.readyState !== 1) return null;
+
+  const report = await refreshReferences();
+  const purged = await purgeOrphans();
+
+  if (report.orphaned > 0 || report.added > 0) {
+    const megabytes = (report.orphanedBytes / (1024 * 1024)).toFixed(1);
+    console.log(`🖼️  Media library: ${report.assets} asset(s), ${report.orphaned} unreferenced (${megabytes} MB), ${report.added} newly tracked`);
+  }
+  if (purged > 0) {
+    console.log(`🗑️  Deleted ${purged} media asset(s) unreferenced for more than ${getRetentionDays()} days`);
+  }
+  return { ...report, purged };
+};
+
+module.exports = cleanupMedia;
@@ -0,0 +1,64 @@
+const publishScheduledContent = require('./publishScheduled');
+const backfillSlugs = require('./backfillSlugs');
+const migrateFeedbackStatus = require('./migrateFeedbackStatus');
+const purgeTrash = require('./purgeTrash');
+const cleanupMedia = require('./cleanupMedia');
+const sendNewsletters = require('./sendNewsletters');
+
+const MINUTE = 60 * 1000;
+
+// `standalone` jobs are left out of the regular cron run and get their own
+// cron entry (?job=<name>), so their slow work never holds up the others
+const JOBS = [
+  { name: 'publish-scheduled', run: publishScheduledContent, interval: MINUTE },
+  { name: 'send-newsletters', run: sendNewsletters, interval: MINUTE, standalone: true },
+  { name: 'backfill-slugs', run: backfillSlugs, interval: 10 * MINUTE },
+  { name: 'migrate-feedback-status', run: migrateFeedbackStatus, interval: 10 * MINUTE },
+  { name: 'purge-trash', run: purgeTrash, interval: 60 * MINUTE },
+  { name: 'cleanup-media', run: cleanupMedia, interval: 6 * 60 * MINUTE }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+    return { name: job.name, success: true };
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error.message);
+    return { name: job.name, success: false, error: error.message };
+  }
+};
+
+// Long-running server: run each job on its own interval
+const startJobs = () => {
+  for (const job of JOBS) {
+    setInterval(() => runJob(job), job.interval).unref();
+  }
+  console.log(`⏰ Background jobs scheduled: ${JOBS.map((job) => job.name).join(', ')}`);
+};
+
+// Serverless deployments have no long-lived process, so a cron request
+// (GET /api/cron/jobs) runs the jobs instead. Called every minute, a job is
+// due on the minutes that are a multiple of its interval, so no state is
+// needed between invocations. Schedules that run less often (such as daily
+// crons) ask for every regular job instead (?job=all).
+const isDue = (job, now) => Math.floor(now.getTime() / MINUTE) % Math.round(job.interval / MINUTE) === 0;
+
+const findJob = (name) => JOBS.find((job) => job.name === name);
+
+const getRegularJobs = () => JOBS.filter((job) => !job.standalone);
+
+// Run the given jobs one after another, or the regular jobs due at `now`
+const runJobs = async (jobs, now = new Date()) => {
+  const results = [];
+  for (const job of jobs || getRegularJobs().filter((candidate) => isDue(candidate, now))) {
+    results.push(await runJob(job));
+  }
+  return results;
+};
+
+module.exports = {
+  startJobs,
+  findJob,
+  getRegularJobs,
+  runJobs
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback');
+
+// Statuses from before moderation existed and what they mean now
+const LEGACY_STATUSES = {
+  enable: 'approved',
+  disable: 'pending'
+};
+
+// Rewrite legacy feedback statuses, trashed items included, so old
+// documents pass validation again and hidden ones reach the moderation queue
+const migrateFeedbackStatus = async () => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  let migrated = 0;
+  for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+    const { modifiedCount } = await Feedback.collection.updateMany(
+      { status: legacy },
+      { $set: { status } }
+    );
+    migrated += modifiedCount;
+  }
+
+  if (migrated > 0) {
+    console.log(`💬 Migrated ${migrated} feedback item(s) to moderation statuses`);
+  }
+  return migrated;
+};
+
+module.exports = migrateFeedbackStatus;
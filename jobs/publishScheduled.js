@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const Service = require('../models/Service');
+
+const SCHEDULED_MODELS = [Blog, Service];
+
+// Flip every scheduled blog/service whose publishAt has passed to published
+const publishScheduledContent = async (now = new Date()) => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  let published = 0;
+  for (const Model of SCHEDULED_MODELS) {
+    const result = await Model.updateMany(
+      { status: 'scheduled', publishAt: { $lte: now } },
+      [{ $set: { status: 'published', publishedAt: '$publishAt' } }]
+    );
+    published += result.modifiedCount;
+  }
+
+  if (published > 0) {
+    console.log(`📰 Published ${published} scheduled item(s)`);
+  }
+  return published;
+};
+
+module.exports = publishScheduledContent;
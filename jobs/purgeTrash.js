@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { TRASH_TYPES, getRetentionDays, purgeDocument } = require('../utils/trash');
+
+const BATCH_SIZE = 50;
+
+// Permanently delete trashed content (and its Cloudinary files) once it has
+// been in the trash longer than TRASH_RETENTION_DAYS
+const purgeTrash = async () => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (const { Model } of Object.values(TRASH_TYPES)) {
+    const docs = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(BATCH_SIZE);
+    for (const doc of docs) {
+      await purgeDocument(doc);
+      purged++;
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} item(s) from the trash`);
+  }
+  return purged;
+};
+
+module.exports = purgeTrash;
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const { sendPendingDeliveries } = require('../utils/newsletter');
+
+// Send the next batch of queued newsletter emails
+const sendNewsletters = async () => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  const processed = await sendPendingDeliveries();
+  if (processed > 0) {
+    console.log(`📧 Processed ${processed} newsletter delivery(ies)`);
+  }
+  return processed;
+};
+
+module.exports = sendNewsletters;
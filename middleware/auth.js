@@ -1,23 +1,67 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../utils/tokens');
 
-const auth = (req, res, next) => {
+// Resolve the bearer token to an active user, or null if it is not valid
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // 2FA challenge tokens only unlock the 2FA endpoints
+  if (decoded.purpose) return null;
+
+  // Load the account so role changes and deactivation take effect immediately
+  const user = await User.findById(decoded.id).select('role isActive tokenVersion');
+  if (!user || !user.isActive) return null;
+
+  // Revoked by "log out all devices" / password reset, or its session was logged out
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return null;
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) return null;
+
+  return {
+    ...decoded,
+    id: user._id.toString(),
+    role: user.role
+  };
+};
+
+const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
-      return res.status(401).json({ 
-        message: 'No token provided, authorization denied' 
+      return res.status(401).json({
+        message: 'No token provided, authorization denied'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    const user = await authenticate(token);
+    if (!user) {
+      return res.status(401).json({
+        message: 'Token is not valid'
+      });
+    }
+
+    req.user = user;
     next();
   } catch (error) {
-    res.status(401).json({ 
-      message: 'Token is not valid' 
+    res.status(401).json({
+      message: 'Token is not valid'
     });
   }
 };
 
+// For public routes that show more to signed-in staff: sets req.user when a
+// valid token is sent, otherwise carries on anonymously
+auth.optional = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (token) {
+    try {
+      req.user = await authenticate(token) || undefined;
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
 module.exports = auth;
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Guards the job trigger endpoint. Vercel Cron sends
+// `Authorization: Bearer <CRON_SECRET>`; without CRON_SECRET the endpoint is off.
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.header('Authorization') || '');
+
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to run jobs'
+    });
+  }
+
+  next();
+};
+
+module.exports = cronAuth;
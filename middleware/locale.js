@@ -0,0 +1,11 @@
+const { resolveLocale } = require('../utils/i18n');
+
+// Sets req.locale from ?lang= or Accept-Language for translated reads
+const locale = (req, res, next) => {
+  req.locale = resolveLocale(req);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = locale;
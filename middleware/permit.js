@@ -0,0 +1,23 @@
+const { hasPermission } = require('../config/roles');
+
+// Usage: router.delete('/:id', auth, permit('blogs:write'), handler)
+// Must run after auth so that req.user.role is populated.
+const permit = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      message: 'No token provided, authorization denied'
+    });
+  }
+
+  const allowed = permissions.every((permission) => hasPermission(req.user.role, permission));
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+module.exports = permit;
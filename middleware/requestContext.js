@@ -0,0 +1,23 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Makes the current request reachable from code that has no `req` in scope,
+// such as Mongoose hooks (see utils/auditPlugin.js)
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+const getCurrentRequest = () => storage.getStore()?.req;
+
+// Multer reads the body from stream events, where the context above is lost,
+// and calls next from there. Wrapping it puts the request back in context for
+// the middleware and handlers that follow.
+const withRequestContext = (middleware) => (req, res, next) =>
+  middleware(req, res, (error) => storage.run({ req }, next, error));
+
+module.exports = {
+  requestContext,
+  getCurrentRequest,
+  withRequestContext
+};
@@ -1,7 +1,8 @@
 const multer = require('multer');
 const path = require('path');
+const { withRequestContext } = require('./requestContext');
 
-// Configure multer for memory storage (for Cloudinary)
+// Configure multer for memory storage (files are passed on to storage/index.js)
 const storage = multer.memoryStorage();
 
 // File filter
@@ -28,10 +29,10 @@ const upload = multer({
 });
 
 // Middleware for single image upload
-const uploadSingle = upload.single('image');
+const uploadSingle = withRequestContext(upload.single('image'));
 
 // Middleware for multiple image upload
-const uploadMultiple = upload.array('images', 10);
+const uploadMultiple = withRequestContext(upload.array('images', 10));
 
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
@@ -1,8 +1,10 @@
 const multer = require('multer');
 const path = require('path');
-const { uploadImage } = require('../config/cloudinary');
+const { withRequestContext } = require('./requestContext');
+const { uploadImage, toImage } = require('../storage');
+const { readFocalPoints } = require('../utils/imageProcessing');
 
-// Configure multer for memory storage (for Cloudinary)
+// Configure multer for memory storage (files are passed on to storage/index.js)
 const storage = multer.memoryStorage();
 
 // File filter for images only
@@ -28,12 +30,12 @@ const upload = multer({
 });
 
 // Middleware for uploading hero image fields
-const uploadHeroImages = upload.fields([
+const uploadHeroImages = withRequestContext(upload.fields([
   { name: 'image', maxCount: 1 },
   { name: 'mobileImage', maxCount: 1 }
-]);
+]));
 
-// Middleware to handle hero image uploads to Cloudinary
+// Middleware to handle hero image uploads to storage
 const handleHeroImageUpload = async (req, res, next) => {
   try {
     // For updates, files are optional
@@ -42,28 +44,36 @@ const handleHeroImageUpload = async (req, res, next) => {
       return next();
     }
 
+    const { points: focalPoints, error: focalPointError } = readFocalPoints(req.body, ['image', 'mobileImage']);
+    if (focalPointError) {
+      return res.status(400).json({
+        success: false,
+        message: focalPointError
+      });
+    }
+
     const { image, mobileImage } = req.files;
     const cloudinaryData = {};
 
     // Upload web image if provided
     if (image && image[0]) {
-      const imageResult = await uploadImage(image[0], 'hero-images');
-      cloudinaryData.image = {
-        public_id: imageResult.public_id,
-        url: imageResult.secure_url
-      };
+      const imageResult = await uploadImage(image[0], 'hero-images', {
+        focalPoint: focalPoints.image,
+        uploadedBy: req.user?.id
+      });
+      cloudinaryData.image = toImage(imageResult);
     }
 
     // Upload mobile image if provided
     if (mobileImage && mobileImage[0]) {
-      const mobileImageResult = await uploadImage(mobileImage[0], 'hero-images');
-      cloudinaryData.mobileImage = {
-        public_id: mobileImageResult.public_id,
-        url: mobileImageResult.secure_url
-      };
+      const mobileImageResult = await uploadImage(mobileImage[0], 'hero-images', {
+        focalPoint: focalPoints.mobileImage,
+        uploadedBy: req.user?.id
+      });
+      cloudinaryData.mobileImage = toImage(mobileImageResult);
     }
 
-    // Add Cloudinary data to request (null if no files uploaded)
+    // Add uploaded file data to request (null if no files uploaded)
     req.cloudinaryData = Object.keys(cloudinaryData).length > 0 ? cloudinaryData : null;
 
     next();
@@ -1,8 +1,10 @@
 const multer = require('multer');
 const path = require('path');
-const { uploadImage } = require('../config/cloudinary');
+const { withRequestContext } = require('./requestContext');
+const { uploadImage, toImage } = require('../storage');
+const { readFocalPoints } = require('../utils/imageProcessing');
 
-// Configure multer for memory storage (for Cloudinary)
+// Configure multer for memory storage (files are passed on to storage/index.js)
 const storage = multer.memoryStorage();
 
 // File filter for images only
@@ -28,12 +30,12 @@ const upload = multer({
 });
 
 // Middleware for single image upload
-const uploadSingleImage = upload.single('image');
+const uploadSingleImage = withRequestContext(upload.single('image'));
 
 // Middleware for multiple image upload
-const uploadMultipleImages = upload.array('images', 5);
+const uploadMultipleImages = withRequestContext(upload.array('images', 5));
 
-// Middleware to handle image upload to Cloudinary
+// Middleware to handle image upload to storage
 const handleImageUpload = async (req, res, next) => {
   try {
     if (!req.file) {
@@ -43,26 +45,34 @@ const handleImageUpload = async (req, res, next) => {
       });
     }
 
+    const { points: focalPoints, error: focalPointError } = readFocalPoints(req.body, [req.file.fieldname]);
+    if (focalPointError) {
+      return res.status(400).json({
+        success: false,
+        message: focalPointError
+      });
+    }
+
     console.log('Uploading image:', {
       originalname: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size
     });
 
-    // Upload image to Cloudinary
-    const result = await uploadImage(req.file, 'images');
+    // Upload image
+    const result = await uploadImage(req.file, 'images', {
+      focalPoint: focalPoints[req.file.fieldname],
+      uploadedBy: req.user?.id
+    });
     
     console.log('Image upload successful:', {
       public_id: result.public_id,
       url: result.secure_url
     });
     
-    // Add Cloudinary data to request
+    // Add uploaded file data to request
     req.cloudinaryData = {
-      public_id: result.public_id,
-      url: result.secure_url,
-      width: result.width,
-      height: result.height,
+      ...toImage(result),
       format: result.format,
       bytes: result.bytes
     };
@@ -1,8 +1,10 @@
 const multer = require('multer');
 const path = require('path');
-const { uploadImage } = require('../config/cloudinary');
+const { withRequestContext } = require('./requestContext');
+const { uploadImage, deleteImages, toImage } = require('../storage');
+const { readFocalPoints } = require('../utils/imageProcessing');
 
-// Configure multer for memory storage (for Cloudinary)
+// Configure multer for memory storage (files are passed on to storage/index.js)
 const storage = multer.memoryStorage();
 
 // File filter for images only
@@ -28,51 +30,65 @@ const upload = multer({
 });
 
 // Middleware for uploading multiple specific image fields
-const uploadMultipleSpecificImages = upload.fields([
+const uploadMultipleSpecificImages = withRequestContext(upload.fields([
   { name: 'cardImage', maxCount: 1 },
   { name: 'heroImage', maxCount: 1 }
-]);
+]));
 
-// Middleware to handle multiple image uploads to Cloudinary
-const handleMultipleImageUpload = async (req, res, next) => {
+// Upload the cardImage/heroImage files to storage. With `required` both
+// must be present (create); otherwise only the files sent are uploaded and
+// req.cloudinaryData holds just those (update).
+const uploadSpecificImages = ({ required }) => async (req, res, next) => {
   try {
-    if (!req.files) {
+    const { cardImage, heroImage } = req.files || {};
+
+    if (required && !req.files) {
       return res.status(400).json({
         success: false,
         message: 'No image files provided'
       });
     }
 
-    const { cardImage, heroImage } = req.files;
-
-    if (!cardImage || !heroImage) {
+    if (required && (!cardImage || !heroImage)) {
       return res.status(400).json({
         success: false,
         message: 'Both cardImage and heroImage are required'
       });
     }
 
+    const { points: focalPoints, error: focalPointError } = readFocalPoints(req.body, ['cardImage', 'heroImage']);
+    if (focalPointError) {
+      return res.status(400).json({
+        success: false,
+        message: focalPointError
+      });
+    }
+
+    req.cloudinaryData = {};
+
     // Upload card image
-    const cardImageResult = await uploadImage(cardImage[0], 'services');
-    
+    if (cardImage) {
+      const cardImageResult = await uploadImage(cardImage[0], 'services', {
+        focalPoint: focalPoints.cardImage,
+        uploadedBy: req.user?.id
+      });
+      req.cloudinaryData.cardImage = toImage(cardImageResult);
+    }
+
     // Upload hero image
-    const heroImageResult = await uploadImage(heroImage[0], 'services');
-
-    // Add Cloudinary data to request
-    req.cloudinaryData = {
-      cardImage: {
-        public_id: cardImageResult.public_id,
-        url: cardImageResult.secure_url
-      },
-      heroImage: {
-        public_id: heroImageResult.public_id,
-        url: heroImageResult.secure_url
-      }
-    };
+    if (heroImage) {
+      const heroImageResult = await uploadImage(heroImage[0], 'services', {
+        focalPoint: focalPoints.heroImage,
+        uploadedBy: req.user?.id
+      });
+      req.cloudinaryData.heroImage = toImage(heroImageResult);
+    }
 
     next();
   } catch (error) {
     console.error('Multiple image upload error:', error);
+    // Don't leave the first image behind when the second one fails
+    await deleteImages(Object.values(req.cloudinaryData || {}).map((image) => image.public_id));
     res.status(500).json({
       success: false,
       message: 'Failed to upload images',
@@ -81,6 +97,12 @@ const handleMultipleImageUpload = async (req, res, next) => {
   }
 };
 
+// Middleware to handle multiple image uploads to storage
+const handleMultipleImageUpload = uploadSpecificImages({ required: true });
+
+// Same, but both images are optional (used when updating)
+const handleOptionalMultipleImageUpload = uploadSpecificImages({ required: false });
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -117,5 +139,6 @@ const handleUploadError = (error, req, res, next) => {
 module.exports = {
   uploadMultipleSpecificImages,
   handleMultipleImageUpload,
+  handleOptionalMultipleImageUpload,
   handleUploadError
 };
@@ -1,8 +1,10 @@
 const multer = require('multer');
 const path = require('path');
-const { uploadImage } = require('../config/cloudinary');
+const { withRequestContext } = require('./requestContext');
+const { uploadImage, deleteImages, toImage } = require('../storage');
+const { readFocalPoints } = require('../utils/imageProcessing');
 
-// Configure multer for memory storage (for Cloudinary)
+// Configure multer for memory storage (files are passed on to storage/index.js)
 const storage = multer.memoryStorage();
 
 // File filter for images only
@@ -28,18 +30,17 @@ const upload = multer({
 });
 
 // Middleware for uploading before and after images
-const uploadResultsImages = upload.fields([
+const uploadResultsImages = withRequestContext(upload.fields([
   { name: 'beforeImage', maxCount: 1 },
   { name: 'afterImage', maxCount: 1 }
-]);
+]));
 
-// Middleware to handle image uploads to Cloudinary
-const handleResultsImagesUpload = async (req, res, next) => {
+// Upload the beforeImage/afterImage files to storage. With `required` both
+// must be present (create); otherwise only the files sent are uploaded and
+// req.cloudinaryData holds just those (update).
+const uploadBeforeAfterImages = ({ required }) => async (req, res, next) => {
   try {
-    console.log('handleResultsImagesUpload - Checking for files...');
-    console.log('req.files:', req.files ? Object.keys(req.files) : 'No files object');
-    
-    if (!req.files) {
+    if (required && !req.files) {
       console.error('No files object in request');
       return res.status(400).json({
         success: false,
@@ -47,9 +48,9 @@ const handleResultsImagesUpload = async (req, res, next) => {
       });
     }
 
-    const { beforeImage, afterImage } = req.files;
+    const { beforeImage, afterImage } = req.files || {};
 
-    if (!beforeImage || !beforeImage[0]) {
+    if (required && (!beforeImage || !beforeImage[0])) {
       console.error('Before image missing');
       return res.status(400).json({
         success: false,
@@ -57,7 +58,7 @@ const handleResultsImagesUpload = async (req, res, next) => {
       });
     }
 
-    if (!afterImage || !afterImage[0]) {
+    if (required && (!afterImage || !afterImage[0])) {
       console.error('After image missing');
       return res.status(400).json({
         success: false,
@@ -65,49 +66,54 @@ const handleResultsImagesUpload = async (req, res, next) => {
       });
     }
 
-    console.log('Uploading results images to Cloudinary:', {
-      beforeImage: beforeImage[0].originalname,
-      beforeImageSize: beforeImage[0].size,
-      afterImage: afterImage[0].originalname,
-      afterImageSize: afterImage[0].size
-    });
+    const { points: focalPoints, error: focalPointError } = readFocalPoints(req.body, ['beforeImage', 'afterImage']);
+    if (focalPointError) {
+      return res.status(400).json({
+        success: false,
+        message: focalPointError
+      });
+    }
+
+    req.cloudinaryData = {};
 
-    // Upload before image to Cloudinary
-    console.log('Uploading before image...');
-    const beforeImageResult = await uploadImage(beforeImage[0], 'results');
-    console.log('Before image uploaded:', beforeImageResult.public_id);
+    // Upload before image
+    if (beforeImage) {
+      const beforeImageResult = await uploadImage(beforeImage[0], 'results', {
+        focalPoint: focalPoints.beforeImage,
+        uploadedBy: req.user?.id
+      });
+      req.cloudinaryData.beforeImage = toImage(beforeImageResult);
+    }
     
-    // Upload after image to Cloudinary
-    console.log('Uploading after image...');
-    const afterImageResult = await uploadImage(afterImage[0], 'results');
-    console.log('After image uploaded:', afterImageResult.public_id);
-
-    console.log('Results images upload successful');
-
-    // Add Cloudinary data to request
-    req.cloudinaryData = {
-      beforeImage: {
-        public_id: beforeImageResult.public_id,
-        url: beforeImageResult.secure_url
-      },
-      afterImage: {
-        public_id: afterImageResult.public_id,
-        url: afterImageResult.secure_url
-      }
-    };
+    // Upload after image
+    if (afterImage) {
+      const afterImageResult = await uploadImage(afterImage[0], 'results', {
+        focalPoint: focalPoints.afterImage,
+        uploadedBy: req.user?.id
+      });
+      req.cloudinaryData.afterImage = toImage(afterImageResult);
+    }
 
     next();
   } catch (error) {
     console.error('Results images upload error:', error);
     console.error('Error stack:', error.stack);
+    // Don't leave the before image behind when the after image fails
+    await deleteImages(Object.values(req.cloudinaryData || {}).map((image) => image.public_id));
     res.status(500).json({
       success: false,
-      message: 'Failed to upload images to Cloudinary',
+      message: 'Failed to upload images',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
+// Middleware to handle image uploads to storage
+const handleResultsImagesUpload = uploadBeforeAfterImages({ required: true });
+
+// Same, but both images are optional (used when updating)
+const handleOptionalResultsImagesUpload = uploadBeforeAfterImages({ required: false });
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   console.error('handleUploadError called with error:', error);
@@ -192,6 +198,7 @@ const handleUploadError = (error, req, res, next) => {
 module.exports = {
   uploadResultsImages,
   handleResultsImagesUpload,
+  handleOptionalResultsImagesUpload,
   handleUploadError
 };
 
@@ -1,8 +1,9 @@
 const multer = require('multer');
 const path = require('path');
-const { cloudinary } = require('../config/cloudinary');
+const { withRequestContext } = require('./requestContext');
+const { uploadVideo } = require('../storage');
 
-// Configure multer for memory storage (for Cloudinary)
+// Configure multer for memory storage (files are passed on to storage/index.js)
 const storage = multer.memoryStorage();
 
 // File filter for videos only
@@ -28,12 +29,12 @@ const upload = multer({
 });
 
 // Middleware for single video upload
-const uploadSingleVideo = upload.single('video');
+const uploadSingleVideo = withRequestContext(upload.single('video'));
 
 // Middleware for multiple video upload
-const uploadMultipleVideos = upload.array('videos', 3);
+const uploadMultipleVideos = withRequestContext(upload.array('videos', 3));
 
-// Middleware to handle video upload to Cloudinary
+// Middleware to handle video upload to storage
 const handleVideoUpload = async (req, res, next) => {
   try {
     if (!req.file) {
@@ -43,18 +44,10 @@ const handleVideoUpload = async (req, res, next) => {
       });
     }
 
-    // Upload video to Cloudinary
-    const result = await cloudinary.uploader.upload(
-      `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
-      {
-        folder: 'hero-videos',
-        resource_type: 'video',
-        quality: 'auto',
-        fetch_format: 'auto'
-      }
-    );
+    // Upload video
+    const result = await uploadVideo(req.file, 'hero-videos', { uploadedBy: req.user?.id });
     
-    // Add Cloudinary data to request
+    // Add uploaded file data to request
     req.cloudinaryData = {
       public_id: result.public_id,
       url: result.secure_url,
@@ -0,0 +1,23 @@
+// One-off migration of feedback created before moderation existed:
+//   node migrate-feedback-status.js
+// 'enable' becomes 'approved' and 'disable' becomes 'pending'. The
+// migrate-feedback-status background job does the same for deployments that
+// skip this step.
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+const migrateFeedbackStatus = require('./jobs/migrateFeedbackStatus');
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.DATABASE_URL || process.env.MONGO_URL || process.env.MONGODB_CONNECTION_STRING;
+  await mongoose.connect(uri);
+
+  const migrated = await migrateFeedbackStatus();
+  console.log(`✅ ${migrated} feedback item(s) migrated`);
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to migrate feedback:', error.message);
+  process.exit(1);
+});
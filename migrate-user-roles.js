@@ -0,0 +1,38 @@
+// One-off migration of accounts created before roles existed:
+//   node migrate-user-roles.js
+// Until it runs they load with the default, least-privileged role. Accounts
+// without a stored role become admins, the access they had before roles; if
+// nobody is an owner yet, the oldest account becomes the owner.
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+const User = require('./models/User');
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.DATABASE_URL || process.env.MONGO_URL || process.env.MONGODB_CONNECTION_STRING;
+  await mongoose.connect(uri);
+
+  const { modifiedCount } = await User.collection.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'admin' } }
+  );
+  console.log(`✅ ${modifiedCount} account(s) without a role are now admin`);
+
+  if (await User.exists({ role: 'owner' })) {
+    console.log('✅ An owner already exists');
+  } else {
+    const oldest = await User.findOne().sort({ createdAt: 1, _id: 1 });
+    if (oldest) {
+      await User.updateOne({ _id: oldest._id }, { role: 'owner' });
+      console.log(`✅ ${oldest.username} (${oldest.email}) is now owner`);
+    } else {
+      console.log('❌ No accounts found; create one, then run: node set-user-role.js <email> owner');
+    }
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to migrate user roles:', error.message);
+  process.exit(1);
+});
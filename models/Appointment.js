@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const rescheduleSchema = new mongoose.Schema({
+  date: String,
+  startTime: String,
+  endTime: String,
+  location: String,
+  teamMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const appointmentSchema = new mongoose.Schema({
+  teamMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  location: {
+    type: String,
+    required: true,
+    enum: ['location1', 'location2']
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  // Dates and times are clinic-local (clinic info `timezone`, else CLINIC_TIMEZONE)
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_REGEX, 'Date must be in YYYY-MM-DD format']
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'End time must be in HH:mm format']
+  },
+  patient: {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 100
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxLength: 200
+    },
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 20
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxLength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    default: 'pending'
+  },
+  confirmedAt: Date,
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  rescheduleHistory: [rescheduleSchema]
+}, {
+  timestamps: true
+});
+
+// Statuses that still occupy a slot in the dentist's calendar
+appointmentSchema.statics.ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+appointmentSchema.index({ teamMember: 1, date: 1, status: 1 });
+
+// A dentist's slot can only be held by one active appointment. Enforced by
+// MongoDB (partial indexes with $in need 6.0+) so concurrent bookings and
+// reschedules cannot both win; the loser gets a duplicate key error.
+appointmentSchema.index(
+  { teamMember: 1, date: 1, startTime: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: appointmentSchema.statics.ACTIVE_STATUSES } }
+  }
+);
+
+appointmentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One entry per document created, updated or deleted during an admin request.
+// Written by utils/auditPlugin.js, never edited afterwards.
+const auditLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Field-level changes for updates
+  changes: [changeSchema],
+  // Full snapshots for creates (after) and deletes (before)
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  method: String,
+  route: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ model: 1, documentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
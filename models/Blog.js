@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { PUBLICATION_STATUSES } = require('../utils/publishing');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
 
 const paraSchema = new mongoose.Schema({
   heading: {
@@ -38,28 +43,10 @@ const blogSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
-    image: {
-      public_id: {
-        type: String,
-        required: true
-      },
-      url: {
-        type: String,
-        required: true
-      }
-    }
+    image: imageField()
   },
   blogContent: {
-    heroImage: {
-      public_id: {
-        type: String,
-        required: true
-      },
-      url: {
-        type: String,
-        required: true
-      }
-    },
+    heroImage: imageField(),
     title: {
       type: String,
       required: true,
@@ -82,6 +69,26 @@ const blogSchema = new mongoose.Schema({
       }
     }]
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Previous slugs, kept so old URLs can redirect to the current one
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: PUBLICATION_STATUSES,
+    default: 'published'
+  },
+  publishAt: Date,
+  publishedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -90,4 +97,38 @@ const blogSchema = new mongoose.Schema({
   timestamps: true
 });
 
+blogSchema.index({ status: 1, publishAt: 1 });
+blogSchema.index({ slugHistory: 1 });
+
+// Full-text search (GET /api/search); titles rank above body text
+blogSchema.index({
+  'blogContent.title': 'text',
+  'blogContent.description': 'text',
+  'blogContent.paras.heading': 'text',
+  'blogContent.paras.content': 'text',
+  'blogContent.pointParas.heading': 'text',
+  'blogContent.pointParas.sentences': 'text'
+}, {
+  name: 'blog_text_search',
+  weights: {
+    'blogContent.title': 10,
+    'blogContent.description': 5,
+    'blogContent.paras.heading': 3,
+    'blogContent.pointParas.heading': 3
+  }
+});
+
+blogSchema.plugin(translationsPlugin, {
+  fields: [
+    'cardInfo.title',
+    'cardInfo.description',
+    'blogContent.title',
+    'blogContent.description',
+    'blogContent.paras',
+    'blogContent.pointParas'
+  ]
+});
+blogSchema.plugin(softDeletePlugin, { assetPaths: ['cardInfo.image', 'blogContent.heroImage'] });
+blogSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Blog', blogSchema);
@@ -1,4 +1,114 @@
 const mongoose = require('mongoose');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { isValidDate, isValidTimeZone } = require('../utils/time');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+// An interval may run until midnight, written 24:00
+const END_TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_VALIDATOR = {
+  validator: (v) => isValidDate(v),
+  message: 'Date must be in YYYY-MM-DD format'
+};
+
+// Opening interval in clinic-local time, e.g. 09:00-13:00
+const intervalFields = {
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [END_TIME_REGEX, 'End time must be in HH:mm format (24:00 for midnight)'],
+    validate: {
+      validator: function(v) {
+        return !this.startTime || v > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  }
+};
+const intervalSchema = new mongoose.Schema(intervalFields, { _id: false });
+
+// Weekly hours: one entry per interval, so a day can have several (e.g. a lunch break)
+const weeklyIntervalSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  ...intervalFields
+}, { _id: false });
+
+// Location closed on every day from startDate to endDate, e.g. renovation
+const closureSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: true,
+    validate: DATE_VALIDATOR
+  },
+  endDate: {
+    type: String,
+    required: true,
+    validate: [DATE_VALIDATOR, {
+      validator: function(v) {
+        return !this.startDate || v >= this.startDate;
+      },
+      message: 'End date must not be before start date'
+    }]
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxLength: 200
+  }
+}, { _id: false });
+
+// Different hours for one date at one location; no intervals means closed
+const overrideSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    validate: DATE_VALIDATOR
+  },
+  intervals: [intervalSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxLength: 200
+  }
+}, { _id: false });
+
+// Public holiday for every location; no intervals means closed. Recurring
+// holidays repeat on the same month and day every year.
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    validate: DATE_VALIDATOR
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  intervals: [intervalSchema]
+}, { _id: false });
+
+const openingHoursFields = {
+  weekly: [weeklyIntervalSchema],
+  closures: [closureSchema],
+  overrides: [overrideSchema]
+};
 
 const clinicInfoSchema = new mongoose.Schema({
   name: {
@@ -57,7 +167,8 @@ const clinicInfoSchema = new mongoose.Schema({
       required: true,
       trim: true,
       maxLength: 500
-    }
+    },
+    openingHours: openingHoursFields
   },
   location2: {
     url: {
@@ -76,7 +187,8 @@ const clinicInfoSchema = new mongoose.Schema({
       required: true,
       trim: true,
       maxLength: 500
-    }
+    },
+    openingHours: openingHoursFields
   },
   socialLinks: {
     facebook: {
@@ -112,10 +224,21 @@ const clinicInfoSchema = new mongoose.Schema({
       message: 'Email must be a valid email address'
     }
   },
+  // Free-text hours for display; the structured hours below drive open status
   timings: {
     type: String,
     trim: true
   },
+  // IANA timezone of the opening hours; defaults to CLINIC_TIMEZONE
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (v) => !v || isValidTimeZone(v),
+      message: 'Timezone must be a valid IANA timezone, e.g. Asia/Karachi'
+    }
+  },
+  holidays: [holidaySchema],
   isActive: {
     type: Boolean,
     default: true
@@ -124,4 +247,15 @@ const clinicInfoSchema = new mongoose.Schema({
   timestamps: true
 });
 
+clinicInfoSchema.plugin(translationsPlugin, {
+  fields: [
+    'name',
+    'location1.description',
+    'location2.description',
+    'timings'
+  ]
+});
+clinicInfoSchema.plugin(softDeletePlugin);
+clinicInfoSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('ClinicInfo', clinicInfoSchema);
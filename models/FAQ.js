@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
 
 const faqSchema = new mongoose.Schema({
   question: {
@@ -21,4 +24,19 @@ const faqSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Full-text search (GET /api/search)
+faqSchema.index({
+  question: 'text',
+  answer: 'text'
+}, {
+  name: 'faq_text_search',
+  weights: {
+    question: 5
+  }
+});
+
+faqSchema.plugin(translationsPlugin, { fields: ['question', 'answer'] });
+faqSchema.plugin(softDeletePlugin);
+faqSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('FAQ', faqSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
 
 const feedbackSchema = new mongoose.Schema({
   username: {
@@ -31,10 +33,21 @@ const feedbackSchema = new mongoose.Schema({
     trim: true,
     maxLength: 1000
   },
+  // Public submissions start as pending and only show once approved
   status: {
     type: String,
-    enum: ['enable', 'disable'],
-    default: 'disable'
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxLength: 500
   },
   isActive: {
     type: Boolean,
@@ -44,4 +57,12 @@ const feedbackSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Older 'enable'/'disable' values are rewritten by jobs/migrateFeedbackStatus.js
+feedbackSchema.statics.PUBLIC_STATUSES = ['approved'];
+
+feedbackSchema.index({ status: 1, createdAt: -1 });
+
+feedbackSchema.plugin(softDeletePlugin);
+feedbackSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Feedback', feedbackSchema);
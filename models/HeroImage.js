@@ -1,26 +1,12 @@
 const mongoose = require('mongoose');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
 
 const heroImageSchema = new mongoose.Schema({
-  image: {
-    public_id: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    }
-  },
-  mobileImage: {
-    public_id: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    }
-  },
+  image: imageField(),
+  mobileImage: imageField({ required: false }),
   title: {
     type: String,
     required: true,
@@ -51,5 +37,9 @@ const heroImageSchema = new mongoose.Schema({
   timestamps: true
 });
 
+heroImageSchema.plugin(translationsPlugin, { fields: ['title', 'description'] });
+heroImageSchema.plugin(softDeletePlugin, { assetPaths: ['image', 'mobileImage'] });
+heroImageSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('HeroImage', heroImageSchema);
 
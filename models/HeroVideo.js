@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
 
 const heroVideoSchema = new mongoose.Schema({
   video: {
@@ -41,4 +44,8 @@ const heroVideoSchema = new mongoose.Schema({
   timestamps: true
 });
 
+heroVideoSchema.plugin(translationsPlugin, { fields: ['title', 'description'] });
+heroVideoSchema.plugin(softDeletePlugin, { assetPaths: [{ path: 'video', resourceType: 'video' }] });
+heroVideoSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('HeroVideo', heroVideoSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Messages sent through the public contact form (POST /api/contact)
+const inquirySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxLength: 200
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxLength: 20
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxLength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['new', 'contacted', 'closed'],
+    default: 'new'
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Internal notes, never shown to the sender
+  notes: {
+    type: String,
+    trim: true,
+    maxLength: 2000
+  },
+  contactedAt: Date,
+  closedAt: Date,
+  // When the clinic was emailed about the inquiry; unset if sending failed
+  notifiedAt: Date,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+inquirySchema.index({ status: 1, createdAt: -1 });
+inquirySchema.index({ assignee: 1, status: 1 });
+
+inquirySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Inquiry', inquirySchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Invitations to join the admin dashboard. The emailed link carries a signed
+// token naming the invitation (see utils/invitations.js); this record decides
+// whether it can still be used.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxLength: 200
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  // Account created from the invitation
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  return this.expiresAt <= new Date() ? 'expired' : 'pending';
+});
+
+invitationSchema.statics.pendingFilter = (now = new Date()) => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: now }
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ acceptedAt: 1, revokedAt: 1, expiresAt: 1 });
+
+invitationSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in bookkeeping for one account (`account:<email>`) or one
+// client IP (`ip:<address>`). See utils/loginThrottle.js.
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Failed attempts since the last success or lockout
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Every attempt bumps this; updates are conditional on it so concurrent
+  // attempts cannot slip past the delay or the lockout
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts so far; each one lasts twice as long as the previous
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  lastIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB forgets quiet keys on its own
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const referenceSchema = new mongoose.Schema({
+  model: String,
+  documentId: mongoose.Schema.Types.ObjectId,
+  // Where in the document the file is used, e.g. "cardInfo.image"
+  path: String
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  publicId: String,
+  url: String,
+  width: Number,
+  height: Number,
+  format: String,
+  // Set for focal-point crops, e.g. "square"
+  crop: String
+}, { _id: false });
+
+// One entry per uploaded file. Written by utils/mediaLibrary.js
+// when a file is uploaded or deleted; references are refreshed by
+// utils/mediaReferences.js.
+const mediaAssetSchema = new mongoose.Schema({
+  publicId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Storage driver holding the file (see storage/index.js)
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3'],
+    default: 'cloudinary'
+  },
+  resourceType: {
+    type: String,
+    enum: ['image', 'video', 'raw'],
+    default: 'image'
+  },
+  folder: {
+    type: String,
+    default: ''
+  },
+  format: String,
+  bytes: Number,
+  width: Number,
+  height: Number,
+  // Seconds, videos only
+  duration: Number,
+  originalName: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Resized copies generated from an image, deleted together with it
+  variants: [variantSchema],
+  references: [referenceSchema],
+  referenceCount: {
+    type: Number,
+    default: 0
+  },
+  referencesCheckedAt: Date,
+  // Set when a scan first finds the asset unused, cleared once it is used again
+  orphanedAt: Date
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ createdAt: -1 });
+mediaAssetSchema.index({ folder: 1, createdAt: -1 });
+mediaAssetSchema.index({ referenceCount: 1, orphanedAt: 1 });
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Blog post as it appeared in the newsletter when sending started
+const postSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  },
+  title: String,
+  description: String,
+  url: String,
+  imageUrl: String
+}, { _id: false });
+
+const newsletterSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 200
+  },
+  // Opening text shown above the posts
+  intro: {
+    type: String,
+    trim: true,
+    maxLength: 2000
+  },
+  blogs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  }],
+  posts: [postSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'sending', 'sent'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sendStartedAt: Date,
+  sentAt: Date,
+  // Delivery counts, updated as batches go out
+  stats: {
+    total: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+newsletterSchema.index({ status: 1, createdAt: -1 });
+
+newsletterSchema.plugin(auditPlugin, { exclude: ['posts'] });
+
+module.exports = mongoose.model('Newsletter', newsletterSchema);
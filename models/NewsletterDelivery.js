@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One per recipient of a newsletter, created when sending starts and worked
+// through in batches by jobs/sendNewsletters.js
+const newsletterDeliverySchema = new mongoose.Schema({
+  newsletter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Newsletter',
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  // `skipped` when the subscriber left before their turn came
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+newsletterDeliverySchema.index({ newsletter: 1, subscriber: 1 }, { unique: true });
+newsletterDeliverySchema.index({ newsletter: 1, status: 1 });
+newsletterDeliverySchema.index({ status: 1, newsletter: 1, _id: 1 });
+
+module.exports = mongoose.model('NewsletterDelivery', newsletterDeliverySchema);
@@ -1,16 +1,10 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
 
 const partnerSchema = new mongoose.Schema({
-  image: {
-    public_id: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    }
-  },
+  image: imageField(),
   partnerName: {
     type: String,
     required: true,
@@ -25,4 +19,7 @@ const partnerSchema = new mongoose.Schema({
   timestamps: true
 });
 
+partnerSchema.plugin(softDeletePlugin, { assetPaths: ['image'] });
+partnerSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Partner', partnerSchema);
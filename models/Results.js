@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
 
 const resultsSchema = new mongoose.Schema({
   title: {
@@ -13,33 +16,71 @@ const resultsSchema = new mongoose.Schema({
     trim: true,
     maxLength: 100 // Short description, 7 words max
   },
-  beforeImage: {
-    public_id: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    }
+  beforeImage: imageField(),
+  afterImage: imageField(),
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  // Treating dentist
+  dentist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Treatment category, e.g. "Whitening" or "Implants"
+  category: {
+    type: String,
+    trim: true,
+    maxLength: 50
+  },
+  // Position in the gallery, lowest first
+  order: {
+    type: Number,
+    default: 0
   },
-  afterImage: {
-    public_id: {
+  // Patient consent to publish the photos. Never shown publicly.
+  consent: {
+    obtainedAt: Date,
+    // Where the signed form is kept, e.g. a scan ID or file number
+    documentRef: {
       type: String,
-      required: true
+      trim: true,
+      maxLength: 200
     },
-    url: {
-      type: String,
-      required: true
-    }
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: Date
   },
+  // Published in the gallery; requires consent (see below)
   isActive: {
     type: Boolean,
-    default: true
+    default: false
   }
 }, {
   timestamps: true
 });
 
+resultsSchema.index({ isActive: 1, order: 1, createdAt: -1 });
+resultsSchema.index({ category: 1 });
+
+resultsSchema.methods.hasConsent = function () {
+  return !!(this.consent?.obtainedAt && this.consent?.documentRef);
+};
+
+// A result can only be published with the patient's consent on record.
+// Only checked when publishing or consent changes, so results created before
+// consent tracking can still be edited and trashed.
+resultsSchema.pre('validate', function () {
+  const changed = this.isNew || this.isModified('isActive') || this.isModified('consent');
+  if (changed && this.isActive && !this.hasConsent()) {
+    this.invalidate('isActive', 'Patient consent must be recorded before a result can be published');
+  }
+});
+
+resultsSchema.plugin(softDeletePlugin, { assetPaths: ['beforeImage', 'afterImage'] });
+resultsSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Results', resultsSchema);
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Numbered snapshots of a blog's or service's content. Written by
+// utils/revisions.js on every create, update and rollback.
+const revisionSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    enum: ['Blog', 'Service'],
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // baseline = content as it was before revision tracking started
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'rollback'],
+    required: true
+  },
+  // Version that a rollback restored
+  restoredFrom: Number,
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Fields that differ from the previous version
+  changedFields: [String],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ model: 1, documentId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Account security rules set by the owner - SINGLE ITEM ONLY
+const securitySettingsSchema = new mongoose.Schema({
+  // Members of these roles must enroll in two-factor authentication to sign in
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ROLES
+  }],
+  // Checked whenever a password is set (see utils/passwordPolicy.js)
+  passwordPolicy: {
+    minLength: {
+      type: Number,
+      min: 6,
+      max: 72,
+      default: 8
+    },
+    requireLowercase: {
+      type: Boolean,
+      default: true
+    },
+    requireUppercase: {
+      type: Boolean,
+      default: true
+    },
+    requireNumber: {
+      type: Boolean,
+      default: true
+    },
+    requireSymbol: {
+      type: Boolean,
+      default: false
+    },
+    // How many previous passwords cannot be used again; 0 allows reuse
+    historySize: {
+      type: Number,
+      min: 0,
+      max: 24,
+      default: 5
+    },
+    // Reject passwords containing the username or the email's local part
+    disallowPersonalInfo: {
+      type: Boolean,
+      default: true
+    },
+    // Reject well-known passwords such as "password123"
+    rejectCommon: {
+      type: Boolean,
+      default: true
+    },
+    // Ask Have I Been Pwned whether the password appeared in a breach
+    rejectBreached: {
+      type: Boolean,
+      default: false
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Load the settings document, creating it with defaults the first time
+securitySettingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+securitySettingsSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { PUBLICATION_STATUSES } = require('../utils/publishing');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
 
 const paraSchema = new mongoose.Schema({
   heading: {
@@ -38,28 +43,10 @@ const serviceSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
-    image: {
-      public_id: {
-        type: String,
-        required: true
-      },
-      url: {
-        type: String,
-        required: true
-      }
-    }
+    image: imageField()
   },
   serviceBlog: {
-    heroImage: {
-      public_id: {
-        type: String,
-        required: true
-      },
-      url: {
-        type: String,
-        required: true
-      }
-    },
+    heroImage: imageField(),
     title: {
       type: String,
       required: true,
@@ -82,6 +69,26 @@ const serviceSchema = new mongoose.Schema({
       }
     }]
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Previous slugs, kept so old URLs can redirect to the current one
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: PUBLICATION_STATUSES,
+    default: 'published'
+  },
+  publishAt: Date,
+  publishedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -90,4 +97,38 @@ const serviceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+serviceSchema.index({ status: 1, publishAt: 1 });
+serviceSchema.index({ slugHistory: 1 });
+
+// Full-text search (GET /api/search); titles rank above body text
+serviceSchema.index({
+  'serviceBlog.title': 'text',
+  'serviceBlog.description': 'text',
+  'serviceBlog.paras.heading': 'text',
+  'serviceBlog.paras.content': 'text',
+  'serviceBlog.pointParas.heading': 'text',
+  'serviceBlog.pointParas.sentences': 'text'
+}, {
+  name: 'service_text_search',
+  weights: {
+    'serviceBlog.title': 10,
+    'serviceBlog.description': 5,
+    'serviceBlog.paras.heading': 3,
+    'serviceBlog.pointParas.heading': 3
+  }
+});
+
+serviceSchema.plugin(translationsPlugin, {
+  fields: [
+    'cardInfo.title',
+    'cardInfo.description',
+    'serviceBlog.title',
+    'serviceBlog.description',
+    'serviceBlog.paras',
+    'serviceBlog.pointParas'
+  ]
+});
+serviceSchema.plugin(softDeletePlugin, { assetPaths: ['cardInfo.image', 'serviceBlog.heroImage'] });
+serviceSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Service', serviceSchema);
\ No newline at end of file
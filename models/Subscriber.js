@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Newsletter subscribers. Sign-ups stay `pending` until the address is
+// confirmed through the emailed link (double opt-in).
+const subscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxLength: 200
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxLength: 100
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'subscribed', 'unsubscribed'],
+    default: 'pending'
+  },
+  // SHA-256 of the confirmation token sent by email
+  confirmTokenHash: {
+    type: String,
+    select: false
+  },
+  confirmTokenExpire: {
+    type: Date,
+    select: false
+  },
+  // Included in every newsletter, so it is stored as is
+  unsubscribeToken: {
+    type: String,
+    select: false
+  },
+  confirmedAt: Date,
+  unsubscribedAt: Date,
+  subscribedIp: String
+}, {
+  timestamps: true
+});
+
+subscriberSchema.index({ status: 1, createdAt: -1 });
+subscriberSchema.index({ confirmTokenHash: 1 }, { sparse: true });
+subscriberSchema.index({ unsubscribeToken: 1 }, { sparse: true });
+
+subscriberSchema.plugin(auditPlugin, { exclude: ['confirmTokenHash', 'unsubscribeToken'] });
+
+module.exports = mongoose.model('Subscriber', subscriberSchema);
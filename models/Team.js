@@ -1,4 +1,47 @@
 const mongoose = require('mongoose');
+const translationsPlugin = require('../utils/translationsPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One weekly working block, e.g. Mondays 09:00-13:00 at location1
+const availabilitySchema = new mongoose.Schema({
+  location: {
+    type: String,
+    required: true,
+    enum: ['location1', 'location2']
+  },
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'End time must be in HH:mm format'],
+    validate: {
+      validator: function(v) {
+        return !this.startTime || v > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  slotDuration: {
+    type: Number,
+    default: 30,
+    min: 5,
+    max: 240
+  }
+}, { _id: false });
 
 const teamSchema = new mongoose.Schema({
   name: {
@@ -19,16 +62,8 @@ const teamSchema = new mongoose.Schema({
     trim: true,
     maxLength: 200
   },
-  image: {
-    public_id: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    }
-  },
+  image: imageField(),
+  availability: [availabilitySchema],
   isActive: {
     type: Boolean,
     default: true
@@ -37,4 +72,8 @@ const teamSchema = new mongoose.Schema({
   timestamps: true
 });
 
+teamSchema.plugin(translationsPlugin, { fields: ['designation', 'speciality'] });
+teamSchema.plugin(softDeletePlugin, { assetPaths: ['image'] });
+teamSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Team', teamSchema);
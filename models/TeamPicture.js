@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
 
 const teamPictureSchema = new mongoose.Schema({
   teamName: {
@@ -13,16 +16,7 @@ const teamPictureSchema = new mongoose.Schema({
     trim: true,
     maxLength: 500
   },
-  picture: {
-    public_id: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    }
-  },
+  picture: imageField(),
   isActive: {
     type: Boolean,
     default: true
@@ -34,4 +28,7 @@ const teamPictureSchema = new mongoose.Schema({
 // Ensure only one team picture can exist
 teamPictureSchema.index({}, { unique: true });
 
+teamPictureSchema.plugin(softDeletePlugin, { assetPaths: ['picture'] });
+teamPictureSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('TeamPicture', teamPictureSchema);
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+const auditPlugin = require('../utils/auditPlugin');
+const { imageField } = require('../utils/imageSchema');
+
+const EMAIL_MATCH = [
+  /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+  'Please add a valid email'
+];
+
+// Upper bound for SecuritySettings.passwordPolicy.historySize
+const PASSWORD_HISTORY_LIMIT = 24;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -15,10 +26,7 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Please add an email'],
     unique: true,
     lowercase: true,
-    match: [
-      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
-      'Please add a valid email'
-    ]
+    match: EMAIL_MATCH
   },
   password: {
     type: String,
@@ -26,18 +34,78 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
-  avatar: {
-    public_id: String,
-    url: String
+  // Hashes of the most recent passwords, newest last, for the password policy's reuse check
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  avatar: imageField({ required: false }),
+  // Least privileged by default; accounts created before roles existed are
+  // given theirs by migrate-user-roles.js
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'receptionist'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // TOTP two-factor authentication; secrets and backup code hashes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Generated by /api/auth/2fa/setup, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Bumped to invalidate every access token issued so far (logout everywhere, password reset)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // New address waiting to be confirmed through the emailed link
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: EMAIL_MATCH
+  },
+  emailChangeTokenHash: {
+    type: String,
+    select: false
+  },
+  emailChangeExpire: {
+    type: Date,
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   otpCode: String,
-  otpExpire: Date
+  otpExpire: Date,
+  // Codes tried against the current OTP; too many invalidate it
+  otpAttempts: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -45,13 +113,40 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  this.$locals.passwordChanged = true;
+});
+
+// Remember the new hash; $push keeps this independent of whether the
+// history was selected
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.passwordChanged) return;
+  doc.$locals.passwordChanged = false;
+
+  await doc.constructor.updateOne(
+    { _id: doc._id },
+    { $push: { passwordHistory: { $each: [doc.password], $slice: -PASSWORD_HISTORY_LIMIT } } }
+  );
 });
 
+// Whether the password matches one of the last `count` passwords
+userSchema.methods.isRecentPassword = async function(enteredPassword, count) {
+  if (!count || this.isNew) return false;
+  const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  // Accounts from before the history existed only have their current password
+  const recent = stored.passwordHistory?.length ? stored.passwordHistory.slice(-count) : [stored.password];
+  for (const hash of recent) {
+    if (await bcrypt.compare(enteredPassword, hash)) return true;
+  }
+  return false;
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -62,6 +157,7 @@ userSchema.methods.generateOTP = function() {
   const otp = Math.floor(100000 + Math.random() * 900000).toString();
   this.otpCode = otp;
   this.otpExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.otpAttempts = 0;
   return otp;
 };
 
@@ -70,4 +166,6 @@ userSchema.methods.isOTPValid = function(otp) {
   return this.otpCode === otp && this.otpExpire > Date.now();
 };
 
+userSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('User', userSchema);
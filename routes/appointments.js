@@ -0,0 +1,789 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const Team = require('../models/Team');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { bookingLimiter } = require('../middleware/rateLimit');
+const { buildSlots, findClinicHours, getAvailableSlots, findAvailableSlot } = require('../utils/appointmentSlots');
+const { isValidDate, addDays } = require('../utils/time');
+
+const router = express.Router();
+
+const LOCATIONS = ['location1', 'location2'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @swagger
+ * /api/appointments/slots:
+ *   get:
+ *     summary: Get available appointment slots for a team member
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: teamMember
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Team Member ID
+ *       - in: query
+ *         name: location
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [location1, location2]
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2024-05-20"
+ *         description: First clinic-local date (YYYY-MM-DD)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 14
+ *           default: 1
+ *         description: Number of consecutive days to return
+ *     responses:
+ *       200:
+ *         description: Available slots retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AppointmentDaySlots'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Team member not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/slots', [
+  query('teamMember').isMongoId().withMessage('A valid team member ID is required'),
+  query('location').isIn(LOCATIONS).withMessage('Location must be either location1 or location2'),
+  query('date').custom(isValidDate).withMessage('Date must be a valid YYYY-MM-DD date'),
+  query('days').optional().isInt({ min: 1, max: 14 }).withMessage('Days must be between 1 and 14')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { teamMember: teamMemberId, location, date } = req.query;
+    const days = parseInt(req.query.days) || 1;
+
+    const teamMember = await Team.findOne({ _id: teamMemberId, isActive: true });
+    if (!teamMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const clinicInfo = await findClinicHours();
+    const data = [];
+    for (let i = 0; i < days; i++) {
+      const day = addDays(date, i);
+      data.push({
+        date: day,
+        slots: await getAvailableSlots(teamMember, location, day, { clinicInfo })
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   post:
+ *     summary: Book an appointment (public)
+ *     tags: [Appointments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - teamMember
+ *               - location
+ *               - date
+ *               - startTime
+ *               - patient
+ *             properties:
+ *               teamMember:
+ *                 type: string
+ *                 example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *               location:
+ *                 type: string
+ *                 enum: [location1, location2]
+ *               service:
+ *                 type: string
+ *                 example: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *               date:
+ *                 type: string
+ *                 example: "2024-05-20"
+ *               startTime:
+ *                 type: string
+ *                 example: "10:30"
+ *               patient:
+ *                 type: object
+ *                 required:
+ *                   - name
+ *                   - email
+ *                   - phone
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "Jane Doe"
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                     example: "jane@example.com"
+ *                   phone:
+ *                     type: string
+ *                     example: "+1234567890"
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Sensitive tooth on the lower left"
+ *     responses:
+ *       201:
+ *         description: Appointment requested successfully (pending confirmation)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation error or slot not offered
+ *       404:
+ *         description: Team member not found
+ *       409:
+ *         description: Slot already booked
+ *       429:
+ *         description: Too many booking attempts
+ *       500:
+ *         description: Server error
+ */
+router.post('/', bookingLimiter, [
+  body('teamMember').isMongoId().withMessage('A valid team member ID is required'),
+  body('location').isIn(LOCATIONS).withMessage('Location must be either location1 or location2'),
+  body('service').optional().isMongoId().withMessage('Service must be a valid ID'),
+  body('date').custom(isValidDate).withMessage('Date must be a valid YYYY-MM-DD date'),
+  body('startTime').matches(TIME_REGEX).withMessage('Start time must be in HH:mm format'),
+  body('patient.name').trim().isLength({ min: 1, max: 100 }).withMessage('Patient name must be between 1 and 100 characters'),
+  body('patient.email').isEmail().withMessage('Please provide a valid email'),
+  body('patient.phone').matches(/^[\+]?[0-9\s-]{6,20}$/).withMessage('Please provide a valid phone number'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { teamMember: teamMemberId, location, service, date, startTime, patient, notes } = req.body;
+
+    const teamMember = await Team.findOne({ _id: teamMemberId, isActive: true });
+    if (!teamMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const offered = buildSlots(teamMember, location, date).some((slot) => slot.startTime === startTime);
+    if (!offered) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected time is not offered by this team member at this location'
+      });
+    }
+
+    const slot = await findAvailableSlot(teamMember, location, date, startTime);
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected slot is no longer available'
+      });
+    }
+
+    const appointment = await Appointment.create({
+      teamMember: teamMember._id,
+      location,
+      service,
+      date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      patient: {
+        name: patient.name,
+        email: patient.email,
+        phone: patient.phone
+      },
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    // Another booking took the slot between the availability check and the insert
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected slot is no longer available'
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: Get appointments (admin)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed]
+ *       - in: query
+ *         name: teamMember
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *           enum: [location1, location2]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2024-05-31"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Appointments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, permit('appointments:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.location) filter.location = req.query.location;
+    if (req.query.teamMember && mongoose.isValidObjectId(req.query.teamMember)) {
+      filter.teamMember = req.query.teamMember;
+    }
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = req.query.from;
+      if (req.query.to) filter.date.$lte = req.query.to;
+    }
+
+    // Bookings keep showing who/what they were for after a delete
+    const appointments = await Appointment.find(filter)
+      .populate({ path: 'teamMember', select: 'name designation', options: { withDeleted: true } })
+      .populate({ path: 'service', select: 'cardInfo.title', options: { withDeleted: true } })
+      .sort({ date: 1, startTime: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Appointment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: appointments.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: appointments
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get single appointment by ID (admin)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Appointment retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Appointment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, permit('appointments:read'), async (req, res) => {
+  try {
+    const appointment = mongoose.isValidObjectId(req.params.id)
+      ? await Appointment.findById(req.params.id)
+        .populate({ path: 'teamMember', select: 'name designation', options: { withDeleted: true } })
+        .populate({ path: 'service', select: 'cardInfo.title', options: { withDeleted: true } })
+      : null;
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/confirm:
+ *   put:
+ *     summary: Confirm a pending appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Appointment confirmed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Appointment is not pending
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Appointment not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/confirm', auth, permit('appointments:write'), async (req, res) => {
+  try {
+    const appointment = mongoose.isValidObjectId(req.params.id) ? await Appointment.findById(req.params.id) : null;
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending appointments can be confirmed (current status: ${appointment.status})`
+      });
+    }
+
+    appointment.status = 'confirmed';
+    appointment.confirmedAt = Date.now();
+    appointment.confirmedBy = req.user.id;
+    await appointment.save();
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   put:
+ *     summary: Cancel an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Patient called to cancel"
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Appointment cannot be cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Appointment not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/cancel', auth, permit('appointments:write'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const appointment = mongoose.isValidObjectId(req.params.id) ? await Appointment.findById(req.params.id) : null;
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!Appointment.ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment cannot be cancelled (current status: ${appointment.status})`
+      });
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancelledAt = Date.now();
+    appointment.cancelledBy = req.user.id;
+    appointment.cancellationReason = req.body.reason;
+    await appointment.save();
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   put:
+ *     summary: Move an appointment to a different slot
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - startTime
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2024-05-22"
+ *               startTime:
+ *                 type: string
+ *                 example: "14:00"
+ *               location:
+ *                 type: string
+ *                 enum: [location1, location2]
+ *                 description: Defaults to the current location
+ *               teamMember:
+ *                 type: string
+ *                 description: Defaults to the current team member
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation error or slot not offered
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Appointment or team member not found
+ *       409:
+ *         description: Slot already booked
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/reschedule', auth, permit('appointments:write'), [
+  body('date').custom(isValidDate).withMessage('Date must be a valid YYYY-MM-DD date'),
+  body('startTime').matches(TIME_REGEX).withMessage('Start time must be in HH:mm format'),
+  body('location').optional().isIn(LOCATIONS).withMessage('Location must be either location1 or location2'),
+  body('teamMember').optional().isMongoId().withMessage('Team member must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const appointment = mongoose.isValidObjectId(req.params.id) ? await Appointment.findById(req.params.id) : null;
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!Appointment.ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment cannot be rescheduled (current status: ${appointment.status})`
+      });
+    }
+
+    const { date, startTime } = req.body;
+    const location = req.body.location || appointment.location;
+    const teamMember = await Team.findOne({ _id: req.body.teamMember || appointment.teamMember, isActive: true });
+    if (!teamMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const offered = buildSlots(teamMember, location, date).some((slot) => slot.startTime === startTime);
+    if (!offered) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected time is not offered by this team member at this location'
+      });
+    }
+
+    const slot = await findAvailableSlot(teamMember, location, date, startTime, { excludeId: appointment._id });
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected slot is no longer available'
+      });
+    }
+
+    appointment.rescheduleHistory.push({
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      location: appointment.location,
+      teamMember: appointment.teamMember,
+      changedBy: req.user.id
+    });
+    appointment.teamMember = teamMember._id;
+    appointment.location = location;
+    appointment.date = date;
+    appointment.startTime = slot.startTime;
+    appointment.endTime = slot.endTime;
+    await appointment.save();
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    // Same unique slot index as booking: another appointment got there first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected slot is no longer available'
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
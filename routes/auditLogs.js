@@ -0,0 +1,208 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const router = express.Router();
+
+const AUDIT_LOG_PAGE_SIZE = '50';
+
+// Query options accepted by GET /api/audit-logs
+const AUDIT_LOG_LIST = {
+  sortable: ['createdAt'],
+  fields: ['user', 'action', 'model', 'documentId', 'changes', 'before', 'after', 'method', 'route', 'ip', 'userAgent', 'createdAt'],
+  filters: {
+    user: 'objectId',
+    model: 'string',
+    documentId: 'objectId',
+    action: 'string',
+    from: { path: 'createdAt', type: 'date', operator: 'gte' },
+    to: { path: 'createdAt', type: 'date', operator: 'lte' }
+  }
+};
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: List audit log entries
+ *     description: Every document created, updated or deleted through the admin API is recorded with the acting user, route, IP and a field-level diff. Newest first, 50 per page by default.
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only entries by this user ID
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Model name, or a comma-separated list
+ *         example: "Blog,Service"
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *         description: History of a single document
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entries on or after this date
+ *         example: "2024-06-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entries on or before this date
+ *         example: "2024-06-30T23:59:59Z"
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 50
+ *                 total:
+ *                   type: integer
+ *                   example: 1240
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, permit('audit-logs:read'), async (req, res) => {
+  try {
+    // Always paginated: the collection grows without bound
+    const query = typeof req.query.cursor === 'undefined'
+      ? { page: '1', limit: AUDIT_LOG_PAGE_SIZE, ...req.query }
+      : { limit: AUDIT_LOG_PAGE_SIZE, ...req.query };
+
+    const listQuery = parseListQuery(query, AUDIT_LOG_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: logs, meta } = await runListQuery(AuditLog, {}, listQuery, {
+      populate: { path: 'user', select: 'username email role' }
+    });
+
+    res.json({
+      success: true,
+      count: logs.length,
+      ...meta,
+      data: logs
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit-logs/{id}:
+ *   get:
+ *     summary: Get a single audit log entry
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AuditLog'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Audit log entry not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, permit('audit-logs:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    const log = await AuditLog.findById(req.params.id).populate('user', 'username email role');
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,74 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const { sendOTPEmail, sendWelcomeEmail } = require('../utils/emailService');
+const { getPermissions } = require('../config/roles');
+const {
+  sendOTPEmail,
+  sendWelcomeEmail,
+  sendEmailChangeVerification,
+  sendEmailChangedNotice
+} = require('../utils/emailService');
+const { createSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../utils/tokens');
+const { requestEmailChange, cancelEmailChange, confirmEmailChange } = require('../utils/emailChange');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const {
+  CHALLENGE_PURPOSES,
+  getIssuer,
+  generateBackupCodes,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTwoFactorCode
+} = require('../utils/twoFactor');
+const { findPendingInvitation } = require('../utils/invitations');
+const {
+  getOtpMaxAttempts,
+  beginSignIn,
+  failSignIn,
+  succeedSignIn,
+  resetAccountThrottle,
+  sendBlocked
+} = require('../utils/loginThrottle');
+const { getPasswordPolicy, validatePassword } = require('../utils/passwordPolicy');
+const { passwordResetLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+const userSummary = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  role: user.role
+});
+
+// The 2FA enrollment endpoints accept either a normal access token or, while
+// a login is waiting for mandatory enrollment, the setup challenge token
+const twoFactorSetupAuth = async (req, res, next) => {
+  const { twoFactorToken } = req.body || {};
+  if (!twoFactorToken) return auth(req, res, next);
+
+  try {
+    const user = await verifyChallengeToken(twoFactorToken, CHALLENGE_PURPOSES.setup);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor setup token is invalid or has expired'
+      });
+    }
+
+    req.user = { id: user._id.toString(), role: user.role };
+    req.twoFactorSetupLogin = true;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 };
 
 /**
@@ -19,6 +76,16 @@ const generateToken = (id) => {
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: |
+ *       When the account has two-factor authentication enabled the response carries `twoFactorRequired` and a
+ *       `twoFactorToken` instead of a session; finish with POST /api/auth/login/2fa. When the user's role requires
+ *       2FA but the account is not enrolled, `twoFactorSetupRequired` is returned and the token can be used with
+ *       POST /api/auth/2fa/setup and /api/auth/2fa/enable.
+ *
+ *       Failed attempts are counted per account and per IP. After a few failures each attempt must wait longer
+ *       (1s, 2s, 4s... up to 30s); after `LOGIN_MAX_ATTEMPTS` (default 5) the account is locked for
+ *       `LOGIN_LOCK_MINUTES` (default 15, doubling with each further lockout) and the user is emailed. An IP is
+ *       locked after `LOGIN_IP_MAX_ATTEMPTS` (default 20) failures. Blocked attempts get 429 with `Retry-After`.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -36,26 +103,1405 @@ const generateToken = (id) => {
  *                 example: "john@example.com"
  *               password:
  *                 type: string
- *                 example: "password123"
+ *                 example: "password123"
+ *     responses:
+ *       200:
+ *         description: User logged in successfully, or a two-factor step is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts; the account or IP is temporarily locked
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds to wait before trying again
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login', [
+  body('email').isEmail().withMessage('Please include a valid email'),
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const signIn = await beginSignIn(req, email);
+    if (signIn.blocked) {
+      return sendBlocked(res, signIn.blocked);
+    }
+
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      await failSignIn(signIn, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if password matches
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      await failSignIn(signIn, req, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await succeedSignIn(signIn);
+
+    // Second step: a code from the authenticator app (POST /api/auth/login/2fa)
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken: createChallengeToken(user, CHALLENGE_PURPOSES.login)
+      });
+    }
+
+    // The role requires 2FA but the user hasn't enrolled yet: only allow setup
+    if (await isTwoFactorRequired(user.role)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        twoFactorToken: createChallengeToken(user, CHALLENGE_PURPOSES.setup)
+      });
+    }
+
+    const session = await createSession(user, req);
+
+    res.json({
+      success: true,
+      ...session,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Wrong codes count towards the same account and IP lockout as wrong passwords.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *               - code
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *                 description: Token returned by POST /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or an unused backup code
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: User logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or expired token, or wrong code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts; the account or IP is temporarily locked
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds to wait before trying again
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login/2fa', [
+  body('twoFactorToken').isString().notEmpty().withMessage('Two-factor token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await verifyChallengeToken(req.body.twoFactorToken, CHALLENGE_PURPOSES.login);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor token is invalid or has expired. Please log in again.'
+      });
+    }
+
+    // Codes are guessed against the same account lockout as passwords
+    const signIn = await beginSignIn(req, user.email);
+    if (signIn.blocked) {
+      return sendBlocked(res, signIn.blocked);
+    }
+
+    const verified = await verifyTwoFactorCode(user._id, req.body.code);
+    if (!verified) {
+      await failSignIn(signIn, req, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await succeedSignIn(signIn);
+
+    const session = await createSession(user, req);
+
+    res.json({
+      success: true,
+      ...session,
+      user: userSummary(user),
+      ...(verified.method === 'backup-code' ? { backupCodesRemaining: verified.backupCodesRemaining } : {})
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                       example: true
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     required:
+ *                       type: boolean
+ *                       description: Whether the user's role must use 2FA
+ *                       example: true
+ *                     backupCodesRemaining:
+ *                       type: integer
+ *                       example: 8
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.backupCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt,
+        required: await isTwoFactorRequired(user.role),
+        backupCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.backupCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new TOTP secret and returns it with an otpauth URI to show as a QR code. 2FA is not active until the code is confirmed with POST /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *                 description: Setup token from POST /api/auth/login, when enrollment is mandatory (instead of a bearer token)
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: "otpauth://totp/Dental%20Clinic%20Admin%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Dental+Clinic+Admin&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/setup', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: getIssuer() })
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and turn on two-factor authentication
+ *     description: |
+ *       Verifies a code generated from the secret returned by /api/auth/2fa/setup and returns ten one-time backup codes.
+ *       The backup codes are only shown once. When called with a setup token during a login, the response also contains the session tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               twoFactorToken:
+ *                 type: string
+ *                 description: Setup token from POST /api/auth/login, when enrollment is mandatory (instead of a bearer token)
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Two-factor authentication enabled"
+ *                 backupCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["3f9a-c21b", "90de-7a11"]
+ *                 token:
+ *                   type: string
+ *                   description: Only when completing a login
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Only when completing a login
+ *       400:
+ *         description: Invalid code or enrollment not started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/enable', twoFactorSetupAuth, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = Date.now();
+    await user.save();
+
+    const session = req.twoFactorSetupLogin
+      ? { ...(await createSession(user, req)), user: userSummary(user) }
+      : {};
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes,
+      ...session
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the current password and a valid code. Not allowed when the user's role requires 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       400:
+ *         description: Validation error, wrong password/code, or 2FA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/disable', auth, [
+  body('password').exists().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!(await user.matchPassword(req.body.password)) || !(await verifyTwoFactorCode(user._id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Generate a new set of backup codes
+ *     description: Replaces all existing backup codes. Requires a current authenticator code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New backup codes generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 backupCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["3f9a-c21b", "90de-7a11"]
+ *       400:
+ *         description: Validation error, invalid code, or 2FA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/backup-codes', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const verified = await verifyTwoFactorCode(req.user.id, req.body.code);
+    if (!verified || verified.method !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: req.user.id }, { 'twoFactor.backupCodes': hashes });
+
+    res.json({
+      success: true,
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        avatar: user.avatar,
+        role: user.role,
+        permissions: getPermissions(user.role),
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        pendingEmail: user.pendingEmail
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   put:
+ *     summary: Update your own profile
+ *     description: |
+ *       Only the username can be changed here. Use PUT /api/auth/me/password for the password and
+ *       POST /api/auth/me/email for the email address; other fields are ignored.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *                 example: "johndoe"
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Username already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/me', auth, [
+  body('username').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const { username } = req.body;
+
+    if (username && username !== user.username) {
+      if (await User.exists({ _id: { $ne: user._id }, username })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Username already exists'
+        });
+      }
+      user.username = username;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me/password:
+ *   put:
+ *     summary: Change your own password
+ *     description: |
+ *       Requires the current password; wrong ones count towards the sign-in lockout. The new password must satisfy
+ *       the password policy. Every other session is signed out and a fresh token pair is returned for this one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: "Old-Passw0rd"
+ *               newPassword:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
+ *                 example: "N3w-Passw0rd-2024"
+ *     responses:
+ *       200:
+ *         description: Password changed; use the returned tokens from now on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password changed successfully"
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
+ *       400:
+ *         description: |
+ *           Validation error, wrong current password, or a new password that breaks the policy (each `errors` entry
+ *           carries the broken `rule`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many wrong passwords; the account or IP is temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/me/password', auth, [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    // A stolen access token must not be enough to guess the password
+    const signIn = await beginSignIn(req, user.email);
+    if (signIn.blocked) {
+      return sendBlocked(res, signIn.blocked);
+    }
+
+    if (!(await user.matchPassword(currentPassword))) {
+      await failSignIn(signIn, req, user);
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await succeedSignIn(signIn);
+
+    const policyErrors = await validatePassword(newPassword, { path: 'newPassword', user });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: policyErrors
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out everywhere else, then keep this device signed in
+    await revokeAllSessions(user._id, 'password-change');
+    const session = await createSession(await User.findById(user._id), req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      ...session
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me/email:
+ *   post:
+ *     summary: Request a change of your own email address
+ *     description: |
+ *       Requires the current password. A confirmation link is sent to the new address
+ *       (`EMAIL_CHANGE_CONFIRM_URL`, default `FRONTEND_URL/confirm-email`, with `?token=`); the email only changes
+ *       once it is confirmed with POST /api/auth/me/email/confirm. The link expires after 24 hours, and a new request
+ *       replaces the previous one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *                 example: "john.new@example.com"
+ *               password:
+ *                 type: string
+ *                 example: "Current-Passw0rd"
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent to the new address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Confirmation link sent to john.new@example.com"
+ *       400:
+ *         description: Validation error, wrong password, or the address is already yours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many wrong passwords; the account or IP is temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error or the email could not be sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/me/email', auth, [
+  body('newEmail').trim().isEmail().withMessage('Please provide a valid email'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const newEmail = req.body.newEmail.toLowerCase();
+    const user = await User.findById(req.user.id).select('+password');
+
+    const signIn = await beginSignIn(req, user.email);
+    if (signIn.blocked) {
+      return sendBlocked(res, signIn.blocked);
+    }
+
+    if (!(await user.matchPassword(req.body.password))) {
+      await failSignIn(signIn, req, user);
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await succeedSignIn(signIn);
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already exists'
+      });
+    }
+
+    const link = await requestEmailChange(user, newEmail);
+    const emailResult = await sendEmailChangeVerification(newEmail, { username: user.username, link });
+
+    if (!emailResult.success) {
+      await cancelEmailChange(user);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Confirmation link sent to ${newEmail}`
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me/email/confirm:
+ *   post:
+ *     summary: Confirm a new email address
+ *     description: |
+ *       Called by the confirmation page with the token from the emailed link; no sign-in needed, so it works on any
+ *       device. The previous address is told about the change.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The address was taken by another account in the meantime
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/me/email/confirm', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await confirmEmailChange(req.body.token);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { user, previousEmail } = result;
+    await sendEmailChangedNotice(previousEmail, { username: user.username, newEmail: user.email });
+
+    res.json({
+      success: true,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already exists'
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: Refresh tokens rotate - the token sent is revoked and a new one is returned. Reusing an already rotated token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "4f1c0a9e..."
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                   description: New access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: New refresh token; the one sent is no longer valid
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result.session
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     description: Revokes the refresh token and every access token issued for the same session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "4f1c0a9e..."
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: Logged out successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               $ref: '#/components/schemas/SuccessMessage'
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Invalid credentials
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -63,9 +1509,8 @@ const generateToken = (id) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', [
-  body('email').isEmail().withMessage('Please include a valid email'),
-  body('password').exists().withMessage('Password is required')
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -76,37 +1521,12 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
-
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    const token = generateToken(user._id);
+    // Unknown or already revoked tokens are treated as logged out
+    await revokeRefreshToken(req.body.refreshToken);
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar
-      }
+      message: 'Logged out successfully'
     });
   } catch (error) {
     console.error(error);
@@ -119,15 +1539,16 @@ router.post('/login', [
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user profile
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revokes every refresh token of the current user and invalidates all access tokens issued so far, including the one used for this request.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: All sessions revoked
  *         content:
  *           application/json:
  *             schema:
@@ -136,8 +1557,13 @@ router.post('/login', [
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of all devices"
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions that were still open
+ *                   example: 3
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -151,17 +1577,14 @@ router.post('/login', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/me', auth, async (req, res) => {
+router.post('/logout-all', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const revoked = await revokeAllSessions(req.user.id);
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar
-      }
+      message: 'Logged out of all devices',
+      revoked
     });
   } catch (error) {
     console.error(error);
@@ -177,6 +1600,7 @@ router.get('/me', auth, async (req, res) => {
  * /api/auth/forgot-password:
  *   post:
  *     summary: Send OTP for password reset
+ *     description: Limited to 5 requests per IP every 15 minutes. A new OTP replaces the previous one.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -217,6 +1641,12 @@ router.get('/me', auth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many reset requests from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -224,7 +1654,7 @@ router.get('/me', auth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/forgot-password', [
+router.post('/forgot-password', passwordResetLimiter, [
   body('email').isEmail().withMessage('Please provide a valid email')
 ], async (req, res) => {
   try {
@@ -278,6 +1708,10 @@ router.post('/forgot-password', [
  * /api/auth/verify-otp:
  *   post:
  *     summary: Verify OTP and reset password
+ *     description: |
+ *       Also signs the user out of every device by revoking all refresh and access tokens, and lifts a sign-in
+ *       lockout on the account. Each OTP can be tried `OTP_MAX_ATTEMPTS` times (default 5); after that it is
+ *       invalidated and a new one must be requested. Wrong codes count towards the per-IP sign-in lockout.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -301,8 +1735,8 @@ router.post('/forgot-password', [
  *                 example: "123456"
  *               newPassword:
  *                 type: string
- *                 minLength: 6
- *                 example: "newpassword123"
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
+ *                 example: "N3w-Passw0rd-2024"
  *     responses:
  *       200:
  *         description: Password reset successfully
@@ -316,9 +1750,11 @@ router.post('/forgot-password', [
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Password reset successfully"
+ *                   example: "Password reset successfully. Please log in again."
  *       400:
- *         description: Validation error or invalid OTP
+ *         description: |
+ *           Validation error, invalid OTP, or a password that breaks the policy. Policy errors carry the broken
+ *           `rule` in each `errors` entry.
  *         content:
  *           application/json:
  *             schema:
@@ -329,6 +1765,17 @@ router.post('/forgot-password', [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts from this IP
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds to wait before trying again
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -339,7 +1786,7 @@ router.post('/forgot-password', [
 router.post('/verify-otp', [
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
-  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -352,19 +1799,70 @@ router.post('/verify-otp', [
 
     const { email, otp, newPassword } = req.body;
 
-    const user = await User.findOne({ email });
-    if (!user) {
+    const signIn = await beginSignIn(req);
+    if (signIn.blocked) {
+      return sendBlocked(res, signIn.blocked);
+    }
+
+    const exists = await User.exists({ email });
+    if (!exists) {
+      await failSignIn(signIn, req);
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    // Rules that don't depend on the account's secrets can be checked before the code
+    const policyErrors = await validatePassword(newPassword, { path: 'newPassword', email });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: policyErrors
+      });
+    }
+
+    // Use up one of the code's attempts before checking it, so parallel
+    // guesses can't exceed the limit
+    const maxAttempts = getOtpMaxAttempts();
+    const user = await User.findOneAndUpdate(
+      { _id: exists._id, otpCode: { $ne: null }, otpAttempts: { $lt: maxAttempts } },
+      { $inc: { otpAttempts: 1 } },
+      { new: true }
+    );
+
     // Verify OTP
-    if (!user.isOTPValid(otp)) {
+    if (!user || !user.isOTPValid(otp)) {
+      await failSignIn(signIn, req);
+
+      if (user && user.otpAttempts >= maxAttempts) {
+        await User.updateOne(
+          { _id: user._id, otpCode: user.otpCode },
+          { $unset: { otpCode: 1, otpExpire: 1 }, otpAttempts: 0 }
+        );
+        return res.status(400).json({
+          success: false,
+          message: 'Too many incorrect codes. Please request a new OTP.'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP',
+        ...(user && user.otpExpire > Date.now() ? { attemptsRemaining: maxAttempts - user.otpAttempts } : {})
+      });
+    }
+
+    await succeedSignIn(signIn);
+
+    // Username and password history are only checked once the code proved who is asking
+    const accountErrors = await validatePassword(newPassword, { path: 'newPassword', user });
+    if (accountErrors.length > 0) {
+      // The code was right, so it can be used again with another password
+      await User.updateOne({ _id: user._id, otpAttempts: { $gt: 0 } }, { $inc: { otpAttempts: -1 } });
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired OTP'
+        errors: accountErrors
       });
     }
 
@@ -372,13 +1870,295 @@ router.post('/verify-otp', [
     user.password = newPassword;
     user.otpCode = undefined;
     user.otpExpire = undefined;
+    user.otpAttempts = 0;
     await user.save();
 
+    // Whoever had the old password may still hold a session
+    await revokeAllSessions(user._id, 'password-reset');
+
+    // Proving control of the mailbox lifts a lockout
+    await resetAccountThrottle(user.email);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in again.'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the rules new passwords must follow
+ *     description: Public, so password reset and accept-invite pages can show the rules before submitting.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Password policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PasswordPolicy'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/password-policy', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getPasswordPolicy()
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   get:
+ *     summary: Look up an invitation before accepting it
+ *     description: Lets the accept-invite page show who was invited and as what before asking for a username and password.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invitation link
+ *     responses:
+ *       200:
+ *         description: The invitation can be accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       example: "new.editor@example.com"
+ *                     role:
+ *                       type: string
+ *                       example: "editor"
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid or expired invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/accept-invite', async (req, res) => {
+  try {
+    const invitation = req.query.token ? await findPendingInvitation(req.query.token) : null;
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Password reset successfully'
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Accept an invitation and create the account
+ *     description: |
+ *       Creates the account with the invited email and role and sends a welcome email. The invitation can only be
+ *       used once. Log in afterwards with POST /api/auth/login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - username
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation link
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *                 example: "jane"
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
+ *                 example: "Corr3ct-Horse-Battery"
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     username:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *       400:
+ *         description: |
+ *           Validation error, invalid/expired invitation, or a password that breaks the policy. Policy errors carry
+ *           the broken `rule` in each `errors` entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Username or email already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/accept-invite', [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, username, password } = req.body;
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const policyErrors = await validatePassword(password, { username, email: invitation.email });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: policyErrors
+      });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ email: invitation.email }, { username }]
+    }).select('email');
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: existingUser.email === invitation.email ? 'Email already exists' : 'Username already exists'
+      });
+    }
+
+    const user = await User.create({
+      username,
+      email: invitation.email,
+      password,
+      role: invitation.role
+    });
+
+    invitation.acceptedAt = new Date();
+    invitation.user = user._id;
+    await invitation.save();
+
+    // The account exists either way; the welcome email is a courtesy
+    await sendWelcomeEmail(user.email, user.username);
+
+    res.status(201).json({
+      success: true,
+      user: userSummary(user)
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username or email already exists'
+      });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
     console.error(error);
     res.status(500).json({
       success: false,
@@ -1,16 +1,62 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const ClinicInfo = require('../models/ClinicInfo');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { localize } = require('../utils/i18n');
+const { isValidDate, isValidTimeZone } = require('../utils/time');
+const { getTimezone, getOpenStatus } = require('../utils/openingHours');
+const { flatten } = require('../utils/diff');
 
 const router = express.Router();
 
+const LOCATIONS = ['location1', 'location2'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Shape checks for the structured opening hours; the model checks that
+// intervals end after they start and closures after they begin
+const intervalRules = (path, label) => [
+  body(path).optional().isArray().withMessage(`${label} must be an array`),
+  body(`${path}.*.startTime`).matches(TIME_REGEX).withMessage('Start time must be in HH:mm format'),
+  body(`${path}.*.endTime`).matches(END_TIME_REGEX).withMessage('End time must be in HH:mm format (24:00 for midnight)')
+];
+
+// { location1: { openingHours: {...} } } -> { 'location1.openingHours.weekly': [...] }
+// so an update only touches the fields it sends. Operator keys are dropped.
+const toUpdate = (body) => Object.fromEntries(Object.entries(flatten(body))
+  .filter(([path]) => !path.split('.').some((key) => key.startsWith('$'))));
+
+const openingHoursRules = [
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Asia/Karachi'),
+  body('holidays').optional().isArray().withMessage('Holidays must be an array'),
+  body('holidays.*.date').custom(isValidDate).withMessage('Holiday date must be a valid YYYY-MM-DD date'),
+  body('holidays.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Holiday name must be between 1 and 100 characters'),
+  body('holidays.*.recurring').optional().isBoolean().withMessage('recurring must be a boolean'),
+  ...intervalRules('holidays.*.intervals', 'Holiday intervals'),
+  ...LOCATIONS.flatMap((location) => [
+    ...intervalRules(`${location}.openingHours.weekly`, 'Weekly hours'),
+    body(`${location}.openingHours.weekly.*.dayOfWeek`).isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+    body(`${location}.openingHours.closures`).optional().isArray().withMessage('Closures must be an array'),
+    body(`${location}.openingHours.closures.*.startDate`).custom(isValidDate).withMessage('Closure start date must be a valid YYYY-MM-DD date'),
+    body(`${location}.openingHours.closures.*.endDate`).custom(isValidDate).withMessage('Closure end date must be a valid YYYY-MM-DD date'),
+    body(`${location}.openingHours.closures.*.reason`).optional().trim().isLength({ max: 200 }).withMessage('Reason must be at most 200 characters'),
+    body(`${location}.openingHours.overrides`).optional().isArray().withMessage('Overrides must be an array'),
+    body(`${location}.openingHours.overrides.*.date`).custom(isValidDate).withMessage('Override date must be a valid YYYY-MM-DD date'),
+    body(`${location}.openingHours.overrides.*.reason`).optional().trim().isLength({ max: 200 }).withMessage('Reason must be at most 200 characters'),
+    ...intervalRules(`${location}.openingHours.overrides.*.intervals`, 'Override intervals')
+  ])
+];
+
 /**
  * @swagger
  * /api/clinic-info:
  *   get:
  *     summary: Get clinic information
  *     tags: [Clinic Info]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Clinic information retrieved successfully
@@ -42,7 +88,101 @@ router.get('/', async (req, res) => {
     
     res.json({
       success: true,
-      data: clinicInfo
+      data: localize(ClinicInfo, clinicInfo, req.locale)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinic-info/open-status:
+ *   get:
+ *     summary: Check whether each location is open now
+ *     description: |
+ *       Computed from the structured opening hours in the clinic's timezone (`timezone`, default `CLINIC_TIMEZONE`).
+ *       For each date the first match applies: a closure of the location, an override for that date, a clinic-wide
+ *       holiday, then the weekly hours. `nextOpensAt` is the next opening after now within 60 days, or null.
+ *     tags: [Clinic Info]
+ *     parameters:
+ *       - in: query
+ *         name: location
+ *         description: Only this location; both by default
+ *         schema:
+ *           type: string
+ *           enum: [location1, location2]
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: Open status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                       example: "Asia/Karachi"
+ *                     now:
+ *                       type: string
+ *                       format: date-time
+ *                     locations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpenStatus'
+ *       400:
+ *         description: Invalid location
+ *       404:
+ *         description: Clinic information not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/open-status', [
+  query('location').optional().isIn(LOCATIONS).withMessage('Location must be either location1 or location2')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const clinicInfo = await ClinicInfo.findOne({ isActive: true });
+
+    if (!clinicInfo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic information not found'
+      });
+    }
+
+    const now = new Date();
+    const localized = localize(ClinicInfo, clinicInfo, req.locale);
+    const locations = req.query.location ? [req.query.location] : LOCATIONS;
+
+    res.json({
+      success: true,
+      data: {
+        timezone: getTimezone(clinicInfo),
+        now: now.toISOString(),
+        locations: locations.map((location) => ({
+          ...getOpenStatus(clinicInfo, location, now),
+          description: localized[location]?.description
+        }))
+      }
     });
   } catch (error) {
     console.error(error);
@@ -104,6 +244,8 @@ router.get('/', async (req, res) => {
  *                     type: string
  *                     maxLength: 500
  *                     example: "123 Main Street, City, State 12345"
+ *                   openingHours:
+ *                     $ref: '#/components/schemas/OpeningHours'
  *               location2:
  *                 type: object
  *                 required:
@@ -117,6 +259,8 @@ router.get('/', async (req, res) => {
  *                     type: string
  *                     maxLength: 500
  *                     example: "456 Second Street, City, State 12345"
+ *                   openingHours:
+ *                     $ref: '#/components/schemas/OpeningHours'
  *               socialLinks:
  *                 type: object
  *                 properties:
@@ -133,6 +277,14 @@ router.get('/', async (req, res) => {
  *               timings:
  *                 type: string
  *                 example: "Monday - Friday: 9:00 AM - 6:00 PM"
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone of the opening hours; defaults to `CLINIC_TIMEZONE`
+ *                 example: "Asia/Karachi"
+ *               holidays:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Holiday'
  *     responses:
  *       201:
  *         description: Clinic information created successfully
@@ -164,10 +316,12 @@ router.get('/', async (req, res) => {
  *                   example: "Clinic information limit exceeded. Only one clinic information is allowed."
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
+router.post('/', auth, permit('clinic-info:write'), [
   body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Name must be between 1 and 200 characters'),
   body('noOfExperience').isInt({ min: 0 }).withMessage('Number of experience must be a non-negative integer'),
   body('noOfPatients').isInt({ min: 0 }).withMessage('Number of patients must be a non-negative integer'),
@@ -179,7 +333,8 @@ router.post('/', auth, [
   body('socialLinks.facebook').optional().isURL().withMessage('Facebook link must be a valid URL'),
   body('socialLinks.instagram').optional().isURL().withMessage('Instagram link must be a valid URL'),
   body('email').isEmail().withMessage('Email must be a valid email address'),
-  body('timings').optional().trim()
+  body('timings').optional().trim(),
+  ...openingHoursRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -209,6 +364,12 @@ router.post('/', auth, [
       message: 'Clinic information created successfully'
     });
   } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
     console.error(error);
     res.status(500).json({
       success: false,
@@ -222,6 +383,9 @@ router.post('/', auth, [
  * /api/clinic-info/update:
  *   put:
  *     summary: Update existing clinic information
+ *     description: |
+ *       Only the fields sent are changed. Nested objects are merged, so `{ "location1": { "openingHours": { "weekly": [...] } } }`
+ *       keeps the location's URL, description, closures and overrides; arrays are replaced as a whole.
  *     tags: [Clinic Info]
  *     security:
  *       - bearerAuth: []
@@ -257,6 +421,8 @@ router.post('/', auth, [
  *                     type: string
  *                     maxLength: 500
  *                     example: "Updated address 1"
+ *                   openingHours:
+ *                     $ref: '#/components/schemas/OpeningHours'
  *               location2:
  *                 type: object
  *                 properties:
@@ -267,6 +433,8 @@ router.post('/', auth, [
  *                     type: string
  *                     maxLength: 500
  *                     example: "Updated address 2"
+ *                   openingHours:
+ *                     $ref: '#/components/schemas/OpeningHours'
  *               socialLinks:
  *                 type: object
  *                 properties:
@@ -283,6 +451,14 @@ router.post('/', auth, [
  *               timings:
  *                 type: string
  *                 example: "Monday - Friday: 9:00 AM - 6:00 PM"
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone of the opening hours; defaults to `CLINIC_TIMEZONE`
+ *                 example: "Asia/Karachi"
+ *               holidays:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Holiday'
  *               isActive:
  *                 type: boolean
  *                 example: true
@@ -306,10 +482,12 @@ router.post('/', auth, [
  *         description: Validation error or no existing clinic info
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.put('/update', auth, [
+router.put('/update', auth, permit('clinic-info:write'), [
   body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be between 1 and 200 characters'),
   body('noOfExperience').optional().isInt({ min: 0 }).withMessage('Number of experience must be a non-negative integer'),
   body('noOfPatients').optional().isInt({ min: 0 }).withMessage('Number of patients must be a non-negative integer'),
@@ -322,7 +500,8 @@ router.put('/update', auth, [
   body('socialLinks.instagram').optional().isURL().withMessage('Instagram link must be a valid URL'),
   body('email').optional().isEmail().withMessage('Email must be a valid email address'),
   body('timings').optional().trim(),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...openingHoursRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -345,7 +524,7 @@ router.put('/update', auth, [
 
     const updatedClinicInfo = await ClinicInfo.findByIdAndUpdate(
       existingClinicInfo._id,
-      req.body,
+      { $set: toUpdate(req.body) },
       { new: true, runValidators: true }
     );
 
@@ -355,6 +534,12 @@ router.put('/update', auth, [
       message: 'Clinic information updated successfully'
     });
   } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
     console.error(error);
     res.status(500).json({
       success: false,
@@ -368,12 +553,13 @@ router.put('/update', auth, [
  * /api/clinic-info:
  *   delete:
  *     summary: Delete clinic information
+ *     description: Moves the clinic information to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Clinic Info]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Clinic information deleted successfully
+ *         description: Clinic information moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -384,15 +570,17 @@ router.put('/update', auth, [
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Clinic information deleted successfully"
+ *                   example: "Clinic information moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Clinic information not found
  *       500:
  *         description: Server error
  */
-router.delete('/', auth, async (req, res) => {
+router.delete('/', auth, permit('clinic-info:write'), async (req, res) => {
   try {
     const clinicInfo = await ClinicInfo.findOne({ isActive: true });
     if (!clinicInfo) {
@@ -402,11 +590,11 @@ router.delete('/', auth, async (req, res) => {
       });
     }
 
-    await ClinicInfo.findByIdAndDelete(clinicInfo._id);
+    await clinicInfo.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Clinic information deleted successfully'
+      message: 'Clinic information moved to trash'
     });
   } catch (error) {
     console.error(error);
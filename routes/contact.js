@@ -0,0 +1,140 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Inquiry = require('../models/Inquiry');
+const ClinicInfo = require('../models/ClinicInfo');
+const { contactLimiter } = require('../middleware/rateLimit');
+const { sendInquiryNotification } = require('../utils/emailService');
+
+const router = express.Router();
+
+// Hidden form field that people never fill in but spam bots do
+const HONEYPOT_FIELD = 'website';
+
+const RECEIVED_MESSAGE = 'Thank you for your message. We will get back to you soon.';
+
+/**
+ * @swagger
+ * /api/contact:
+ *   post:
+ *     summary: Send an inquiry through the contact form (public)
+ *     description: |
+ *       Stores the message as an inquiry and emails it to the clinic address from clinic info.
+ *       Limited to 5 messages per IP per hour. The form must include a hidden `website` field left empty;
+ *       submissions that fill it in are accepted with the same response but discarded.
+ *     tags: [Contact]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - message
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Jane Doe"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "jane@example.com"
+ *               phone:
+ *                 type: string
+ *                 maxLength: 20
+ *                 example: "+923001234567"
+ *               subject:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Question about braces"
+ *               message:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Do you offer clear aligners for teenagers?"
+ *               website:
+ *                 type: string
+ *                 description: Honeypot - must be left empty
+ *     responses:
+ *       201:
+ *         description: Inquiry received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Thank you for your message. We will get back to you soon."
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many messages
+ *       500:
+ *         description: Server error
+ */
+router.post('/', contactLimiter, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('email').trim().isEmail().withMessage('Please provide a valid email').isLength({ max: 200 }).withMessage('Email is too long'),
+  body('phone').optional({ values: 'falsy' }).trim().matches(/^[+]?[\d\s()-]{6,20}$/).withMessage('Please provide a valid phone number'),
+  body('subject').optional().trim().isLength({ max: 200 }).withMessage('Subject must be at most 200 characters'),
+  body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    // Answer bots exactly like people so they cannot tell they were caught
+    if (req.body[HONEYPOT_FIELD]) {
+      return res.status(201).json({
+        success: true,
+        message: RECEIVED_MESSAGE
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, phone, subject, message } = req.body;
+
+    const inquiry = await Inquiry.create({
+      name,
+      email,
+      phone: phone || undefined,
+      subject: subject || undefined,
+      message,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 500)
+    });
+
+    // The inquiry is kept even if the email cannot be sent
+    const clinicInfo = await ClinicInfo.findOne({ isActive: true }).select('email');
+    const to = clinicInfo?.email || process.env.EMAIL_USER;
+    if (to) {
+      const sent = await sendInquiryNotification(to, inquiry);
+      if (sent.success) {
+        inquiry.notifiedAt = new Date();
+        await inquiry.save();
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: RECEIVED_MESSAGE
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
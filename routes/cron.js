@@ -0,0 +1,94 @@
+const express = require('express');
+const cronAuth = require('../middleware/cronAuth');
+const { findJob, getRegularJobs, runJobs } = require('../jobs');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/cron/jobs:
+ *   get:
+ *     summary: Run background jobs (cron only)
+ *     description: |
+ *       For serverless deployments, which have no long-running process to schedule jobs. Call it with
+ *       `Authorization: Bearer <CRON_SECRET>`. Called every minute, each call runs the jobs due that minute, one
+ *       after another. `?job=` runs a single job right away, and `?job=all` every job except `send-newsletters`
+ *       (for schedules that run less often, such as the daily crons in `vercel.json`). `send-newsletters` only
+ *       runs by name (its own cron entry), so its throttled sending never delays the other jobs.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: '`all`, or the name of a job in `jobs/index.js`'
+ *         example: publish-scheduled
+ *     responses:
+ *       200:
+ *         description: Jobs ran; failures are reported per job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "publish-scheduled"
+ *                       success:
+ *                         type: boolean
+ *                         example: true
+ *                       error:
+ *                         type: string
+ *       401:
+ *         description: Missing or wrong cron secret, or CRON_SECRET is not set
+ *       404:
+ *         description: Unknown job
+ *       500:
+ *         description: Server error
+ */
+router.get('/jobs', cronAuth, async (req, res) => {
+  try {
+    let jobs;
+    if (req.query.job === 'all') {
+      jobs = getRegularJobs();
+    } else if (req.query.job) {
+      const job = findJob(req.query.job);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+      jobs = [job];
+    }
+
+    const results = await runJobs(jobs);
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
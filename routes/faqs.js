@@ -2,15 +2,40 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const FAQ = require('../models/FAQ');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { localize } = require('../utils/i18n');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
 
 const router = express.Router();
 
+// Query options accepted by GET /api/faqs
+const FAQ_LIST = {
+  sortable: ['createdAt', 'updatedAt', 'question'],
+  fields: ['question', 'answer', 'isActive', 'createdAt', 'updatedAt'],
+  filters: {
+    question: 'text'
+  }
+};
+
 /**
  * @swagger
  * /api/faqs:
  *   get:
  *     summary: Get all FAQs
  *     tags: [FAQs]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: question
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the question
+ *         example: "braces"
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: FAQs retrieved successfully
@@ -25,21 +50,49 @@ const router = express.Router();
  *                 count:
  *                   type: integer
  *                   example: 8
+ *                 total:
+ *                   type: integer
+ *                   description: Total matches (page pagination only)
+ *                   example: 42
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 5
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to fetch the next page (cursor pagination only)
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/FAQ'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameter
  *       500:
  *         description: Server error
  */
 router.get('/', async (req, res) => {
   try {
-    const faqs = await FAQ.find({ isActive: true }).sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, FAQ_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: faqs, meta } = await runListQuery(FAQ, { isActive: true }, listQuery);
     
     res.json({
       success: true,
       count: faqs.length,
-      data: faqs
+      ...meta,
+      data: localize(FAQ, faqs, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -63,6 +116,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: FAQ ID
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: FAQ retrieved successfully
@@ -94,7 +148,7 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: faq
+      data: localize(FAQ, faq, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -148,10 +202,12 @@ router.get('/:id', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
+router.post('/', auth, permit('faqs:write'), [
   body('question').trim().isLength({ min: 1, max: 500 }).withMessage('Question must be between 1 and 500 characters'),
   body('answer').trim().isLength({ min: 1, max: 2000 }).withMessage('Answer must be between 1 and 2000 characters')
 ], async (req, res) => {
@@ -234,12 +290,14 @@ router.post('/', auth, [
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: FAQ not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', auth, [
+router.put('/:id', auth, permit('faqs:write'), [
   body('question').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Question must be between 1 and 500 characters'),
   body('answer').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Answer must be between 1 and 2000 characters'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
@@ -285,6 +343,7 @@ router.put('/:id', auth, [
  * /api/faqs/{id}:
  *   delete:
  *     summary: Delete FAQ
+ *     description: Moves the faq to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [FAQs]
  *     security:
  *       - bearerAuth: []
@@ -297,7 +356,7 @@ router.put('/:id', auth, [
  *         description: FAQ ID
  *     responses:
  *       200:
- *         description: FAQ deleted successfully
+ *         description: FAQ moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -308,15 +367,17 @@ router.put('/:id', auth, [
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "FAQ deleted successfully"
+ *                   example: "FAQ moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: FAQ not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('faqs:write'), async (req, res) => {
   try {
     const faq = await FAQ.findById(req.params.id);
     if (!faq) {
@@ -326,11 +387,11 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await FAQ.findByIdAndDelete(req.params.id);
+    await faq.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'FAQ deleted successfully'
+      message: 'FAQ moved to trash'
     });
   } catch (error) {
     console.error(error);
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
 
 const router = express.Router();
 
@@ -108,10 +109,12 @@ router.get('/', async (req, res) => {
  *         description: Validation error or maximum features reached
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
+router.post('/', auth, permit('features:write'), [
   body('featureName').trim().isLength({ min: 1, max: 100 }).withMessage('Feature name must be between 1 and 100 characters'),
   body('featureDescription').trim().isLength({ min: 1, max: 100 }).withMessage('Feature description must be between 1 and 100 characters')
 ], async (req, res) => {
@@ -187,12 +190,14 @@ router.post('/', auth, [
  *                   example: "Feature deleted successfully"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Feature not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('features:write'), async (req, res) => {
   try {
     const featureId = parseInt(req.params.id);
     
@@ -2,15 +2,52 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Feedback = require('../models/Feedback');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { feedbackLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Query options accepted by GET /api/feedback
+const FEEDBACK_LIST = {
+  sortable: ['createdAt', 'rating'],
+  fields: ['username', 'rating', 'title', 'description', 'createdAt', 'updatedAt'],
+  filters: {
+    rating: 'number',
+    createdAt: 'date'
+  }
+};
+
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+const moderationUpdate = (status, userId, note) => ({
+  status,
+  moderatedBy: userId,
+  moderatedAt: Date.now(),
+  ...(typeof note !== 'undefined' ? { moderationNote: note } : {})
+});
+
 /**
  * @swagger
  * /api/feedback:
  *   get:
- *     summary: Get all feedback
+ *     summary: Get approved feedback
  *     tags: [Feedback]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: string
+ *         description: Exact rating, a list (4,5) or a range such as rating[gte]=4
+ *         example: "5"
  *     responses:
  *       200:
  *         description: Feedback retrieved successfully
@@ -25,20 +62,194 @@ const router = express.Router();
  *                 count:
  *                   type: integer
  *                   example: 15
+ *                 total:
+ *                   type: integer
+ *                   description: Total matches (page pagination only)
+ *                   example: 42
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 5
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to fetch the next page (cursor pagination only)
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Feedback'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameter
  *       500:
  *         description: Server error
  */
 router.get('/', async (req, res) => {
   try {
-    const feedback = await Feedback.find({ isActive: true }).sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, FEEDBACK_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: feedback, meta } = await runListQuery(Feedback, {
+      isActive: true,
+      status: { $in: Feedback.PUBLIC_STATUSES }
+    }, listQuery);
     
     res.json({
       success: true,
       count: feedback.length,
+      ...meta,
+      data: feedback
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/feedback/stats:
+ *   get:
+ *     summary: Get rating statistics for approved feedback
+ *     tags: [Feedback]
+ *     responses:
+ *       200:
+ *         description: Rating statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedbackStats'
+ *       500:
+ *         description: Server error
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const rows = await Feedback.aggregate([
+      { $match: { isActive: true, status: { $in: Feedback.PUBLIC_STATUSES } } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+    for (const row of rows) {
+      distribution[row._id] = row.count;
+      total += row.count;
+      sum += row._id * row.count;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        average: total ? Math.round((sum / total) * 10) / 10 : 0,
+        distribution
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/feedback/moderation:
+ *   get:
+ *     summary: Get feedback in the moderation queue
+ *     tags: [Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Feedback retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Feedback'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/moderation', auth, permit('feedback:write'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const filter = { status: status === 'approved' ? { $in: Feedback.PUBLIC_STATUSES } : status };
+
+    const feedback = await Feedback.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Feedback.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: feedback.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
       data: feedback
     });
   } catch (error) {
@@ -54,7 +265,7 @@ router.get('/', async (req, res) => {
  * @swagger
  * /api/feedback/{id}:
  *   get:
- *     summary: Get single feedback by ID
+ *     summary: Get single approved feedback by ID
  *     tags: [Feedback]
  *     parameters:
  *       - in: path
@@ -83,7 +294,11 @@ router.get('/', async (req, res) => {
  */
 router.get('/:id', async (req, res) => {
   try {
-    const feedback = await Feedback.findById(req.params.id);
+    const feedback = await Feedback.findOne({
+      _id: req.params.id,
+      isActive: true,
+      status: { $in: Feedback.PUBLIC_STATUSES }
+    });
     
     if (!feedback) {
       return res.status(404).json({
@@ -109,10 +324,8 @@ router.get('/:id', async (req, res) => {
  * @swagger
  * /api/feedback:
  *   post:
- *     summary: Create new feedback
+ *     summary: Submit feedback (public, held for moderation)
  *     tags: [Feedback]
- *     security:
- *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -142,13 +355,9 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *                 maxLength: 1000
  *                 example: "The dental care was outstanding. Highly recommended!"
- *               status:
- *                 type: string
- *                 enum: [enable, disable]
- *                 example: "enable"
  *     responses:
  *       201:
- *         description: Feedback created successfully
+ *         description: Feedback submitted and pending moderation
  *         content:
  *           application/json:
  *             schema:
@@ -161,17 +370,16 @@ router.get('/:id', async (req, res) => {
  *                   $ref: '#/components/schemas/Feedback'
  *       400:
  *         description: Validation error
- *       401:
- *         description: Unauthorized
+ *       429:
+ *         description: Too many submissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
+router.post('/', feedbackLimiter, [
   body('username').trim().isLength({ min: 1, max: 100 }).withMessage('Username must be between 1 and 100 characters'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be an integer between 1 and 5'),
   body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
-  body('description').trim().isLength({ min: 1, max: 1000 }).withMessage('Description must be between 1 and 1000 characters'),
-  body('status').optional().isIn(['enable', 'disable']).withMessage('Status must be either enable or disable')
+  body('description').trim().isLength({ min: 1, max: 1000 }).withMessage('Description must be between 1 and 1000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -182,14 +390,15 @@ router.post('/', auth, [
       });
     }
 
-    const { username, rating, title, description, status } = req.body;
+    const { username, rating, title, description } = req.body;
 
+    // Status is never taken from the request; everything starts in the queue
     const feedback = await Feedback.create({
       username,
       rating,
       title,
       description,
-      status: status || 'enable'
+      status: 'pending'
     });
 
     res.status(201).json({
@@ -246,8 +455,8 @@ router.post('/', auth, [
  *                 example: "Updated description"
  *               status:
  *                 type: string
- *                 enum: [enable, disable]
- *                 example: "disable"
+ *                 enum: [pending, approved, rejected]
+ *                 example: "approved"
  *               isActive:
  *                 type: boolean
  *                 example: true
@@ -268,17 +477,19 @@ router.post('/', auth, [
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Feedback not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', auth, [
+router.put('/:id', auth, permit('feedback:write'), [
   body('username').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Username must be between 1 and 100 characters'),
   body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be an integer between 1 and 5'),
   body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
   body('description').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Description must be between 1 and 1000 characters'),
-  body('status').optional().isIn(['enable', 'disable']).withMessage('Status must be either enable or disable'),
+  body('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Status must be pending, approved or rejected'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
 ], async (req, res) => {
   try {
@@ -298,9 +509,15 @@ router.put('/:id', auth, [
       });
     }
 
+    const { username, rating, title, description, status, isActive } = req.body;
+    const update = { username, rating, title, description, isActive };
+    if (status && status !== feedback.status) {
+      Object.assign(update, moderationUpdate(status, req.user.id));
+    }
+
     const updatedFeedback = await Feedback.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -317,11 +534,193 @@ router.put('/:id', auth, [
   }
 });
 
+/**
+ * @swagger
+ * /api/feedback/moderate:
+ *   post:
+ *     summary: Approve or reject several feedback items at once
+ *     tags: [Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *               - action
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["60f7b3b3b3b3b3b3b3b3b3b3", "60f7b3b3b3b3b3b3b3b3b3b4"]
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *                 example: "approve"
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Spam"
+ *     responses:
+ *       200:
+ *         description: Feedback moderated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 modified:
+ *                   type: integer
+ *                   example: 2
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/moderate', auth, permit('feedback:write'), [
+  body('ids').isArray({ min: 1, max: 100 }).withMessage('ids must be an array of 1 to 100 feedback IDs'),
+  body('ids.*').isMongoId().withMessage('Each id must be a valid feedback ID'),
+  body('action').isIn(Object.keys(MODERATION_ACTIONS)).withMessage('Action must be either approve or reject'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { ids, action, note } = req.body;
+    const result = await Feedback.updateMany(
+      { _id: { $in: ids } },
+      moderationUpdate(MODERATION_ACTIONS[action], req.user.id, note)
+    );
+
+    res.json({
+      success: true,
+      modified: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/feedback/{id}/{action}:
+ *   put:
+ *     summary: Approve or reject a single feedback item
+ *     tags: [Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feedback ID
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Contains personal information"
+ *     responses:
+ *       200:
+ *         description: Feedback moderated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Feedback'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Feedback not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/:action(approve|reject)', auth, permit('feedback:write'), [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const feedback = await Feedback.findByIdAndUpdate(
+      req.params.id,
+      moderationUpdate(MODERATION_ACTIONS[req.params.action], req.user.id, req.body.note),
+      { new: true, runValidators: true }
+    );
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: feedback
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/feedback/{id}:
  *   delete:
  *     summary: Delete feedback
+ *     description: Moves the feedback to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Feedback]
  *     security:
  *       - bearerAuth: []
@@ -334,7 +733,7 @@ router.put('/:id', auth, [
  *         description: Feedback ID
  *     responses:
  *       200:
- *         description: Feedback deleted successfully
+ *         description: Feedback moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -345,15 +744,17 @@ router.put('/:id', auth, [
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Feedback deleted successfully"
+ *                   example: "Feedback moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Feedback not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('feedback:write'), async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id);
     if (!feedback) {
@@ -363,11 +764,11 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await Feedback.findByIdAndDelete(req.params.id);
+    await feedback.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Feedback deleted successfully'
+      message: 'Feedback moved to trash'
     });
   } catch (error) {
     console.error(error);
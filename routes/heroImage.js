@@ -2,9 +2,11 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const HeroImage = require('../models/HeroImage');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { localize } = require('../utils/i18n');
 const { uploadSingleImage, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
 const { uploadHeroImages, handleHeroImageUpload, handleUploadError: handleHeroUploadError } = require('../middleware/uploadHeroImages');
-const { deleteImage } = require('../config/cloudinary');
+const { deleteImage, deleteImages } = require('../storage');
 
 const router = express.Router();
 
@@ -14,6 +16,8 @@ const router = express.Router();
  *   get:
  *     summary: Get all hero images
  *     tags: [Hero Images]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Hero images retrieved successfully
@@ -42,7 +46,7 @@ router.get('/', async (req, res) => {
     res.json({
       success: true,
       count: heroImages.length,
-      data: heroImages
+      data: localize(HeroImage, heroImages, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -66,6 +70,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Hero Image ID
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Hero image retrieved successfully
@@ -97,7 +102,7 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: heroImage
+      data: localize(HeroImage, heroImage, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -124,7 +129,6 @@ router.get('/:id', async (req, res) => {
  *             type: object
  *             required:
  *               - image
- *               - mobileImage
  *               - title
  *               - description
  *               - textColor
@@ -136,7 +140,11 @@ router.get('/:id', async (req, res) => {
  *               mobileImage:
  *                 type: string
  *                 format: binary
- *                 description: Hero image file for mobile
+ *                 description: Optional separate hero image for mobile. Without it, clients use the portrait crop from `image.variants`.
+ *               imageFocalPoint:
+ *                 type: string
+ *                 description: Point of `image` to keep in its square and portrait crops, as "x,y" fractions from the top-left corner (default "0.5,0.5")
+ *                 example: "0.5,0.3"
  *               title:
  *                 type: string
  *                 maxLength: 100
@@ -166,10 +174,12 @@ router.get('/:id', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, [
+router.post('/', auth, permit('hero-images:write'), uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, [
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
   body('textColor').matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Text color must be a valid HEX color code')
@@ -183,17 +193,19 @@ router.post('/', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageU
       });
     }
 
+    if (!req.cloudinaryData?.image) {
+      await deleteImages([req.cloudinaryData?.mobileImage?.public_id]);
+      return res.status(400).json({
+        success: false,
+        message: 'Image is required'
+      });
+    }
+
     const { title, description, textColor } = req.body;
 
     const heroImage = await HeroImage.create({
-      image: {
-        public_id: req.cloudinaryData.image.public_id,
-        url: req.cloudinaryData.image.url
-      },
-      mobileImage: {
-        public_id: req.cloudinaryData.mobileImage.public_id,
-        url: req.cloudinaryData.mobileImage.url
-      },
+      image: req.cloudinaryData.image,
+      mobileImage: req.cloudinaryData.mobileImage,
       title,
       description,
       textColor
@@ -375,6 +387,12 @@ router.post('/', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageU
  *                 message:
  *                   type: string
  *                   example: "Access denied. No token provided."
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Hero image not found
  *         content:
@@ -403,7 +421,7 @@ router.post('/', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageU
  *                   example: "Server error"
  */
 // Comprehensive update route that handles both text and images
-router.put('/:id', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, [
+router.put('/:id', auth, permit('hero-images:write'), uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, [
   body('title').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   body('description').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
   body('textColor').optional().matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Text color must be a valid HEX color code'),
@@ -450,16 +468,10 @@ router.put('/:id', auth, uploadHeroImages, handleHeroUploadError, handleHeroImag
 
       // Update with new image data
       if (req.cloudinaryData.image) {
-        updateData.image = {
-          public_id: req.cloudinaryData.image.public_id,
-          url: req.cloudinaryData.image.url
-        };
+        updateData.image = req.cloudinaryData.image;
       }
       if (req.cloudinaryData.mobileImage) {
-        updateData.mobileImage = {
-          public_id: req.cloudinaryData.mobileImage.public_id,
-          url: req.cloudinaryData.mobileImage.url
-        };
+        updateData.mobileImage = req.cloudinaryData.mobileImage;
       }
     }
 
@@ -491,6 +503,7 @@ router.put('/:id', auth, uploadHeroImages, handleHeroUploadError, handleHeroImag
  * /api/hero-images/{id}:
  *   delete:
  *     summary: Delete hero image
+ *     description: Moves the hero image to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Hero Images]
  *     security:
  *       - bearerAuth: []
@@ -503,7 +516,7 @@ router.put('/:id', auth, uploadHeroImages, handleHeroUploadError, handleHeroImag
  *         description: Hero Image ID
  *     responses:
  *       200:
- *         description: Hero image deleted successfully
+ *         description: Hero image moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -514,15 +527,17 @@ router.put('/:id', auth, uploadHeroImages, handleHeroUploadError, handleHeroImag
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Hero image deleted successfully"
+ *                   example: "Hero image moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Hero image not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('hero-images:write'), async (req, res) => {
   try {
     const heroImage = await HeroImage.findById(req.params.id);
     if (!heroImage) {
@@ -532,19 +547,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete images from Cloudinary
-    if (heroImage.image && heroImage.image.public_id) {
-      await deleteImage(heroImage.image.public_id);
-    }
-    if (heroImage.mobileImage && heroImage.mobileImage.public_id) {
-      await deleteImage(heroImage.mobileImage.public_id);
-    }
-
-    await HeroImage.findByIdAndDelete(req.params.id);
+    // Files stay in storage until the trash is purged
+    await heroImage.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Hero image deleted successfully'
+      message: 'Hero image moved to trash'
     });
   } catch (error) {
     console.error(error);
@@ -606,13 +614,15 @@ router.delete('/:id', auth, async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Hero image not found
  *       500:
  *         description: Server error
  */
 // Legacy route for updating images only (kept for backward compatibility)
-router.put('/:id/images', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, async (req, res) => {
+router.put('/:id/images', auth, permit('hero-images:write'), uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, async (req, res) => {
   try {
     console.log('Hero image update images request (legacy):', {
       params: req.params,
@@ -645,16 +655,10 @@ router.put('/:id/images', auth, uploadHeroImages, handleHeroUploadError, handleH
 
       // Update with new image data
       if (req.cloudinaryData.image) {
-        updateData.image = {
-          public_id: req.cloudinaryData.image.public_id,
-          url: req.cloudinaryData.image.url
-        };
+        updateData.image = req.cloudinaryData.image;
       }
       if (req.cloudinaryData.mobileImage) {
-        updateData.mobileImage = {
-          public_id: req.cloudinaryData.mobileImage.public_id,
-          url: req.cloudinaryData.mobileImage.url
-        };
+        updateData.mobileImage = req.cloudinaryData.mobileImage;
       }
     }
 
@@ -785,11 +789,13 @@ router.put('/:id/images', auth, uploadHeroImages, handleHeroUploadError, handleH
  *                         url: "https://res.cloudinary.com/example/image/upload/v1234567890/hero-images/test_mobile_456.jpg"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
 // Test route for debugging
-router.put('/:id/test', auth, uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, async (req, res) => {
+router.put('/:id/test', auth, permit('hero-images:write'), uploadHeroImages, handleHeroUploadError, handleHeroImageUpload, async (req, res) => {
   try {
     console.log('Test route - Request data:', {
       params: req.params,
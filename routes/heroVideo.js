@@ -2,8 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const HeroVideo = require('../models/HeroVideo');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { localize } = require('../utils/i18n');
 const { uploadSingleVideo, handleVideoUpload, handleUploadError } = require('../middleware/uploadVideo');
-const { cloudinary } = require('../config/cloudinary');
+const { deleteVideo } = require('../storage');
 
 const router = express.Router();
 
@@ -13,6 +15,8 @@ const router = express.Router();
  *   get:
  *     summary: Get hero video (only one allowed)
  *     tags: [Hero Videos]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Hero video retrieved successfully
@@ -44,7 +48,7 @@ router.get('/', async (req, res) => {
     
     res.json({
       success: true,
-      data: heroVideo
+      data: localize(HeroVideo, heroVideo, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -122,10 +126,12 @@ router.get('/', async (req, res) => {
  *                   example: "Hero video limit exceeded. Only one hero video is allowed."
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, uploadSingleVideo, handleUploadError, handleVideoUpload, [
+router.post('/', auth, permit('hero-videos:write'), uploadSingleVideo, handleUploadError, handleVideoUpload, [
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
   body('textColor').matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Text color must be a valid HEX color code')
@@ -233,10 +239,12 @@ router.post('/', auth, uploadSingleVideo, handleUploadError, handleVideoUpload,
  *         description: Validation error or no existing hero video
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.put('/update', auth, uploadSingleVideo, handleUploadError, handleVideoUpload, [
+router.put('/update', auth, permit('hero-videos:write'), uploadSingleVideo, handleUploadError, handleVideoUpload, [
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
   body('textColor').matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Text color must be a valid HEX color code')
@@ -264,7 +272,7 @@ router.put('/update', auth, uploadSingleVideo, handleUploadError, handleVideoUpl
 
     // Delete old video from Cloudinary
     if (existingHeroVideo.video && existingHeroVideo.video.public_id) {
-      await cloudinary.uploader.destroy(existingHeroVideo.video.public_id, { resource_type: 'video' });
+      await deleteVideo(existingHeroVideo.video.public_id);
     }
 
     const updatedHeroVideo = await HeroVideo.findByIdAndUpdate(
@@ -300,12 +308,13 @@ router.put('/update', auth, uploadSingleVideo, handleUploadError, handleVideoUpl
  * /api/hero-videos:
  *   delete:
  *     summary: Delete hero video
+ *     description: Moves the hero video to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Hero Videos]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Hero video deleted successfully
+ *         description: Hero video moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -316,15 +325,17 @@ router.put('/update', auth, uploadSingleVideo, handleUploadError, handleVideoUpl
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Hero video deleted successfully"
+ *                   example: "Hero video moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Hero video not found
  *       500:
  *         description: Server error
  */
-router.delete('/', auth, async (req, res) => {
+router.delete('/', auth, permit('hero-videos:write'), async (req, res) => {
   try {
     const heroVideo = await HeroVideo.findOne({ isActive: true });
     if (!heroVideo) {
@@ -334,16 +345,12 @@ router.delete('/', auth, async (req, res) => {
       });
     }
 
-    // Delete video from Cloudinary
-    if (heroVideo.video && heroVideo.video.public_id) {
-      await cloudinary.uploader.destroy(heroVideo.video.public_id, { resource_type: 'video' });
-    }
-
-    await HeroVideo.findByIdAndDelete(heroVideo._id);
+    // Files stay in storage until the trash is purged
+    await heroVideo.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Hero video deleted successfully'
+      message: 'Hero video moved to trash'
     });
   } catch (error) {
     console.error(error);
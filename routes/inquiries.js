@@ -0,0 +1,407 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Inquiry = require('../models/Inquiry');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { hasPermission } = require('../config/roles');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const router = express.Router();
+
+const INQUIRY_STATUSES = ['new', 'contacted', 'closed'];
+
+const INQUIRY_PAGE_SIZE = '20';
+
+// Query options accepted by GET /api/inquiries
+const INQUIRY_LIST = {
+  sortable: ['createdAt', 'updatedAt', 'status'],
+  fields: [
+    'name', 'email', 'phone', 'subject', 'message', 'status', 'assignee', 'notes',
+    'contactedAt', 'closedAt', 'notifiedAt', 'createdAt', 'updatedAt'
+  ],
+  filters: {
+    status: 'string',
+    assignee: 'objectId',
+    email: 'text',
+    from: { path: 'createdAt', type: 'date', operator: 'gte' },
+    to: { path: 'createdAt', type: 'date', operator: 'lte' }
+  }
+};
+
+const SEARCH_FIELDS = ['name', 'email', 'phone', 'subject', 'message'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ?q= matches any of the sender's details or the message, case-insensitively
+const searchFilter = (q) => {
+  if (typeof q !== 'string' || !q.trim()) return {};
+  const pattern = { $regex: escapeRegex(q.trim()), $options: 'i' };
+  return { $or: SEARCH_FIELDS.map((field) => ({ [field]: pattern })) };
+};
+
+const findInquiry = (id) => (mongoose.isValidObjectId(id) ? Inquiry.findById(id) : null);
+
+/**
+ * @swagger
+ * /api/inquiries:
+ *   get:
+ *     summary: List contact form inquiries
+ *     description: Newest first, 20 per page by default.
+ *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search name, email, phone, subject and message (case-insensitive)
+ *         example: "aligners"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: new, contacted or closed, or a comma-separated list
+ *         example: "new,contacted"
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: User ID the inquiry is assigned to, or `me`
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Sender email contains this text
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Received on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Received on or before this date
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Inquiries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 57
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Inquiry'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, permit('inquiries:write'), async (req, res) => {
+  try {
+    const { q, ...params } = req.query;
+    if (params.assignee === 'me') params.assignee = req.user.id;
+
+    // Always paginated: the inbox only grows
+    const query = typeof params.cursor === 'undefined'
+      ? { page: '1', limit: INQUIRY_PAGE_SIZE, ...params }
+      : { limit: INQUIRY_PAGE_SIZE, ...params };
+
+    const listQuery = parseListQuery(query, INQUIRY_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: inquiries, meta } = await runListQuery(Inquiry, searchFilter(q), listQuery, {
+      populate: { path: 'assignee', select: 'username email' }
+    });
+
+    res.json({
+      success: true,
+      count: inquiries.length,
+      ...meta,
+      data: inquiries
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inquiries/{id}:
+ *   get:
+ *     summary: Get a single inquiry
+ *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inquiry retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Inquiry'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Inquiry not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, permit('inquiries:write'), async (req, res) => {
+  try {
+    const inquiry = await findInquiry(req.params.id)?.populate('assignee', 'username email');
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: inquiry
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inquiries/{id}:
+ *   put:
+ *     summary: Update an inquiry's status, assignee or notes
+ *     description: |
+ *       Moving to `contacted` or `closed` records when it happened. The assignee must be an active user who
+ *       can handle inquiries; send `null` to unassign.
+ *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [new, contacted, closed]
+ *                 example: "contacted"
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User ID
+ *               notes:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Called back, booked a consultation for Monday"
+ *     responses:
+ *       200:
+ *         description: Inquiry updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Inquiry'
+ *       400:
+ *         description: Validation error or invalid assignee
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Inquiry not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', auth, permit('inquiries:write'), [
+  body('status').optional().isIn(INQUIRY_STATUSES).withMessage(`Status must be one of: ${INQUIRY_STATUSES.join(', ')}`),
+  body('assignee').optional({ values: 'falsy' }).isMongoId().withMessage('Assignee must be a valid user ID'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const inquiry = await findInquiry(req.params.id);
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+
+    const { status, assignee, notes } = req.body;
+
+    if (assignee) {
+      const user = await User.findOne({ _id: assignee, isActive: true }).select('role');
+      if (!user || !hasPermission(user.role, 'inquiries:write')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active user who can handle inquiries'
+        });
+      }
+    }
+
+    if (typeof assignee !== 'undefined') inquiry.assignee = assignee || undefined;
+    if (typeof notes !== 'undefined') inquiry.notes = notes || undefined;
+
+    if (status && status !== inquiry.status) {
+      inquiry.status = status;
+      if (status === 'contacted' && !inquiry.contactedAt) inquiry.contactedAt = new Date();
+      // Reopening clears the closing date
+      inquiry.closedAt = status === 'closed' ? new Date() : undefined;
+    }
+
+    await inquiry.save();
+    await inquiry.populate('assignee', 'username email');
+
+    res.json({
+      success: true,
+      data: inquiry
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inquiries/{id}:
+ *   delete:
+ *     summary: Delete an inquiry
+ *     description: Permanently removes the inquiry, e.g. spam or at the sender's request.
+ *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inquiry deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inquiry deleted successfully"
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Inquiry not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', auth, permit('inquiries:write'), async (req, res) => {
+  try {
+    const inquiry = await findInquiry(req.params.id);
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+
+    await inquiry.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Inquiry deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { ROLES } = require('../config/roles');
+const { getInviteTtl, buildInviteLink } = require('../utils/invitations');
+const { sendInvitationEmail } = require('../utils/emailService');
+
+const router = express.Router();
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired', 'all'];
+
+const statusFilter = (status, now = new Date()) => {
+  switch (status) {
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    case 'all':
+      return {};
+    default:
+      return Invitation.pendingFilter(now);
+  }
+};
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite someone to the dashboard (Owner only)
+ *     description: |
+ *       Emails a signed link to the dashboard's accept-invite page (`INVITE_ACCEPT_URL`, default `FRONTEND_URL/accept-invite`).
+ *       The link expires after `INVITE_EXPIRE_DAYS` (default 7). Inviting an address that already has a pending
+ *       invitation sends a new link and revokes the old one.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "new.editor@example.com"
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, editor, receptionist]
+ *                 example: "editor"
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       409:
+ *         description: A user with this email already exists
+ *       500:
+ *         description: Server error or the email could not be sent
+ */
+router.post('/', auth, permit('users:invite'), [
+  body('email').trim().isEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const { role } = req.body;
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + getInviteTtl())
+    });
+
+    const inviter = await User.findById(req.user.id).select('username');
+    const emailResult = await sendInvitationEmail(email, {
+      role,
+      invitedBy: inviter?.username,
+      link: buildInviteLink(invitation),
+      expiresAt: invitation.expiresAt
+    });
+
+    if (!emailResult.success) {
+      await invitation.deleteOne();
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation email'
+      });
+    }
+
+    // Only the newest link for an address stays valid
+    await Invitation.updateMany(
+      { _id: { $ne: invitation._id }, email, ...Invitation.pendingFilter() },
+      { revokedAt: new Date(), revokedBy: req.user.id }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations (Owner only)
+ *     description: Pending invitations by default, newest first.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, permit('users:invite'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const invitations = await Invitation.find(statusFilter(status))
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'username email')
+      .populate('user', 'username email');
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (Owner only)
+ *     description: The invitation link stops working immediately. The record is kept for the history.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: The invitation is no longer pending
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', auth, permit('users:invite'), async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.id) ? await Invitation.findById(req.params.id) : null;
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.id;
+    await invitation.save();
+
+    res.json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
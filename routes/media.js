@@ -0,0 +1,394 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const MediaAsset = require('../models/MediaAsset');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { collectReferences, refreshReferences, destroyAsset } = require('../utils/mediaReferences');
+
+const router = express.Router();
+
+const MEDIA_PAGE_SIZE = '50';
+
+// Query options accepted by GET /api/media
+const MEDIA_LIST = {
+  sortable: ['createdAt', 'bytes', 'referenceCount'],
+  fields: [
+    'publicId', 'url', 'storage', 'resourceType', 'folder', 'format', 'bytes', 'width', 'height', 'duration',
+    'originalName', 'uploadedBy', 'references', 'referenceCount', 'referencesCheckedAt', 'orphanedAt', 'createdAt'
+  ],
+  filters: {
+    storage: 'string',
+    resourceType: 'string',
+    folder: 'string',
+    format: 'string',
+    uploadedBy: 'objectId',
+    referenceCount: 'number',
+    name: { path: 'originalName', type: 'text' },
+    from: { path: 'createdAt', type: 'date', operator: 'gte' },
+    to: { path: 'createdAt', type: 'date', operator: 'lte' }
+  }
+};
+
+const findAsset = (id) => (mongoose.isValidObjectId(id) ? MediaAsset.findById(id) : null);
+
+/**
+ * @swagger
+ * /api/media:
+ *   get:
+ *     summary: List uploaded media
+ *     description: |
+ *       Every file uploaded to Cloudinary is recorded with its folder, type, size, dimensions and uploader.
+ *       `referenceCount` is the number of places the file is used, as of the last scan (`referencesCheckedAt`).
+ *       Use `referenceCount=0` to list unused files. Newest first, 50 per page by default.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: storage
+ *         schema:
+ *           type: string
+ *           enum: [cloudinary, local, s3]
+ *         description: Storage driver holding the file
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           enum: [image, video, raw]
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *         description: Cloudinary folder, or a comma-separated list
+ *         example: "blogs,services"
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *         example: "jpg"
+ *       - in: query
+ *         name: uploadedBy
+ *         schema:
+ *           type: string
+ *         description: Only files uploaded by this user ID
+ *       - in: query
+ *         name: referenceCount
+ *         schema:
+ *           type: integer
+ *         description: Exact reference count; supports operators such as `referenceCount[gte]=2`
+ *         example: 0
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Original file name contains this text (case-insensitive)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Uploaded on or after this date
+ *         example: "2024-06-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Uploaded on or before this date
+ *         example: "2024-06-30T23:59:59Z"
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Media retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 50
+ *                 total:
+ *                   type: integer
+ *                   example: 312
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 7
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MediaAsset'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, permit('media:write'), async (req, res) => {
+  try {
+    // Always paginated: every upload adds an entry
+    const query = typeof req.query.cursor === 'undefined'
+      ? { page: '1', limit: MEDIA_PAGE_SIZE, ...req.query }
+      : { limit: MEDIA_PAGE_SIZE, ...req.query };
+
+    const listQuery = parseListQuery(query, MEDIA_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: assets, meta } = await runListQuery(MediaAsset, {}, listQuery, {
+      populate: { path: 'uploadedBy', select: 'username email' }
+    });
+
+    res.json({
+      success: true,
+      count: assets.length,
+      ...meta,
+      data: assets
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/scan:
+ *   post:
+ *     summary: Recount media references now
+ *     description: |
+ *       Scans all content for files in use and updates `references`/`referenceCount` on every asset.
+ *       Files used by content but missing from the library (uploaded before it existed) are added.
+ *       The `cleanup-media` job runs the same scan every 6 hours.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scan completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assets:
+ *                       type: integer
+ *                       example: 312
+ *                     referenced:
+ *                       type: integer
+ *                       example: 290
+ *                     orphaned:
+ *                       type: integer
+ *                       example: 22
+ *                     orphanedBytes:
+ *                       type: integer
+ *                       example: 10485760
+ *                     added:
+ *                       type: integer
+ *                       description: Files found in content that were not in the library yet
+ *                       example: 0
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/scan', auth, permit('media:write'), async (req, res) => {
+  try {
+    const report = await refreshReferences();
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/{id}:
+ *   get:
+ *     summary: Get a single media asset
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media asset retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MediaAsset'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Media asset not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, permit('media:write'), async (req, res) => {
+  try {
+    const asset = await findAsset(req.params.id)?.populate('uploadedBy', 'username email');
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: asset
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/{id}:
+ *   delete:
+ *     summary: Delete an unused media asset
+ *     description: |
+ *       Destroys the file in its storage and removes it from the library. References are checked again first;
+ *       files still used anywhere, including by items in the trash, cannot be deleted.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media asset deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Media asset deleted successfully"
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Media asset not found
+ *       409:
+ *         description: The file is still in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: "Media asset is still in use"
+ *                 references:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MediaReference'
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', auth, permit('media:write'), async (req, res) => {
+  try {
+    const asset = await findAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found'
+      });
+    }
+
+    const found = (await collectReferences()).get(asset.publicId);
+    if (found) {
+      asset.references = found.references;
+      asset.referenceCount = found.references.length;
+      asset.referencesCheckedAt = new Date();
+      asset.orphanedAt = null;
+      await asset.save();
+
+      return res.status(409).json({
+        success: false,
+        message: 'Media asset is still in use',
+        references: found.references
+      });
+    }
+
+    await destroyAsset(asset);
+
+    res.json({
+      success: true,
+      message: 'Media asset deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
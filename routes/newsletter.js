@@ -0,0 +1,1009 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Subscriber = require('../models/Subscriber');
+const Newsletter = require('../models/Newsletter');
+const NewsletterDelivery = require('../models/NewsletterDelivery');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { subscribeLimiter } = require('../middleware/rateLimit');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const {
+  DEFAULT_POST_COUNT,
+  MAX_POST_COUNT,
+  requestSubscription,
+  confirmSubscription,
+  unsubscribe,
+  pickBlogs,
+  startSending
+} = require('../utils/newsletter');
+
+const router = express.Router();
+
+const PAGE_SIZE = '50';
+
+// Query options accepted by GET /api/newsletter/subscribers
+const SUBSCRIBER_LIST = {
+  sortable: ['createdAt', 'confirmedAt', 'email'],
+  fields: ['email', 'name', 'status', 'confirmedAt', 'unsubscribedAt', 'createdAt', 'updatedAt'],
+  filters: {
+    status: 'string',
+    email: 'text',
+    from: { path: 'createdAt', type: 'date', operator: 'gte' },
+    to: { path: 'createdAt', type: 'date', operator: 'lte' }
+  }
+};
+
+// Query options accepted by GET /api/newsletter/newsletters
+const NEWSLETTER_LIST = {
+  sortable: ['createdAt', 'sendStartedAt', 'sentAt'],
+  fields: ['subject', 'intro', 'blogs', 'posts', 'status', 'createdBy', 'sendStartedAt', 'sentAt', 'stats', 'createdAt', 'updatedAt'],
+  filters: {
+    status: 'string'
+  }
+};
+
+// Query options accepted by GET /api/newsletter/newsletters/:id/deliveries
+const DELIVERY_LIST = {
+  sortable: ['createdAt', 'sentAt', 'email'],
+  defaultSort: 'createdAt',
+  fields: ['subscriber', 'email', 'status', 'attempts', 'error', 'sentAt', 'createdAt', 'updatedAt'],
+  filters: {
+    status: 'string',
+    email: 'text'
+  }
+};
+
+const SUBSCRIBE_MESSAGE = 'Please check your inbox and confirm your subscription.';
+
+const paginated = (query) => (typeof query.cursor === 'undefined'
+  ? { page: '1', limit: PAGE_SIZE, ...query }
+  : { limit: PAGE_SIZE, ...query });
+
+const findNewsletter = (id) => (mongoose.isValidObjectId(id) ? Newsletter.findById(id) : null);
+
+const newsletterRules = (optional) => [
+  (optional ? body('subject').optional() : body('subject'))
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+  body('intro').optional().trim().isLength({ max: 2000 }).withMessage('Intro must be at most 2000 characters'),
+  body('blogs').optional().isArray({ max: MAX_POST_COUNT }).withMessage(`Blogs must be a list of at most ${MAX_POST_COUNT} IDs`),
+  body('blogs.*').isMongoId().withMessage('Each blog must be a valid ID')
+];
+
+/**
+ * @swagger
+ * /api/newsletter/subscribe:
+ *   post:
+ *     summary: Subscribe to the newsletter (public)
+ *     description: |
+ *       Emails a confirmation link (valid for 48 hours); nothing is sent to the address until it is opened.
+ *       The response is the same whether or not the address is already subscribed. Limited to 5 requests per IP per hour.
+ *     tags: [Newsletter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "reader@example.com"
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Jane"
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Please check your inbox and confirm your subscription."
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Server error
+ */
+router.post('/subscribe', subscribeLimiter, [
+  body('email').trim().isEmail().withMessage('Please provide a valid email').isLength({ max: 200 }).withMessage('Email is too long'),
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await requestSubscription({ email: req.body.email, name: req.body.name, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: SUBSCRIBE_MESSAGE
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/confirm:
+ *   get:
+ *     summary: Confirm a newsletter subscription (link from the confirmation email)
+ *     tags: [Newsletter]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Your subscription is confirmed"
+ *       400:
+ *         description: Invalid or expired confirmation link
+ *       500:
+ *         description: Server error
+ */
+router.get('/confirm', async (req, res) => {
+  try {
+    const subscriber = req.query.token ? await confirmSubscription(req.query.token) : null;
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your subscription is confirmed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/unsubscribe:
+ *   get:
+ *     summary: Unsubscribe from the newsletter (link in every newsletter)
+ *     tags: [Newsletter]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: One-click unsubscribe (List-Unsubscribe-Post)
+ *     description: Used by mail clients that support one-click unsubscribe. The token can also be sent in the body.
+ *     tags: [Newsletter]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       500:
+ *         description: Server error
+ */
+const handleUnsubscribe = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const subscriber = token ? await unsubscribe(token) : null;
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+router.get('/unsubscribe', handleUnsubscribe);
+router.post('/unsubscribe', handleUnsubscribe);
+
+/**
+ * @swagger
+ * /api/newsletter/subscribers:
+ *   get:
+ *     summary: List newsletter subscribers
+ *     description: Newest first, 50 per page by default.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: pending, subscribed or unsubscribed, or a comma-separated list
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Email contains this text
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Signed up on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Signed up on or before this date
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Subscribers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 50
+ *                 total:
+ *                   type: integer
+ *                   example: 420
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 9
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscriber'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/subscribers', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const listQuery = parseListQuery(paginated(req.query), SUBSCRIBER_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: subscribers, meta } = await runListQuery(Subscriber, {}, listQuery);
+
+    res.json({
+      success: true,
+      count: subscribers.length,
+      ...meta,
+      data: subscribers
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/subscribers/{id}:
+ *   delete:
+ *     summary: Delete a subscriber
+ *     description: Permanently removes the address, e.g. at the subscriber's request. Past delivery records keep the email.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscriber deleted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Subscriber not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/subscribers/:id', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const subscriber = mongoose.isValidObjectId(req.params.id) ? await Subscriber.findById(req.params.id) : null;
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscriber not found'
+      });
+    }
+
+    await subscriber.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Subscriber deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters:
+ *   get:
+ *     summary: List newsletters
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: draft, sending or sent, or a comma-separated list
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Newsletters retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Newsletter'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/newsletters', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, NEWSLETTER_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: newsletters, meta } = await runListQuery(Newsletter, {}, listQuery, {
+      populate: { path: 'createdBy', select: 'username email' }
+    });
+
+    res.json({
+      success: true,
+      count: newsletters.length,
+      ...meta,
+      data: newsletters
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters:
+ *   post:
+ *     summary: Compose a newsletter draft from blog posts
+ *     description: |
+ *       Without `blogs`, the draft includes the latest posts published since the last newsletter was sent
+ *       (at most `count`). Only published blogs are included.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Smile tips for June"
+ *               intro:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Here is what we wrote about this month."
+ *               blogs:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Blog IDs in the order they should appear
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 default: 5
+ *                 description: How many recent posts to include when `blogs` is not given
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Newsletter'
+ *       400:
+ *         description: Validation error or no published posts to include
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/newsletters', auth, permit('newsletter:write'), [
+  ...newsletterRules(false),
+  body('count').optional().isInt({ min: 1, max: MAX_POST_COUNT }).withMessage(`Count must be between 1 and ${MAX_POST_COUNT}`).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { subject, intro, blogs: blogIds, count = DEFAULT_POST_COUNT } = req.body;
+
+    const blogs = await pickBlogs({ blogIds, count });
+    if (blogs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: blogIds?.length ? 'None of the selected blogs are published' : 'No blog posts have been published since the last newsletter'
+      });
+    }
+
+    const newsletter = await Newsletter.create({
+      subject,
+      intro,
+      blogs,
+      createdBy: req.user.id
+    });
+    await newsletter.populate('blogs', 'cardInfo.title slug publishedAt');
+
+    res.status(201).json({
+      success: true,
+      data: newsletter
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters/{id}:
+ *   get:
+ *     summary: Get a newsletter with its delivery counts
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Newsletter retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Newsletter'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Newsletter not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/newsletters/:id', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const newsletter = await findNewsletter(req.params.id)
+      ?.populate('blogs', 'cardInfo.title slug publishedAt')
+      .populate('createdBy', 'username email');
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: newsletter
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters/{id}:
+ *   put:
+ *     summary: Edit a newsletter draft
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 maxLength: 200
+ *               intro:
+ *                 type: string
+ *                 maxLength: 2000
+ *               blogs:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Draft updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Newsletter'
+ *       400:
+ *         description: Validation error or no published posts selected
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Newsletter not found
+ *       409:
+ *         description: The newsletter has already been sent
+ *       500:
+ *         description: Server error
+ */
+router.put('/newsletters/:id', auth, permit('newsletter:write'), newsletterRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const newsletter = await findNewsletter(req.params.id);
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found'
+      });
+    }
+    if (newsletter.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only drafts can be edited'
+      });
+    }
+
+    const { subject, intro, blogs: blogIds } = req.body;
+
+    if (typeof blogIds !== 'undefined') {
+      const blogs = await pickBlogs({ blogIds });
+      if (blogs.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'None of the selected blogs are published'
+        });
+      }
+      newsletter.blogs = blogs;
+    }
+    if (typeof subject !== 'undefined') newsletter.subject = subject;
+    if (typeof intro !== 'undefined') newsletter.intro = intro;
+
+    await newsletter.save();
+    await newsletter.populate('blogs', 'cardInfo.title slug publishedAt');
+
+    res.json({
+      success: true,
+      data: newsletter
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters/{id}:
+ *   delete:
+ *     summary: Delete a newsletter draft
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft deleted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Newsletter not found
+ *       409:
+ *         description: The newsletter has already been sent
+ *       500:
+ *         description: Server error
+ */
+router.delete('/newsletters/:id', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const newsletter = await findNewsletter(req.params.id);
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found'
+      });
+    }
+    if (newsletter.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only drafts can be deleted'
+      });
+    }
+
+    await newsletter.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Newsletter deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters/{id}/send:
+ *   post:
+ *     summary: Send a newsletter to every confirmed subscriber
+ *     description: |
+ *       Freezes the draft's blog posts and queues one delivery per confirmed subscriber. The `send-newsletters`
+ *       job sends them in batches of `NEWSLETTER_BATCH_SIZE` (default 25) every minute, `NEWSLETTER_SEND_DELAY_MS`
+ *       (default 200) apart. Failed emails are retried up to 3 times. Follow progress in `stats` or the deliveries list.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Sending started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Newsletter'
+ *       400:
+ *         description: No published posts or no confirmed subscribers
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Newsletter not found
+ *       409:
+ *         description: The newsletter has already been sent
+ *       500:
+ *         description: Server error
+ */
+router.post('/newsletters/:id/send', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const newsletter = await findNewsletter(req.params.id);
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found'
+      });
+    }
+    if (newsletter.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Newsletter has already been sent'
+      });
+    }
+
+    const result = await startSending(newsletter);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: result.newsletter
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/newsletters/{id}/deliveries:
+ *   get:
+ *     summary: List a newsletter's per-recipient delivery status
+ *     description: In queue order, 50 per page by default.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: pending, sent, failed or skipped, or a comma-separated list
+ *         example: "failed"
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Recipient email contains this text
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 50
+ *                 total:
+ *                   type: integer
+ *                   example: 420
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 9
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NewsletterDelivery'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Newsletter not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/newsletters/:id/deliveries', auth, permit('newsletter:write'), async (req, res) => {
+  try {
+    const newsletter = await findNewsletter(req.params.id)?.select('_id');
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found'
+      });
+    }
+
+    const listQuery = parseListQuery(paginated(req.query), DELIVERY_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: deliveries, meta } = await runListQuery(NewsletterDelivery, { newsletter: newsletter._id }, listQuery);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      ...meta,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,17 +2,38 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Partner = require('../models/Partner');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
 const { uploadSingleImage, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
-const { deleteImage } = require('../config/cloudinary');
 
 const router = express.Router();
 
+// Query options accepted by GET /api/partners
+const PARTNER_LIST = {
+  sortable: ['createdAt', 'updatedAt', 'partnerName'],
+  fields: ['image', 'partnerName', 'isActive', 'createdAt', 'updatedAt'],
+  filters: {
+    partnerName: 'text'
+  }
+};
+
 /**
  * @swagger
  * /api/partners:
  *   get:
  *     summary: Get all partners
  *     tags: [Partners]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: partnerName
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the partner name
  *     responses:
  *       200:
  *         description: Partners retrieved successfully
@@ -27,20 +48,48 @@ const router = express.Router();
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   description: Total matches (page pagination only)
+ *                   example: 42
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 5
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to fetch the next page (cursor pagination only)
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Partner'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameter
  *       500:
  *         description: Server error
  */
 router.get('/', async (req, res) => {
   try {
-    const partners = await Partner.find({ isActive: true }).sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, PARTNER_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: partners, meta } = await runListQuery(Partner, { isActive: true }, listQuery);
     
     res.json({
       success: true,
       count: partners.length,
+      ...meta,
       data: partners
     });
   } catch (error) {
@@ -150,10 +199,12 @@ router.get('/:id', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload, [
+router.post('/', auth, permit('partners:write'), uploadSingleImage, handleUploadError, handleImageUpload, [
   body('partnerName').trim().isLength({ min: 1, max: 100 }).withMessage('Partner name must be between 1 and 100 characters')
 ], async (req, res) => {
   try {
@@ -168,10 +219,7 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
     const { partnerName } = req.body;
 
     const partner = await Partner.create({
-      image: {
-        public_id: req.cloudinaryData.public_id,
-        url: req.cloudinaryData.url
-      },
+      image: req.cloudinaryData,
       partnerName
     });
 
@@ -234,12 +282,14 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Partner not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', auth, [
+router.put('/:id', auth, permit('partners:write'), [
   body('partnerName').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Partner name must be between 1 and 100 characters'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
 ], async (req, res) => {
@@ -284,6 +334,7 @@ router.put('/:id', auth, [
  * /api/partners/{id}:
  *   delete:
  *     summary: Delete partner
+ *     description: Moves the partner to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Partners]
  *     security:
  *       - bearerAuth: []
@@ -296,7 +347,7 @@ router.put('/:id', auth, [
  *         description: Partner ID
  *     responses:
  *       200:
- *         description: Partner deleted successfully
+ *         description: Partner moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -307,15 +358,17 @@ router.put('/:id', auth, [
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Partner deleted successfully"
+ *                   example: "Partner moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Partner not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('partners:write'), async (req, res) => {
   try {
     const partner = await Partner.findById(req.params.id);
     if (!partner) {
@@ -325,16 +378,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (partner.image && partner.image.public_id) {
-      await deleteImage(partner.image.public_id);
-    }
-
-    await Partner.findByIdAndDelete(req.params.id);
+    // Files stay in storage until the trash is purged
+    await partner.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Partner deleted successfully'
+      message: 'Partner moved to trash'
     });
   } catch (error) {
     console.error(error);
@@ -1,19 +1,97 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Results = require('../models/Results');
+const Service = require('../models/Service');
+const Team = require('../models/Team');
 const auth = require('../middleware/auth');
-const { uploadResultsImages, handleResultsImagesUpload, handleUploadError } = require('../middleware/uploadResultsImages');
-const { deleteImage } = require('../config/cloudinary');
+const permit = require('../middleware/permit');
+const { hasPermission } = require('../config/roles');
+const { deleteImages } = require('../storage');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const {
+  uploadResultsImages,
+  handleResultsImagesUpload,
+  handleOptionalResultsImagesUpload,
+  handleUploadError
+} = require('../middleware/uploadResultsImages');
 
 const router = express.Router();
 
-// Log when router is created
-console.log('✅ Results router created');
+// Query options accepted by GET /api/results
+const RESULTS_LIST = {
+  sortable: ['order', 'createdAt', 'updatedAt', 'title'],
+  defaultSort: 'order,-createdAt',
+  fields: [
+    'title', 'description', 'beforeImage', 'afterImage', 'service', 'dentist', 'category', 'order',
+    'consent', 'isActive', 'createdAt', 'updatedAt'
+  ],
+  filters: {
+    title: 'text',
+    category: 'string',
+    service: 'objectId',
+    dentist: 'objectId'
+  }
+};
+
+const RESULTS_POPULATE = [
+  { path: 'service', select: 'cardInfo.title slug' },
+  { path: 'dentist', select: 'name designation' }
+];
+
+const isStaff = (req) => !!req.user && hasPermission(req.user.role, 'results:write');
+
+const WITH_CONSENT = { 'consent.obtainedAt': { $ne: null }, 'consent.documentRef': { $nin: [null, ''] } };
+const WITHOUT_CONSENT = { $or: [{ 'consent.obtainedAt': null }, { 'consent.documentRef': { $in: [null, ''] } }] };
+
+// Staff see every result (optionally only active ones with ?active=true, and
+// ?consent=missing for those the public gallery hides for lack of consent);
+// the public gallery only shows published results with consent on record
+const visibleResults = (req) => {
+  if (!isStaff(req)) {
+    return { isActive: true, ...WITH_CONSENT };
+  }
+  const query = req.query.active === 'true' ? { isActive: true } : {};
+  if (req.query.consent === 'missing') Object.assign(query, WITHOUT_CONSENT);
+  if (req.query.consent === 'recorded') Object.assign(query, WITH_CONSENT);
+  return query;
+};
+
+// Consent records are internal and never leave the dashboard
+const present = (req, result) => {
+  if (isStaff(req)) return result;
+  const data = result.toObject();
+  delete data.consent;
+  return data;
+};
+
+// The linked service and dentist must exist. Returns an error message or null.
+const findLinkError = async ({ service, dentist }) => {
+  if (service && !(await Service.exists({ _id: service }))) return 'Service not found';
+  if (dentist && !(await Team.exists({ _id: dentist }))) return 'Dentist not found';
+  return null;
+};
+
+// Consent from the request merged over the current record. Returns null when
+// the request clears consent and undefined when it does not mention it.
+const readConsent = (req, current) => {
+  const { consent } = req.body;
+  if (consent === null || consent === '') return null;
+  if (!consent || typeof consent !== 'object') return undefined;
+  if (typeof consent.obtainedAt === 'undefined' && typeof consent.documentRef === 'undefined') return undefined;
+  return {
+    obtainedAt: consent.obtainedAt ?? current?.obtainedAt,
+    documentRef: consent.documentRef ?? current?.documentRef,
+    recordedBy: req.user.id,
+    recordedAt: new Date()
+  };
+};
+
+const parseBoolean = (value) => value === true || value === 'true';
 
 // Test route to verify the router is loaded (must be before the /:id route)
 // This route doesn't require DB, so it can be used to test if the route is registered
 router.get('/test', (req, res) => {
-  console.log('✅ /api/results/test route hit - router is working!');
   res.json({
     success: true,
     message: 'Results route is working! Router is properly registered.',
@@ -27,7 +105,51 @@ router.get('/test', (req, res) => {
  * /api/results:
  *   get:
  *     summary: Get all results (before/after images)
+ *     description: |
+ *       The public gallery only lists active results with patient consent on record, without the consent details.
+ *       Signed-in staff with `results:write` see every result, or only active ones with `?active=true`.
+ *       `?active=true&consent=missing` lists results that are published but hidden from the gallery because
+ *       no consent is on record, e.g. those created before consent tracking. Sorted by `order`, then newest first.
+ *       New results are saved inactive unless they come with consent.
  *     tags: [Results]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Staff only - list active results only
+ *       - in: query
+ *         name: consent
+ *         schema:
+ *           type: string
+ *           enum: [missing, recorded]
+ *         description: Staff only - list results without or with patient consent on record
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Treatment category, or a comma-separated list
+ *         example: "Whitening"
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only results linked to this service ID
+ *       - in: query
+ *         name: dentist
+ *         schema:
+ *           type: string
+ *         description: Only results treated by this team member ID
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the title
  *     responses:
  *       200:
  *         description: Results retrieved successfully
@@ -42,40 +164,52 @@ router.get('/test', (req, res) => {
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   description: Total matches (page pagination only)
+ *                   example: 42
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 5
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to fetch the next page (cursor pagination only)
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Results'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameter
  *       500:
  *         description: Server error
  */
 // GET all results - MUST be before /:id route
-router.get('/', async (req, res) => {
+router.get('/', auth.optional, async (req, res) => {
   try {
-    console.log('✅ GET /api/results/ - Route handler called');
-    console.log('Request URL:', req.originalUrl);
-    console.log('Request path:', req.path);
-    console.log('Request method:', req.method);
-    console.log('Query params:', req.query);
+    const query = visibleResults(req);
     
-    // Build query - filter by isActive if requested (for public API)
-    // If no isActive param, return all (for dashboard)
-    const query = {};
-    if (req.query.active === 'true' || req.query.active === true) {
-      query.isActive = true;
-      console.log('Filtering by isActive: true (public API)');
-    } else {
-      console.log('Returning all results (dashboard mode)');
+    const listQuery = parseListQuery(req.query, RESULTS_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
     }
-    
-    console.log('Querying database for results with query:', query);
-    const results = await Results.find(query).sort({ createdAt: -1 });
-    console.log(`✅ Found ${results.length} results in database`);
+
+    const { data: results, meta } = await runListQuery(Results, query, listQuery, { populate: RESULTS_POPULATE });
     
     res.json({
       success: true,
       count: results.length,
-      data: results
+      ...meta,
+      data: results.map((result) => present(req, result))
     });
   } catch (error) {
     console.error('❌ Error in GET /api/results:', error);
@@ -90,6 +224,55 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/results/categories:
+ *   get:
+ *     summary: List treatment categories used by results
+ *     description: Distinct categories of the results visible to the caller, alphabetically
+ *     tags: [Results]
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Implants", "Orthodontics", "Whitening"]
+ *       500:
+ *         description: Server error
+ */
+router.get('/categories', auth.optional, async (req, res) => {
+  try {
+    const categories = (await Results.distinct('category', visibleResults(req)))
+      .filter(Boolean)
+      .sort((a, b) => a.localeCompare(b));
+
+    res.json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/results/{id}:
@@ -121,9 +304,11 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth.optional, async (req, res) => {
   try {
-    const result = await Results.findById(req.params.id);
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await Results.findOne({ _id: req.params.id, ...visibleResults(req) }).populate(RESULTS_POPULATE)
+      : null;
     
     if (!result) {
       return res.status(404).json({
@@ -134,7 +319,7 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: result
+      data: present(req, result)
     });
   } catch (error) {
     console.error(error);
@@ -150,6 +335,10 @@ router.get('/:id', async (req, res) => {
  * /api/results:
  *   post:
  *     summary: Create new result (Admin only)
+ *     description: |
+ *       A result can only be published (`isActive: true`) once the patient's consent is recorded with
+ *       `consent[obtainedAt]` and `consent[documentRef]`. When `isActive` is omitted the result is published
+ *       if consent is given and saved as inactive otherwise.
  *     tags: [Results]
  *     security:
  *       - bearerAuth: []
@@ -183,6 +372,33 @@ router.get('/:id', async (req, res) => {
  *                 maxLength: 100
  *                 example: "Patient achieved brighter smile after treatment"
  *                 description: Short description (7 words max)
+ *               service:
+ *                 type: string
+ *                 description: ID of the service performed
+ *               dentist:
+ *                 type: string
+ *                 description: ID of the treating team member
+ *               category:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Whitening"
+ *               order:
+ *                 type: integer
+ *                 example: 1
+ *                 description: Position in the gallery, lowest first
+ *               consent[obtainedAt]:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-05-02"
+ *                 description: Date the patient signed the consent form
+ *               consent[documentRef]:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "CONSENT-2024-0117"
+ *                 description: Where the signed consent form is kept
+ *               isActive:
+ *                 type: boolean
+ *                 description: Publish the result; requires consent
  *     responses:
  *       201:
  *         description: Result created successfully
@@ -197,18 +413,16 @@ router.get('/:id', async (req, res) => {
  *                 data:
  *                   $ref: '#/components/schemas/Results'
  *       400:
- *         description: Validation error
+ *         description: Validation error, unknown service or dentist, or publishing without consent
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
 // Wrapper to handle multer errors properly
 const handleMulterUpload = (req, res, next) => {
-  console.log('handleMulterUpload - Starting file upload parsing...');
-  console.log('Content-Type:', req.headers['content-type']);
-  console.log('Content-Length:', req.headers['content-length']);
-  
   uploadResultsImages(req, res, (err) => {
     if (err) {
       console.error('Multer error:', err);
@@ -216,13 +430,45 @@ const handleMulterUpload = (req, res, next) => {
       console.error('Multer error message:', err.message);
       return handleUploadError(err, req, res, next);
     }
-    console.log('Multer parsing successful');
-    console.log('Files parsed:', req.files ? Object.keys(req.files) : 'No files');
-    console.log('Body parsed:', req.body ? Object.keys(req.body) : 'No body');
     next();
   });
 };
 
+// Gallery details shared by create and update; empty values clear a link
+const resultDetailRules = [
+  body('service').optional({ values: 'falsy' }).isMongoId().withMessage('Service must be a valid ID'),
+  body('dentist').optional({ values: 'falsy' }).isMongoId().withMessage('Dentist must be a valid ID'),
+  body('category').optional().trim().isLength({ max: 50 }).withMessage('Category must be at most 50 characters'),
+  body('order').optional().isInt().withMessage('Order must be a whole number').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('consent.obtainedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('consent.obtainedAt must be an ISO 8601 date')
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('consent.obtainedAt cannot be in the future'),
+  body('consent.documentRef')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('consent.documentRef cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('consent.documentRef must be at most 200 characters')
+];
+
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
 // Validation middleware (runs after multer parses the form)
 const validateResultsInput = [
   body('title')
@@ -237,36 +483,34 @@ const validateResultsInput = [
     .withMessage('Description is required')
     .isLength({ min: 1, max: 100 })
     .withMessage('Description must be between 1 and 100 characters (7 words max)'),
-  // Check validation errors
-  (req, res, next) => {
-    console.log('Validating request body:', req.body);
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      console.log('Validation errors:', errors.array());
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    console.log('Validation passed');
-    next();
-  }
+  ...resultDetailRules,
+  checkValidation
+];
+
+const validateResultsUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Title must be between 1 and 50 characters (4-5 words max)'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Description must be between 1 and 100 characters (7 words max)'),
+  ...resultDetailRules,
+  checkValidation
 ];
 
 // Route handler with proper middleware chain
 router.post('/', 
   auth, 
+  permit('results:write'),
   handleMulterUpload, 
   ...validateResultsInput, 
   handleResultsImagesUpload, 
   async (req, res) => {
     try {
-      console.log('POST /api/results - Creating new result');
-      console.log('Request body:', req.body);
-      console.log('Files received:', req.files ? Object.keys(req.files) : 'No files');
-      console.log('Cloudinary data:', req.cloudinaryData ? 'Present' : 'Missing');
-      
       const { title, description } = req.body;
 
       // Validate that we have the required data
@@ -285,20 +529,45 @@ router.post('/',
         });
       }
 
-      const result = await Results.create({
+      // Images uploaded for this request are discarded if the result is not saved
+      const discardUploads = () => deleteImages(Object.values(req.cloudinaryData).map((image) => image.public_id));
+
+      const linkError = await findLinkError(req.body);
+      if (linkError) {
+        await discardUploads();
+        return res.status(400).json({
+          success: false,
+          message: linkError
+        });
+      }
+
+      const result = new Results({
         title: title.trim(),
         description: description.trim(),
-        beforeImage: {
-          public_id: req.cloudinaryData.beforeImage.public_id,
-          url: req.cloudinaryData.beforeImage.url
-        },
-        afterImage: {
-          public_id: req.cloudinaryData.afterImage.public_id,
-          url: req.cloudinaryData.afterImage.url
-        }
+        beforeImage: req.cloudinaryData.beforeImage,
+        afterImage: req.cloudinaryData.afterImage,
+        service: req.body.service || undefined,
+        dentist: req.body.dentist || undefined,
+        category: req.body.category || undefined,
+        order: req.body.order,
+        consent: readConsent(req) || undefined
       });
+      // Published straight away only when consent comes with it
+      result.isActive = typeof req.body.isActive !== 'undefined' ? parseBoolean(req.body.isActive) : result.hasConsent();
+
+      try {
+        await result.save();
+      } catch (error) {
+        await discardUploads();
+        if (error instanceof mongoose.Error.ValidationError) {
+          return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors)[0].message
+          });
+        }
+        throw error;
+      }
 
-      console.log('Result created successfully:', result._id);
       res.status(201).json({
         success: true,
         data: result
@@ -315,11 +584,232 @@ router.post('/',
   }
 );
 
+/**
+ * @swagger
+ * /api/results/{id}:
+ *   put:
+ *     summary: Update a result (Admin only)
+ *     description: |
+ *       Send `multipart/form-data` to replace the before and/or after image, or JSON to change details only.
+ *       Replaced images are deleted once the update is saved. Publishing (`isActive: true`) requires consent
+ *       on record; clearing consent with `consent: null` (or an empty `consent` form field) unpublishes the result.
+ *     tags: [Results]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Result ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               beforeImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: New before treatment image
+ *               afterImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: New after treatment image
+ *               beforeImageFocalPoint:
+ *                 type: string
+ *                 example: "0.5,0.4"
+ *               afterImageFocalPoint:
+ *                 type: string
+ *                 example: "0.5,0.4"
+ *               title:
+ *                 type: string
+ *                 maxLength: 50
+ *               description:
+ *                 type: string
+ *                 maxLength: 100
+ *               service:
+ *                 type: string
+ *                 description: Service ID; empty to unlink
+ *               dentist:
+ *                 type: string
+ *                 description: Team member ID; empty to unlink
+ *               category:
+ *                 type: string
+ *                 maxLength: 50
+ *               order:
+ *                 type: integer
+ *               consent[obtainedAt]:
+ *                 type: string
+ *                 format: date
+ *               consent[documentRef]:
+ *                 type: string
+ *                 maxLength: 200
+ *               isActive:
+ *                 type: boolean
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Implant Restoration"
+ *               description:
+ *                 type: string
+ *                 maxLength: 100
+ *               service:
+ *                 type: string
+ *                 nullable: true
+ *               dentist:
+ *                 type: string
+ *                 nullable: true
+ *               category:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Implants"
+ *               order:
+ *                 type: integer
+ *                 example: 2
+ *               consent:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   obtainedAt:
+ *                     type: string
+ *                     format: date
+ *                     example: "2024-05-02"
+ *                   documentRef:
+ *                     type: string
+ *                     maxLength: 200
+ *                     example: "CONSENT-2024-0117"
+ *               isActive:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Result updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Results'
+ *       400:
+ *         description: Validation error, unknown service or dentist, or publishing without consent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Result not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id',
+  auth,
+  permit('results:write'),
+  handleMulterUpload,
+  ...validateResultsUpdate,
+  handleOptionalResultsImagesUpload,
+  async (req, res) => {
+    // Images uploaded for this request are discarded if the update does not go through
+    const uploaded = req.cloudinaryData || {};
+    const discardUploads = () => deleteImages(Object.values(uploaded).map((image) => image.public_id));
+    let written = false;
+
+    try {
+      const result = mongoose.isValidObjectId(req.params.id) ? await Results.findById(req.params.id) : null;
+      if (!result) {
+        await discardUploads();
+        return res.status(404).json({
+          success: false,
+          message: 'Result not found'
+        });
+      }
+
+      const linkError = await findLinkError(req.body);
+      if (linkError) {
+        await discardUploads();
+        return res.status(400).json({
+          success: false,
+          message: linkError
+        });
+      }
+
+      const { title, description, service, dentist, category, order, isActive } = req.body;
+      const previousImages = {
+        beforeImage: result.beforeImage?.public_id,
+        afterImage: result.afterImage?.public_id
+      };
+
+      if (typeof title !== 'undefined') result.title = title;
+      if (typeof description !== 'undefined') result.description = description;
+      if (typeof service !== 'undefined') result.service = service || undefined;
+      if (typeof dentist !== 'undefined') result.dentist = dentist || undefined;
+      if (typeof category !== 'undefined') result.category = category || undefined;
+      if (typeof order !== 'undefined') result.order = order;
+      if (uploaded.beforeImage) result.beforeImage = uploaded.beforeImage;
+      if (uploaded.afterImage) result.afterImage = uploaded.afterImage;
+
+      const consent = readConsent(req, result.consent);
+      if (consent === null) {
+        // Without consent the result cannot stay in the public gallery
+        result.consent = undefined;
+        result.isActive = false;
+      } else if (consent) {
+        result.consent = consent;
+      }
+      if (typeof isActive !== 'undefined') result.isActive = parseBoolean(isActive);
+
+      try {
+        await result.save();
+      } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+          await discardUploads();
+          return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors)[0].message
+          });
+        }
+        throw error;
+      }
+      written = true;
+
+      // Replaced images are only removed once the new ones are saved
+      await deleteImages([
+        uploaded.beforeImage && previousImages.beforeImage,
+        uploaded.afterImage && previousImages.afterImage
+      ]);
+
+      await result.populate(RESULTS_POPULATE);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in PUT /api/results/:id:', error);
+      if (!written) await discardUploads();
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/results/{id}:
  *   delete:
  *     summary: Delete a result (Admin only)
+ *     description: Moves the result to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Results]
  *     security:
  *       - bearerAuth: []
@@ -332,7 +822,7 @@ router.post('/',
  *         description: Result ID
  *     responses:
  *       200:
- *         description: Result deleted successfully
+ *         description: Result moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -343,15 +833,17 @@ router.post('/',
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Result deleted successfully"
+ *                   example: "Result moved to trash"
  *       404:
  *         description: Result not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('results:write'), async (req, res) => {
   try {
     const result = await Results.findById(req.params.id);
     
@@ -362,21 +854,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete images from Cloudinary
-    try {
-      await deleteImage(result.beforeImage.public_id);
-      await deleteImage(result.afterImage.public_id);
-    } catch (cloudinaryError) {
-      console.error('Error deleting images from Cloudinary:', cloudinaryError);
-      // Continue with deletion even if Cloudinary deletion fails
-    }
-
-    // Delete from database
-    await Results.findByIdAndDelete(req.params.id);
+    // Files stay in storage until the trash is purged
+    await result.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Result deleted successfully'
+      message: 'Result moved to trash'
     });
   } catch (error) {
     console.error(error);
@@ -0,0 +1,193 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const Service = require('../models/Service');
+const FAQ = require('../models/FAQ');
+const { publishedFilter } = require('../utils/publishing');
+const { extractTerms, buildSnippet } = require('../utils/search');
+
+const router = express.Router();
+
+const paragraphTexts = (content) => [
+  content.description,
+  ...(content.paras || []).flatMap((para) => [para.heading, para.content]),
+  ...(content.pointParas || []).flatMap((point) => [point.heading, ...(point.sentences || [])])
+];
+
+// Searchable content types. Each one relies on the text index declared on its model.
+const SEARCH_SOURCES = {
+  blog: {
+    Model: Blog,
+    filter: publishedFilter,
+    select: 'blogContent slug',
+    toResult: (doc) => ({
+      title: doc.blogContent.title,
+      slug: doc.slug,
+      texts: paragraphTexts(doc.blogContent)
+    })
+  },
+  service: {
+    Model: Service,
+    filter: publishedFilter,
+    select: 'serviceBlog slug',
+    toResult: (doc) => ({
+      title: doc.serviceBlog.title,
+      slug: doc.slug,
+      texts: paragraphTexts(doc.serviceBlog)
+    })
+  },
+  faq: {
+    Model: FAQ,
+    filter: () => ({ isActive: true }),
+    select: 'question answer',
+    toResult: (doc) => ({
+      title: doc.question,
+      texts: [doc.answer]
+    })
+  }
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search blogs, services and FAQs
+ *     description: |
+ *       Full-text search over published blog and service content and active FAQs using MongoDB text indexes.
+ *       Supports "quoted phrases" and -excluded words. Results from all types are merged and ranked by relevance;
+ *       snippets wrap matching words in <mark> tags and are otherwise HTML-escaped.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         example: "teeth whitening"
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated content types to search (blog, service, faq). Defaults to all.
+ *         example: "blog,faq"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 query:
+ *                   type: string
+ *                   example: "teeth whitening"
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 totals:
+ *                   type: object
+ *                   description: Number of matches per content type
+ *                   example: { blog: 2, service: 1, faq: 0 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search query must be between 2 and 100 characters'),
+  query('type').optional().custom((value) => String(value).split(',').every((type) => SEARCH_TYPES.includes(type.trim())))
+    .withMessage(`Type must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const q = req.query.q;
+    const limit = parseInt(req.query.limit) || 10;
+    const types = req.query.type
+      ? [...new Set(String(req.query.type).split(',').map((type) => type.trim()))]
+      : SEARCH_TYPES;
+    const terms = extractTerms(q);
+
+    const searches = types.map(async (type) => {
+      const source = SEARCH_SOURCES[type];
+      const filter = { ...source.filter(), $text: { $search: q } };
+
+      const [docs, total] = await Promise.all([
+        source.Model.find(filter, { score: { $meta: 'textScore' } })
+          .select(source.select)
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(limit)
+          .lean(),
+        source.Model.countDocuments(filter)
+      ]);
+
+      return {
+        type,
+        total,
+        results: docs.map((doc) => {
+          const { title, slug, texts } = source.toResult(doc);
+          return {
+            type,
+            id: doc._id,
+            title,
+            ...(slug ? { slug } : {}),
+            score: doc.score,
+            snippet: buildSnippet(texts, terms)
+          };
+        })
+      };
+    });
+
+    const grouped = await Promise.all(searches);
+    const totals = {};
+    for (const group of grouped) {
+      totals[group.type] = group.total;
+    }
+
+    const data = grouped
+      .flatMap((group) => group.results)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      query: q,
+      count: data.length,
+      totals,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SecuritySettings = require('../models/SecuritySettings');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { ROLES } = require('../config/roles');
+const { revokeAllSessions } = require('../utils/tokens');
+
+const router = express.Router();
+
+const POLICY_FLAGS = [
+  'requireLowercase',
+  'requireUppercase',
+  'requireNumber',
+  'requireSymbol',
+  'disallowPersonalInfo',
+  'rejectCommon',
+  'rejectBreached'
+];
+const POLICY_FIELDS = ['minLength', 'historySize', ...POLICY_FLAGS];
+
+/**
+ * @swagger
+ * /api/security-settings:
+ *   get:
+ *     summary: Get account security settings (owner only)
+ *     tags: [Security Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SecuritySettings'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, permit('security-settings:write'), async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/security-settings:
+ *   put:
+ *     summary: Update account security settings (owner only)
+ *     description: |
+ *       Members of the roles in `twoFactorRequiredRoles` must enroll in two-factor authentication at their next login.
+ *       Other users in newly required roles who have not enrolled yet are signed out immediately.
+ *
+ *       `passwordPolicy` applies to passwords set from now on (reset, invitation, profile); existing passwords are
+ *       not checked. Send only the fields to change.
+ *     tags: [Security Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [owner, admin, editor, receptionist]
+ *                 example: ["owner", "admin"]
+ *               passwordPolicy:
+ *                 $ref: '#/components/schemas/PasswordPolicy'
+ *     responses:
+ *       200:
+ *         description: Security settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SecuritySettings'
+ *                 usersSignedOut:
+ *                   type: integer
+ *                   description: Users signed out because they must now enroll in 2FA
+ *                   example: 2
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.put('/', auth, permit('security-settings:write'), [
+  body('twoFactorRequiredRoles').optional().isArray().withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*').isIn(ROLES).withMessage(`Roles must be one of: ${ROLES.join(', ')}`),
+  body('passwordPolicy').optional().isObject().withMessage('passwordPolicy must be an object'),
+  body('passwordPolicy.minLength').optional().isInt({ min: 6, max: 72 }).withMessage('minLength must be between 6 and 72').toInt(),
+  body('passwordPolicy.historySize').optional().isInt({ min: 0, max: 24 }).withMessage('historySize must be between 0 and 24').toInt(),
+  body(POLICY_FLAGS.map((flag) => `passwordPolicy.${flag}`)).optional().isBoolean().withMessage('Policy flags must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const settings = await SecuritySettings.getSettings();
+    let usersSignedOut = 0;
+
+    if (req.body.twoFactorRequiredRoles) {
+      const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+      const added = roles.filter((role) => !settings.twoFactorRequiredRoles.includes(role));
+      settings.twoFactorRequiredRoles = roles;
+
+      if (added.length > 0) {
+        const unenrolled = await User.find({
+          _id: { $ne: req.user.id },
+          role: { $in: added },
+          'twoFactor.enabled': { $ne: true }
+        }).select('_id');
+
+        for (const user of unenrolled) {
+          await revokeAllSessions(user._id);
+        }
+        usersSignedOut = unenrolled.length;
+      }
+    }
+
+    if (req.body.passwordPolicy) {
+      for (const field of POLICY_FIELDS) {
+        if (typeof req.body.passwordPolicy[field] !== 'undefined') {
+          settings.set(`passwordPolicy.${field}`, req.body.passwordPolicy[field]);
+        }
+      }
+    }
+
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      data: settings,
+      usersSignedOut
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,31 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Service = require('../models/Service');
+const Revision = require('../models/Revision');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { localize } = require('../utils/i18n');
+const { visibilityFilter, resolvePublication, PUBLICATION_STATUSES } = require('../utils/publishing');
+const { generateUniqueSlug, buildSlugUpdate } = require('../utils/slug');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { recordRevision, diffRevisions, applyRevision } = require('../utils/revisions');
 const { uploadSingleImage, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
-const { uploadMultipleSpecificImages, handleMultipleImageUpload, handleUploadError: handleMultipleUploadError } = require('../middleware/uploadMultipleImages');
-const { deleteImage, uploadImage } = require('../config/cloudinary');
+const { uploadMultipleSpecificImages, handleMultipleImageUpload, handleOptionalMultipleImageUpload, handleUploadError: handleMultipleUploadError } = require('../middleware/uploadMultipleImages');
+const { uploadImage, deleteImages } = require('../storage');
 
 const router = express.Router();
 
+// Query options accepted by GET /api/services
+const SERVICE_LIST = {
+  sortable: ['createdAt', 'updatedAt', 'publishedAt', 'cardInfo.title'],
+  fields: ['cardInfo', 'serviceBlog', 'slug', 'status', 'publishAt', 'publishedAt', 'isActive', 'createdAt', 'updatedAt'],
+  filters: {
+    title: { path: 'cardInfo.title', type: 'text' },
+    createdAt: 'date',
+    publishedAt: 'date'
+  }
+};
+
 // Validate text fields BEFORE any Cloudinary upload to avoid unnecessary uploads
 function validateCreateService(req, res, next) {
   try {
@@ -61,7 +79,32 @@ function validateCreateService(req, res, next) {
  * /api/services:
  *   get:
  *     summary: Get all services
+ *     description: Anonymous callers only receive published services. Staff with services:write receive every status.
  *     tags: [Services]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *         description: Filter by publication status (staff only)
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the card title
+ *         example: "whitening"
+ *       - in: query
+ *         name: publishedAt
+ *         schema:
+ *           type: object
+ *         description: Date range, e.g. publishedAt[gte]=2024-01-01
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Services retrieved successfully
@@ -76,21 +119,115 @@ function validateCreateService(req, res, next) {
  *                 count:
  *                   type: integer
  *                   example: 6
+ *                 total:
+ *                   type: integer
+ *                   description: Total matches (page pagination only)
+ *                   example: 42
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 5
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to fetch the next page (cursor pagination only)
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameter
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', auth.optional, async (req, res) => {
   try {
-    const services = await Service.find({ isActive: true }).sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, SERVICE_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: services, meta } = await runListQuery(Service, visibilityFilter(req, 'services:write'), listQuery);
     
     res.json({
       success: true,
       count: services.length,
-      data: services
+      ...meta,
+      data: localize(Service, services, req.locale)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/slug/{slug}:
+ *   get:
+ *     summary: Get single service by slug
+ *     description: Slugs are generated from the card title. Requests for a retired slug are redirected (301) to the current one.
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "complete-guide-to-oral-hygiene"
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: Service retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Service'
+ *       301:
+ *         description: Slug has changed; Location header points to the current slug
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/slug/:slug', auth.optional, async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const visible = visibilityFilter(req, 'services:write');
+
+    const service = await Service.findOne({ slug, ...visible });
+    if (service) {
+      return res.json({
+        success: true,
+        data: localize(Service, service, req.locale)
+      });
+    }
+
+    const renamed = await Service.findOne({ slugHistory: slug, ...visible }).select('slug');
+    if (renamed && renamed.slug) {
+      return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`);
+    }
+
+    res.status(404).json({
+      success: false,
+      message: 'Service not found'
     });
   } catch (error) {
     console.error(error);
@@ -114,6 +251,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Service ID
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Service retrieved successfully
@@ -132,9 +270,9 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth.optional, async (req, res) => {
   try {
-    const service = await Service.findById(req.params.id);
+    const service = await Service.findOne({ _id: req.params.id, ...visibilityFilter(req, 'services:write') });
     
     if (!service) {
       return res.status(404).json({
@@ -145,7 +283,7 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: service
+      data: localize(Service, service, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -214,6 +352,15 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *                 description: JSON string of YouTube links array
  *                 example: '["https://youtube.com/watch?v=abc123","https://youtu.be/def456"]'
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 default: published
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when status is scheduled
+ *                 example: "2024-06-01T09:00:00.000Z"
  *     responses:
  *       201:
  *         description: Service created successfully
@@ -231,10 +378,12 @@ router.get('/:id', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, uploadMultipleSpecificImages, validateCreateService, handleMultipleUploadError, handleMultipleImageUpload, async (req, res) => {
+router.post('/', auth, permit('services:write'), uploadMultipleSpecificImages, validateCreateService, handleMultipleUploadError, handleMultipleImageUpload, async (req, res) => {
   try {
     const { 
       cardTitle, 
@@ -295,20 +444,24 @@ router.post('/', auth, uploadMultipleSpecificImages, validateCreateService, hand
       }
     }
 
+    const publication = resolvePublication(req.body.status || 'published', req.body.publishAt);
+    if (publication.error) {
+      return res.status(400).json({
+        success: false,
+        message: publication.error
+      });
+    }
+
     const service = await Service.create({
+      ...publication.fields,
+      slug: await generateUniqueSlug(Service, cardTitle),
       cardInfo: {
         title: cardTitle,
         description: cardDescription,
-        image: {
-          public_id: req.cloudinaryData.cardImage.public_id,
-          url: req.cloudinaryData.cardImage.url
-        }
+        image: req.cloudinaryData.cardImage
       },
       serviceBlog: {
-        heroImage: {
-          public_id: req.cloudinaryData.heroImage.public_id,
-          url: req.cloudinaryData.heroImage.url
-        },
+        heroImage: req.cloudinaryData.heroImage,
         title: blogTitle,
         description: blogDescription,
         paras: parsedParas,
@@ -317,6 +470,8 @@ router.post('/', auth, uploadMultipleSpecificImages, validateCreateService, hand
       }
     });
 
+    await recordRevision(service, { action: 'create', userId: req.user.id });
+
     res.status(201).json({
       success: true,
       data: service
@@ -330,11 +485,46 @@ router.post('/', auth, uploadMultipleSpecificImages, validateCreateService, hand
   }
 });
 
+// Multipart updates send nested fields as strings (e.g. serviceBlog[paras] holding
+// JSON). Normalise and validate them BEFORE any Cloudinary upload.
+function validateUpdateService(req, res, next) {
+  try {
+    const body = req.body || {};
+    const content = body.serviceBlog;
+
+    if (content && typeof content === 'object') {
+      if (typeof content.paras === 'string') content.paras = JSON.parse(content.paras);
+      if (typeof content.pointParas === 'string') content.pointParas = JSON.parse(content.pointParas);
+      if (typeof content.youtubeLinks === 'string') {
+        content.youtubeLinks = content.youtubeLinks.startsWith('[')
+          ? JSON.parse(content.youtubeLinks)
+          : content.youtubeLinks.split(',').map((l) => l.trim()).filter(Boolean);
+      }
+
+      const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/)\w[\w-]*/;
+      for (const link of Array.isArray(content.youtubeLinks) ? content.youtubeLinks : []) {
+        if (!youtubeRegex.test(link)) {
+          return res.status(400).json({ success: false, message: 'Invalid YouTube URL format' });
+        }
+      }
+    }
+
+    if (typeof body.isActive === 'string') body.isActive = body.isActive === 'true';
+
+    return next();
+  } catch (e) {
+    return res.status(400).json({ success: false, message: 'Invalid JSON for paras/pointParas/youtubeLinks' });
+  }
+}
+
 /**
  * @swagger
  * /api/services/{id}:
  *   put:
  *     summary: Update service
+ *     description: |
+ *       Send JSON to change text only, or multipart/form-data to also replace the card and/or hero image.
+ *       Only the images included are replaced; the old files are deleted from Cloudinary once the update is saved.
  *     tags: [Services]
  *     security:
  *       - bearerAuth: []
@@ -396,6 +586,50 @@ router.post('/', auth, uploadMultipleSpecificImages, validateCreateService, hand
  *                       type: string
  *               isActive:
  *                 type: boolean
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when status is scheduled
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cardImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: New card image (optional)
+ *               heroImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: New hero image (optional)
+ *               cardInfo[title]:
+ *                 type: string
+ *               cardInfo[description]:
+ *                 type: string
+ *               serviceBlog[title]:
+ *                 type: string
+ *               serviceBlog[description]:
+ *                 type: string
+ *               serviceBlog[paras]:
+ *                 type: string
+ *                 description: JSON array of paragraphs
+ *               serviceBlog[pointParas]:
+ *                 type: string
+ *                 description: JSON array of point paragraphs
+ *               serviceBlog[youtubeLinks]:
+ *                 type: string
+ *                 description: JSON array or comma-separated YouTube URLs
+ *               isActive:
+ *                 type: boolean
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       200:
  *         description: Service updated successfully
@@ -413,26 +647,33 @@ router.post('/', auth, uploadMultipleSpecificImages, validateCreateService, hand
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Service not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, permit('services:write'), uploadMultipleSpecificImages, validateUpdateService, handleMultipleUploadError, handleOptionalMultipleImageUpload, async (req, res) => {
+  // Images uploaded for this request are discarded if the update does not go through
+  const uploaded = req.cloudinaryData || {};
+  const discardUploads = () => deleteImages(Object.values(uploaded).map((image) => image.public_id));
+  let written = false;
+
   try {
     const existing = await Service.findById(req.params.id);
     if (!existing) {
+      await discardUploads();
       return res.status(404).json({ success: false, message: 'Service not found' });
     }
 
     const body = req.body || {};
-    const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/)\w[\w-]*/;
 
     const update = {
       cardInfo: {
         title: body.cardInfo?.title ?? existing.cardInfo.title,
         description: body.cardInfo?.description ?? existing.cardInfo.description,
-        image: existing.cardInfo.image,
+        image: uploaded.cardImage || existing.cardInfo.image,
       },
       serviceBlog: {
         title: body.serviceBlog?.title ?? existing.serviceBlog.title,
@@ -440,32 +681,492 @@ router.put('/:id', auth, async (req, res) => {
         paras: body.serviceBlog?.paras ?? existing.serviceBlog.paras,
         pointParas: body.serviceBlog?.pointParas ?? existing.serviceBlog.pointParas,
         youtubeLinks: body.serviceBlog?.youtubeLinks ?? existing.serviceBlog.youtubeLinks,
-        heroImage: existing.serviceBlog.heroImage,
+        heroImage: uploaded.heroImage || existing.serviceBlog.heroImage,
       },
       isActive: typeof body.isActive !== 'undefined' ? !!body.isActive : existing.isActive,
     };
 
-    if (Array.isArray(update.serviceBlog.youtubeLinks)) {
-      for (const link of update.serviceBlog.youtubeLinks) {
-        if (!youtubeRegex.test(link)) {
-          return res.status(400).json({ success: false, message: 'Invalid YouTube URL format' });
-        }
+    if (typeof body.status !== 'undefined') {
+      const publication = resolvePublication(body.status, body.publishAt);
+      if (publication.error) {
+        await discardUploads();
+        return res.status(400).json({ success: false, message: publication.error });
       }
+      Object.assign(update, publication.fields);
     }
 
+    Object.assign(update, await buildSlugUpdate(Service, existing, update.cardInfo.title));
+
     const updated = await Service.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+    written = true;
+
+    // Replaced images are only removed once the new ones are saved
+    await deleteImages([
+      uploaded.cardImage && existing.cardInfo.image?.public_id,
+      uploaded.heroImage && existing.serviceBlog.heroImage?.public_id
+    ]);
+
+    await recordRevision(updated, { action: 'update', userId: req.user.id, previous: existing });
     return res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Service update error:', error);
+    if (!written) await discardUploads();
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+/**
+ * @swagger
+ * /api/services/{id}/status:
+ *   put:
+ *     summary: Change a service's publication status
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 example: "scheduled"
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when status is scheduled; a past time publishes immediately
+ *                 example: "2024-06-01T09:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Invalid status or publishAt
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/status', auth, permit('services:write'), [
+  body('status').isIn(PUBLICATION_STATUSES).withMessage(`Status must be one of: ${PUBLICATION_STATUSES.join(', ')}`),
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('publishAt must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const publication = resolvePublication(req.body.status, req.body.publishAt);
+    if (publication.error) {
+      return res.status(400).json({
+        success: false,
+        message: publication.error
+      });
+    }
+
+    const service = await Service.findByIdAndUpdate(req.params.id, publication.fields, { new: true, runValidators: true });
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{id}/revisions:
+ *   get:
+ *     summary: List a service's revisions
+ *     description: Every create, update and rollback stores a numbered snapshot of the service's text content. Newest first; snapshots are omitted, use the single revision endpoint to read one.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 4
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Revision'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/revisions', auth, permit('services:write'), async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id).select('_id');
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const revisions = await Revision.find({ model: 'Service', documentId: service._id })
+      .select('-content')
+      .sort({ version: -1 })
+      .populate('createdBy', 'username email');
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a service
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision number
+ *         example: 2
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number (defaults to the latest)
+ *         example: 5
+ *     responses:
+ *       200:
+ *         description: Diff computed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 from:
+ *                   type: integer
+ *                   example: 2
+ *                 to:
+ *                   type: integer
+ *                   example: 5
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                         example: "serviceBlog.paras"
+ *                       before: {}
+ *                       after: {}
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Service or revision not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/revisions/diff', auth, permit('services:write'), [
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a revision number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.params.id).select('_id');
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const history = { model: 'Service', documentId: service._id };
+    const from = await Revision.findOne({ ...history, version: Number(req.query.from) });
+    const to = req.query.to
+      ? await Revision.findOne({ ...history, version: Number(req.query.to) })
+      : await Revision.findOne(history).sort({ version: -1 });
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      from: from.version,
+      to: to.version,
+      changes: diffRevisions(from, to)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{id}/revisions/{version}:
+ *   get:
+ *     summary: Get a single service revision with its content snapshot
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Revision'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Service or revision not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/revisions/:version', auth, permit('services:write'), async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id).select('_id');
+    const revision = service && /^\d+$/.test(req.params.version)
+      ? await Revision.findOne({ model: 'Service', documentId: service._id, version: Number(req.params.version) })
+        .populate('createdBy', 'username email')
+      : null;
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: service ? 'Revision not found' : 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/services/{id}/revisions/{version}/rollback:
+ *   post:
+ *     summary: Roll a service back to an earlier revision
+ *     description: Restores the titles, descriptions, paragraphs and YouTube links from the revision and records the result as a new revision, so a rollback can itself be undone. Images and publication status are left as they are.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Service rolled back successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Service rolled back to revision 3"
+ *                 revision:
+ *                   type: integer
+ *                   description: Number of the new revision created by the rollback
+ *                   example: 6
+ *                 data:
+ *                   $ref: '#/components/schemas/Service'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Service or revision not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/revisions/:version/rollback', auth, permit('services:write'), async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+    const revision = service && /^\d+$/.test(req.params.version)
+      ? await Revision.findOne({ model: 'Service', documentId: service._id, version: Number(req.params.version) })
+      : null;
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: service ? 'Revision not found' : 'Service not found'
+      });
+    }
+
+    const previous = Service.hydrate(service.toObject());
+    applyRevision(service, revision);
+    service.set(await buildSlugUpdate(Service, previous, service.cardInfo.title));
+    await service.save();
+
+    const rollback = await recordRevision(service, {
+      action: 'rollback',
+      userId: req.user.id,
+      previous,
+      restoredFrom: revision.version
+    });
+
+    res.json({
+      success: true,
+      message: `Service rolled back to revision ${revision.version}`,
+      revision: rollback.version,
+      data: service
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/services/{id}:
  *   delete:
  *     summary: Delete service
+ *     description: Moves the service to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Services]
  *     security:
  *       - bearerAuth: []
@@ -478,7 +1179,7 @@ router.put('/:id', auth, async (req, res) => {
  *         description: Service ID
  *     responses:
  *       200:
- *         description: Service deleted successfully
+ *         description: Service moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -489,15 +1190,17 @@ router.put('/:id', auth, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Service deleted successfully"
+ *                   example: "Service moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Service not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('services:write'), async (req, res) => {
   try {
     const service = await Service.findById(req.params.id);
     if (!service) {
@@ -507,19 +1210,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete images from Cloudinary
-    if (service.cardInfo.image && service.cardInfo.image.public_id) {
-      await deleteImage(service.cardInfo.image.public_id);
-    }
-    if (service.serviceBlog.heroImage && service.serviceBlog.heroImage.public_id) {
-      await deleteImage(service.serviceBlog.heroImage.public_id);
-    }
-
-    await Service.findByIdAndDelete(req.params.id);
+    // Files stay in storage until the trash is purged
+    await service.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Service deleted successfully'
+      message: 'Service moved to trash'
     });
   } catch (error) {
     console.error(error);
@@ -2,17 +2,56 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Team = require('../models/Team');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { localize } = require('../utils/i18n');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
 const { uploadSingleImage, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
-const { deleteImage } = require('../config/cloudinary');
+const { deleteImage } = require('../storage');
 
 const router = express.Router();
 
+// Query options accepted by GET /api/team
+const TEAM_LIST = {
+  sortable: ['createdAt', 'updatedAt', 'name', 'designation'],
+  fields: ['name', 'designation', 'speciality', 'image', 'availability', 'isActive', 'createdAt', 'updatedAt'],
+  filters: {
+    name: 'text',
+    designation: 'text',
+    speciality: 'text',
+    location: { path: 'availability.location', type: 'string' }
+  }
+};
+
 /**
  * @swagger
  * /api/team:
  *   get:
  *     summary: Get all team members
  *     tags: [Team]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the name
+ *       - in: query
+ *         name: speciality
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the speciality
+ *         example: "orthodontics"
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Only members with availability at this location
+ *         example: location1
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Team members retrieved successfully
@@ -27,21 +66,49 @@ const router = express.Router();
  *                 count:
  *                   type: integer
  *                   example: 4
+ *                 total:
+ *                   type: integer
+ *                   description: Total matches (page pagination only)
+ *                   example: 42
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pages:
+ *                   type: integer
+ *                   example: 5
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as ?cursor= to fetch the next page (cursor pagination only)
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Team'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameter
  *       500:
  *         description: Server error
  */
 router.get('/', async (req, res) => {
   try {
-    const teamMembers = await Team.find({ isActive: true }).sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, TEAM_LIST);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { data: teamMembers, meta } = await runListQuery(Team, { isActive: true }, listQuery);
     
     res.json({
       success: true,
       count: teamMembers.length,
-      data: teamMembers
+      ...meta,
+      data: localize(Team, teamMembers, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -65,6 +132,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Team Member ID
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Team member retrieved successfully
@@ -96,7 +164,7 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: teamMember
+      data: localize(Team, teamMember, req.locale)
     });
   } catch (error) {
     console.error(error);
@@ -160,10 +228,12 @@ router.get('/:id', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload, [
+router.post('/', auth, permit('team:write'), uploadSingleImage, handleUploadError, handleImageUpload, [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
   body('designation').trim().isLength({ min: 1, max: 100 }).withMessage('Designation must be between 1 and 100 characters'),
   body('speciality').trim().isLength({ min: 1, max: 200 }).withMessage('Speciality must be between 1 and 200 characters')
@@ -180,10 +250,7 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
     const { name, designation, speciality } = req.body;
 
     const teamMember = await Team.create({
-      image: {
-        public_id: req.cloudinaryData.public_id,
-        url: req.cloudinaryData.url
-      },
+      image: req.cloudinaryData,
       name,
       designation,
       speciality
@@ -256,13 +323,15 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Team member not found
  *       500:
  *         description: Server error
  */
 // Accept multipart form with optional image replacement
-router.put('/:id', auth,
+router.put('/:id', auth, permit('team:write'),
   uploadSingleImage,
   handleUploadError,
   handleImageUpload,
@@ -317,7 +386,7 @@ router.put('/:id', auth,
         } catch (delErr) {
           console.warn('Failed to delete old team image:', delErr?.message);
         }
-        update.image = { public_id: req.cloudinaryData.public_id, url: req.cloudinaryData.url };
+        update.image = req.cloudinaryData;
       }
 
       const updatedTeamMember = await Team.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
@@ -340,6 +409,7 @@ router.put('/:id', auth,
  * /api/team/{id}:
  *   delete:
  *     summary: Delete team member
+ *     description: Moves the team member to the trash. It can be restored from `/api/trash` until the retention period ends.
  *     tags: [Team]
  *     security:
  *       - bearerAuth: []
@@ -352,7 +422,7 @@ router.put('/:id', auth,
  *         description: Team Member ID
  *     responses:
  *       200:
- *         description: Team member deleted successfully
+ *         description: Team member moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -363,15 +433,17 @@ router.put('/:id', auth,
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Team member deleted successfully"
+ *                   example: "Team member moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Team member not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('team:write'), async (req, res) => {
   try {
     const teamMember = await Team.findById(req.params.id);
     if (!teamMember) {
@@ -381,16 +453,185 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (teamMember.image && teamMember.image.public_id) {
-      await deleteImage(teamMember.image.public_id);
+    // Files stay in storage until the trash is purged
+    await teamMember.softDelete(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Team member moved to trash'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/team/{id}/availability:
+ *   get:
+ *     summary: Get a team member's weekly availability
+ *     tags: [Team]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Team Member ID
+ *     responses:
+ *       200:
+ *         description: Availability retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TeamAvailability'
+ *       404:
+ *         description: Team member not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const teamMember = await Team.findById(req.params.id).select('availability');
+    if (!teamMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: teamMember.availability
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/team/{id}/availability:
+ *   put:
+ *     summary: Replace a team member's weekly availability
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Team Member ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - availability
+ *             properties:
+ *               availability:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TeamAvailability'
+ *     responses:
+ *       200:
+ *         description: Availability updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TeamAvailability'
+ *       400:
+ *         description: Validation error or overlapping blocks
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Team member not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/availability', auth, permit('team:write'), [
+  body('availability').isArray().withMessage('Availability must be an array'),
+  body('availability.*.location').isIn(['location1', 'location2']).withMessage('Location must be either location1 or location2'),
+  body('availability.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('availability.*.startTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be in HH:mm format'),
+  body('availability.*.endTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be in HH:mm format'),
+  body('availability.*.slotDuration').optional().isInt({ min: 5, max: 240 }).withMessage('Slot duration must be between 5 and 240 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { availability } = req.body;
+
+    // A dentist can only be in one place at a time, whatever the location
+    for (const block of availability) {
+      if (block.endTime <= block.startTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after start time'
+        });
+      }
+      const clash = availability.find((other) => other !== block &&
+        Number(other.dayOfWeek) === Number(block.dayOfWeek) &&
+        other.startTime < block.endTime &&
+        block.startTime < other.endTime);
+      if (clash) {
+        return res.status(400).json({
+          success: false,
+          message: 'Availability blocks on the same day cannot overlap'
+        });
+      }
+    }
+
+    const teamMember = await Team.findById(req.params.id);
+    if (!teamMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
     }
 
-    await Team.findByIdAndDelete(req.params.id);
+    teamMember.availability = availability;
+    await teamMember.save();
 
     res.json({
       success: true,
-      message: 'Team member deleted successfully'
+      data: teamMember.availability
     });
   } catch (error) {
     console.error(error);
@@ -2,8 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const TeamPicture = require('../models/TeamPicture');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
 const { uploadSingleImage, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
-const { deleteImage } = require('../config/cloudinary');
+const { deleteImage } = require('../storage');
 
 const router = express.Router();
 
@@ -109,10 +110,12 @@ router.get('/', async (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload, [
+router.post('/', auth, permit('team-pictures:write'), uploadSingleImage, handleUploadError, handleImageUpload, [
   body('teamName').trim().isLength({ min: 1, max: 100 }).withMessage('Team name must be between 1 and 100 characters'),
   body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters')
 ], async (req, res) => {
@@ -156,10 +159,7 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
       teamPicture = await TeamPicture.findByIdAndUpdate(
         existingTeamPicture._id,
         {
-          picture: {
-            public_id: req.cloudinaryData.public_id,
-            url: req.cloudinaryData.url
-          },
+          picture: req.cloudinaryData,
           teamName,
           description,
           isActive: true
@@ -170,10 +170,7 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
     } else {
       // Create new team picture
       teamPicture = await TeamPicture.create({
-        picture: {
-          public_id: req.cloudinaryData.public_id,
-          url: req.cloudinaryData.url
-        },
+        picture: req.cloudinaryData,
         teamName,
         description
       });
@@ -243,12 +240,14 @@ router.post('/', auth, uploadSingleImage, handleUploadError, handleImageUpload,
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Team picture not found
  *       500:
  *         description: Server error
  */
-router.put('/', auth,
+router.put('/', auth, permit('team-pictures:write'),
   uploadSingleImage,
   handleUploadError,
   handleImageUpload,
@@ -297,10 +296,7 @@ router.put('/', auth,
       const updatedTeamPicture = await TeamPicture.findByIdAndUpdate(
         teamPicture._id,
         {
-          picture: {
-            public_id: req.cloudinaryData.public_id,
-            url: req.cloudinaryData.url
-          },
+          picture: req.cloudinaryData,
           teamName,
           description,
           isActive: true
@@ -330,10 +326,10 @@ router.put('/', auth,
  *     tags: [Team Pictures]
  *     security:
  *       - bearerAuth: []
- *     description: Deletes the single team picture record and removes the image from Cloudinary.
+ *     description: Moves the single team picture record to the trash. The image is removed from Cloudinary when the trash is purged.
  *     responses:
  *       200:
- *         description: Team picture deleted successfully
+ *         description: Team picture moved to trash
  *         content:
  *           application/json:
  *             schema:
@@ -344,15 +340,17 @@ router.put('/', auth,
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Team picture deleted successfully"
+ *                   example: "Team picture moved to trash"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       404:
  *         description: Team picture not found
  *       500:
  *         description: Server error
  */
-router.delete('/', auth, async (req, res) => {
+router.delete('/', auth, permit('team-pictures:write'), async (req, res) => {
   try {
     const teamPicture = await TeamPicture.findOne();
     if (!teamPicture) {
@@ -362,16 +360,12 @@ router.delete('/', auth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (teamPicture.picture && teamPicture.picture.public_id) {
-      await deleteImage(teamPicture.picture.public_id);
-    }
-
-    await TeamPicture.findByIdAndDelete(teamPicture._id);
+    // Files stay in storage until the trash is purged
+    await teamPicture.softDelete(req.user.id);
 
     res.json({
       success: true,
-      message: 'Team picture deleted successfully'
+      message: 'Team picture moved to trash'
     });
   } catch (error) {
     console.error(error);
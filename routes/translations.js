@@ -0,0 +1,480 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { getDefaultLocale, getTranslationLocales } = require('../config/locales');
+const { CONTENT_TYPES } = require('../utils/contentTypes');
+const { getMissingTranslations } = require('../utils/i18n');
+
+const router = express.Router();
+
+// Content types whose model uses utils/translationsPlugin.js
+const TRANSLATABLE_TYPES = Object.fromEntries(
+  Object.entries(CONTENT_TYPES).filter(([, type]) => type.Model.translatableFields)
+);
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, object);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+// Resolve :type and check the caller may edit that kind of content
+const translatableType = (req, res, next) => {
+  const type = TRANSLATABLE_TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown content type. Must be one of: ${Object.keys(TRANSLATABLE_TYPES).join(', ')}`
+    });
+  }
+  if (!hasPermission(req.user.role, type.permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  req.contentType = type;
+  next();
+};
+
+const validLocale = (req, res, next) => {
+  const locales = getTranslationLocales();
+  if (!locales.includes(req.params.locale)) {
+    return res.status(400).json({
+      success: false,
+      message: locales.length > 0
+        ? `Locale must be one of: ${locales.join(', ')}`
+        : 'No translation locales are configured (SUPPORTED_LOCALES)'
+    });
+  }
+  next();
+};
+
+const findDocument = (Model, id) => (mongoose.isValidObjectId(id) ? Model.findById(id) : null);
+
+// Default-locale values, translations and gaps for one document
+const describeTranslations = (Model, doc) => {
+  const fields = Model.translatableFields;
+  const locales = getTranslationLocales();
+  const plain = doc.toJSON();
+
+  return {
+    defaultLocale: getDefaultLocale(),
+    locales,
+    fields,
+    source: Object.fromEntries(fields.map((path) => [path, getPath(plain, path)])),
+    translations: Object.fromEntries(locales.map((locale) => [
+      locale,
+      Object.fromEntries(fields.map((path) => [path, getPath(plain.translations?.[locale], path)]))
+    ])),
+    missing: getMissingTranslations(Model, plain, locales)
+  };
+};
+
+/**
+ * @swagger
+ * /api/translations/missing:
+ *   get:
+ *     summary: Report content with missing translations
+ *     description: Lists every document that has a default-locale value for a translatable field without a translation in one of the configured locales. Only types the caller has write permission for are included.
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only these content types (comma-separated)
+ *         example: "blogs,faqs"
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: Only check this locale
+ *         example: "es"
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         example: "faqs"
+ *                       id:
+ *                         type: string
+ *                         example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *                       title:
+ *                         type: string
+ *                         example: "How often should I visit the dentist?"
+ *                       missing:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         example:
+ *                           es: ["answer"]
+ *       400:
+ *         description: Unknown content type or locale
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+router.get('/missing', auth, async (req, res) => {
+  try {
+    let types = Object.keys(TRANSLATABLE_TYPES);
+    if (req.query.type) {
+      const requested = String(req.query.type).split(',').map((type) => type.trim()).filter(Boolean);
+      const unknown = requested.filter((type) => !TRANSLATABLE_TYPES[type]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown content type: ${unknown.join(', ')}`
+        });
+      }
+      types = requested;
+    }
+    types = types.filter((type) => hasPermission(req.user.role, TRANSLATABLE_TYPES[type].permission));
+
+    let locales = getTranslationLocales();
+    if (req.query.locale) {
+      if (!locales.includes(req.query.locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `Locale must be one of: ${locales.join(', ')}`
+        });
+      }
+      locales = [req.query.locale];
+    }
+
+    const items = [];
+    for (const type of types) {
+      const { Model, title } = TRANSLATABLE_TYPES[type];
+      const docs = await Model.find().lean();
+      for (const doc of docs) {
+        const missing = getMissingTranslations(Model, doc, locales);
+        for (const locale of Object.keys(missing)) {
+          if (missing[locale].length === 0) delete missing[locale];
+        }
+        if (Object.keys(missing).length > 0) {
+          items.push({ type, id: doc._id, title: title(doc) || null, missing });
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/{type}/{id}:
+ *   get:
+ *     summary: Get a document's translations
+ *     description: Returns the default-locale value of every translatable field next to its translation in each configured locale, plus the fields still missing per locale.
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [blogs, services, faqs, hero-images, hero-videos, team, clinic-info]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Translations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Translations'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Unknown type or document not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:type/:id', auth, translatableType, async (req, res) => {
+  try {
+    const { Model } = req.contentType;
+    const doc = await findDocument(Model, req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describeTranslations(Model, doc)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/{type}/{id}/{locale}:
+ *   put:
+ *     summary: Set translations for a document
+ *     description: |
+ *       Send the translated fields by path. Fields that are left out keep their current translation;
+ *       `null` or an empty string removes a translation so the default locale is shown again.
+ *       Paragraph lists (`paras`, `pointParas`) are replaced as a whole.
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [blogs, services, faqs, hero-images, hero-videos, team, clinic-info]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "es"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fields
+ *             properties:
+ *               fields:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example:
+ *                   cardInfo.title: "Guía completa de higiene bucal"
+ *                   blogContent.paras: [{ heading: "Cepillado", content: "Cepíllese dos veces al día." }]
+ *     responses:
+ *       200:
+ *         description: Translations updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Translations'
+ *       400:
+ *         description: Unsupported locale, unknown field or invalid value
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Unknown type or document not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:type/:id/:locale', auth, translatableType, validLocale, async (req, res) => {
+  try {
+    const { Model } = req.contentType;
+    const { fields } = req.body || {};
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return res.status(400).json({
+        success: false,
+        message: 'fields must be an object of translated values keyed by field path'
+      });
+    }
+
+    const unknown = Object.keys(fields).filter((path) => !Model.translatableFields.includes(path));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Fields cannot be translated: ${unknown.join(', ')}. Translatable fields: ${Model.translatableFields.join(', ')}`
+      });
+    }
+
+    const doc = await findDocument(Model, req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const { locale } = req.params;
+    const translation = doc.translations?.get(locale)?.toObject() || {};
+    for (const [path, value] of Object.entries(fields)) {
+      setPath(translation, path, value === null || value === '' ? undefined : value);
+    }
+    doc.set(`translations.${locale}`, translation);
+
+    try {
+      await doc.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: describeTranslations(Model, doc)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/translations/{type}/{id}/{locale}:
+ *   delete:
+ *     summary: Remove all translations of a document for one locale
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [blogs, services, faqs, hero-images, hero-videos, team, clinic-info]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "es"
+ *     responses:
+ *       200:
+ *         description: Translations removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Translations'
+ *       400:
+ *         description: Unsupported locale
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Unknown type or document not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:type/:id/:locale', auth, translatableType, validLocale, async (req, res) => {
+  try {
+    const { Model } = req.contentType;
+    const doc = await findDocument(Model, req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (doc.translations?.has(req.params.locale)) {
+      doc.translations.delete(req.params.locale);
+      await doc.save();
+    }
+
+    res.json({
+      success: true,
+      data: describeTranslations(Model, doc)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { TRASH_TYPES, toTrashItem, purgeDocument } = require('../utils/trash');
+
+const router = express.Router();
+
+// Resolve :type and check the caller may manage that kind of content
+const trashType = (req, res, next) => {
+  const type = TRASH_TYPES[req.params.type];
+  if (!type) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown trash type. Must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+    });
+  }
+  if (!hasPermission(req.user.role, type.permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  req.trashType = type;
+  next();
+};
+
+const findTrashed = (Model, id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Model.findOne({ _id: id, deletedAt: { $ne: null } });
+};
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List items in the trash
+ *     description: |
+ *       Deleted content stays in the trash for `TRASH_RETENTION_DAYS` (30 by default) before it is purged together with its Cloudinary files.
+ *       Only types the caller has write permission for are listed. Most recently deleted first.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only items of these types (comma-separated)
+ *         example: "blogs,services"
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashItem'
+ *       400:
+ *         description: Unknown trash type
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    let types = Object.keys(TRASH_TYPES);
+    if (req.query.type) {
+      const requested = String(req.query.type).split(',').map((type) => type.trim()).filter(Boolean);
+      const unknown = requested.filter((type) => !TRASH_TYPES[type]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown trash type: ${unknown.join(', ')}`
+        });
+      }
+      types = requested;
+    }
+    types = types.filter((type) => hasPermission(req.user.role, TRASH_TYPES[type].permission));
+
+    const items = [];
+    for (const type of types) {
+      const docs = await TRASH_TYPES[type].Model.find({ deletedAt: { $ne: null } })
+        .populate('deletedBy', 'username email')
+        .lean();
+      items.push(...docs.map((doc) => toTrashItem(type, doc)));
+    }
+    items.sort((a, b) => b.deletedAt - a.deletedAt);
+
+    res.json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore an item from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [blogs, services, faqs, feedback, hero-images, hero-videos, partners, results, team, team-pictures, clinic-info]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Item restored successfully"
+ *                 data:
+ *                   type: object
+ *                   description: The restored document
+ *       400:
+ *         description: Unknown trash type
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Item not in the trash
+ *       409:
+ *         description: Only one record of this type is allowed and another one already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/:type/:id/restore', auth, trashType, async (req, res) => {
+  try {
+    const { Model, singleton } = req.trashType;
+    const doc = await findTrashed(Model, req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash'
+      });
+    }
+
+    if (singleton && await Model.exists(singleton)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only one record of this type is allowed. Delete the current one before restoring this one.'
+      });
+    }
+
+    await doc.restore();
+
+    res.json({
+      success: true,
+      message: 'Item restored successfully',
+      data: doc
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}:
+ *   delete:
+ *     summary: Permanently delete an item from the trash
+ *     description: Removes the item and its Cloudinary files right away instead of waiting for the retention period. This cannot be undone.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [blogs, services, faqs, feedback, hero-images, hero-videos, partners, results, team, team-pictures, clinic-info]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item permanently deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Item permanently deleted"
+ *       400:
+ *         description: Unknown trash type
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Item not in the trash
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:type/:id', auth, trashType, async (req, res) => {
+  try {
+    const doc = await findTrashed(req.trashType.Model, req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash'
+      });
+    }
+
+    await purgeDocument(doc);
+
+    res.json({
+      success: true,
+      message: 'Item permanently deleted'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
 const { uploadSingleImage, uploadMultipleImages, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
 const { uploadSingleVideo, uploadMultipleVideos, handleVideoUpload } = require('../middleware/uploadVideo');
+const { uploadImage, uploadVideo, toImage } = require('../storage');
+const { readFocalPoints } = require('../utils/imageProcessing');
 
 const router = express.Router();
 
@@ -40,6 +43,10 @@ router.get('/test', (req, res) => {
  *                 type: string
  *                 format: binary
  *                 description: Image file (JPG, PNG, GIF, WebP, SVG)
+ *               imageFocalPoint:
+ *                 type: string
+ *                 description: Point to keep in the square and portrait crops, as "x,y" fractions from the top-left corner (default "0.5,0.5")
+ *                 example: "0.5,0.3"
  *     responses:
  *       200:
  *         description: Image uploaded successfully
@@ -59,6 +66,12 @@ router.get('/test', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -66,18 +79,11 @@ router.get('/test', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/image', auth, uploadSingleImage, handleUploadError, handleImageUpload, (req, res) => {
+router.post('/image', auth, permit('uploads:write'), uploadSingleImage, handleUploadError, handleImageUpload, (req, res) => {
   res.json({
     success: true,
     message: 'Image uploaded successfully',
-    data: {
-      public_id: req.cloudinaryData.public_id,
-      url: req.cloudinaryData.url,
-      width: req.cloudinaryData.width,
-      height: req.cloudinaryData.height,
-      format: req.cloudinaryData.format,
-      bytes: req.cloudinaryData.bytes
-    }
+    data: req.cloudinaryData
   });
 });
 
@@ -104,6 +110,10 @@ router.post('/image', auth, uploadSingleImage, handleUploadError, handleImageUpl
  *                   type: string
  *                   format: binary
  *                 description: Multiple image files (JPG, PNG, GIF, WebP, SVG)
+ *               imagesFocalPoint:
+ *                 type: string
+ *                 description: Point to keep in the crops of every image, as "x,y" fractions (default "0.5,0.5")
+ *                 example: "0.5,0.5"
  *     responses:
  *       200:
  *         description: Images uploaded successfully
@@ -134,6 +144,12 @@ router.post('/image', auth, uploadSingleImage, handleUploadError, handleImageUpl
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -141,7 +157,7 @@ router.post('/image', auth, uploadSingleImage, handleUploadError, handleImageUpl
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/images', auth, uploadMultipleImages, handleUploadError, async (req, res) => {
+router.post('/images', auth, permit('uploads:write'), uploadMultipleImages, handleUploadError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -150,15 +166,22 @@ router.post('/images', auth, uploadMultipleImages, handleUploadError, async (req
       });
     }
 
-    const { uploadImage } = require('../config/cloudinary');
-    const uploadPromises = req.files.map(file => uploadImage(file, 'images'));
+    const { points: focalPoints, error: focalPointError } = readFocalPoints(req.body, ['images']);
+    if (focalPointError) {
+      return res.status(400).json({
+        success: false,
+        message: focalPointError
+      });
+    }
+
+    const uploadPromises = req.files.map(file => uploadImage(file, 'images', {
+      focalPoint: focalPoints.images,
+      uploadedBy: req.user?.id
+    }));
     const results = await Promise.all(uploadPromises);
 
     const uploadedImages = results.map(result => ({
-      public_id: result.public_id,
-      url: result.secure_url,
-      width: result.width,
-      height: result.height,
+      ...toImage(result),
       format: result.format,
       bytes: result.bytes
     }));
@@ -248,6 +271,12 @@ router.post('/images', auth, uploadMultipleImages, handleUploadError, async (req
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -255,7 +284,7 @@ router.post('/images', auth, uploadMultipleImages, handleUploadError, async (req
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/video', auth, uploadSingleVideo, handleUploadError, handleVideoUpload, (req, res) => {
+router.post('/video', auth, permit('uploads:write'), uploadSingleVideo, handleUploadError, handleVideoUpload, (req, res) => {
   res.json({
     success: true,
     message: 'Video uploaded successfully',
@@ -346,6 +375,12 @@ router.post('/video', auth, uploadSingleVideo, handleUploadError, handleVideoUpl
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -353,7 +388,7 @@ router.post('/video', auth, uploadSingleVideo, handleUploadError, handleVideoUpl
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/videos', auth, uploadMultipleVideos, handleUploadError, async (req, res) => {
+router.post('/videos', auth, permit('uploads:write'), uploadMultipleVideos, handleUploadError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -362,18 +397,7 @@ router.post('/videos', auth, uploadMultipleVideos, handleUploadError, async (req
       });
     }
 
-    const { cloudinary } = require('../config/cloudinary');
-    const uploadPromises = req.files.map(file => 
-      cloudinary.uploader.upload(
-        `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-        {
-          folder: 'videos',
-          resource_type: 'video',
-          quality: 'auto',
-          fetch_format: 'auto'
-        }
-      )
-    );
+    const uploadPromises = req.files.map(file => uploadVideo(file, 'videos', { uploadedBy: req.user?.id }));
     const results = await Promise.all(uploadPromises);
 
     const uploadedVideos = results.map(result => ({
@@ -1,12 +1,34 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { ROLES, canManageRole } = require('../config/roles');
+const { revokeAllSessions } = require('../utils/tokens');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 const { uploadSingleImage, handleImageUpload, handleUploadError } = require('../middleware/uploadImage');
-const { deleteImage } = require('../config/cloudinary');
+const { deleteImage } = require('../storage');
 
 const router = express.Router();
 
+// Users may always edit their own account; other accounts need a higher role
+const canModifyUser = (req, user) =>
+  user._id.toString() === req.user.id || canManageRole(req.user.role, user.role);
+
+// The only fields PUT /api/users/:id changes; roles, passwords and 2FA have
+// their own endpoints
+const ADMIN_EDITABLE_FIELDS = ['username', 'email', 'isActive'];
+
+// Your own account needs no permission (e.g. your avatar); others need `permission`
+const permitSelfOr = (permission) => (req, res, next) =>
+  req.params.id === req.user?.id ? next() : permit(permission)(req, res, next);
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You cannot modify an account with an equal or higher role'
+});
+
 /**
  * @swagger
  * /api/users:
@@ -66,6 +88,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -73,7 +101,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, permit('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -139,6 +167,12 @@ router.get('/', auth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -152,7 +186,7 @@ router.get('/', auth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, permit('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password -otpCode -otpExpire -resetPasswordToken -resetPasswordExpire');
@@ -182,6 +216,10 @@ router.get('/:id', auth, async (req, res) => {
  * /api/users/{id}:
  *   put:
  *     summary: Update user information
+ *     description: |
+ *       Changes another user's username, email or active status; any other field is ignored. Roles are changed with
+ *       PUT /api/users/{id}/role. For your own account use PUT /api/auth/me, PUT /api/auth/me/password and
+ *       POST /api/auth/me/email (your own email and active status cannot be changed here).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -237,6 +275,12 @@ router.get('/:id', auth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -250,9 +294,10 @@ router.get('/:id', auth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', auth, [
-  body('username').optional().isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters'),
-  body('email').optional().isEmail().withMessage('Please provide a valid email')
+router.put('/:id', auth, permit('users:write'), [
+  body('username').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters'),
+  body('email').optional().trim().isEmail().withMessage('Please provide a valid email').toLowerCase(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -264,7 +309,7 @@ router.put('/:id', auth, [
     }
 
     // Check if user exists
-    let user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -272,15 +317,39 @@ router.put('/:id', auth, [
       });
     }
 
+    if (!canModifyUser(req, user)) {
+      return forbidden(res);
+    }
+
+    const updates = {};
+    for (const field of ADMIN_EDITABLE_FIELDS) {
+      if (typeof req.body[field] !== 'undefined') updates[field] = req.body[field];
+    }
+
+    if (user._id.toString() === req.user.id) {
+      if (typeof updates.email !== 'undefined' && updates.email !== user.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Change your own email with POST /api/auth/me/email'
+        });
+      }
+      if (updates.isActive === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot deactivate your own account'
+        });
+      }
+    }
+
     // Check if email or username already exists (excluding current user)
-    if (req.body.email || req.body.username) {
+    if (updates.email || updates.username) {
       const existingUser = await User.findOne({
         $and: [
           { _id: { $ne: req.params.id } },
           {
             $or: [
-              ...(req.body.email ? [{ email: req.body.email }] : []),
-              ...(req.body.username ? [{ username: req.body.username }] : [])
+              ...(updates.email ? [{ email: updates.email }] : []),
+              ...(updates.username ? [{ username: updates.username }] : [])
             ]
           }
         ]
@@ -289,23 +358,27 @@ router.put('/:id', auth, [
       if (existingUser) {
         return res.status(400).json({
           success: false,
-          message: existingUser.email === req.body.email ? 'Email already exists' : 'Username already exists'
+          message: existingUser.email === updates.email ? 'Email already exists' : 'Username already exists'
         });
       }
     }
 
     // Update user
-    user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).select('-password -otpCode -otpExpire -resetPasswordToken -resetPasswordExpire');
+    user.set(updates);
+    await user.save();
 
     res.json({
       success: true,
-      data: user
+      data: await User.findById(user._id)
+        .select('-password -otpCode -otpExpire -resetPasswordToken -resetPasswordExpire')
     });
   } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
     console.error(error);
     res.status(500).json({
       success: false,
@@ -350,6 +423,12 @@ router.put('/:id', auth, [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -363,7 +442,7 @@ router.put('/:id', auth, [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, permit('users:delete'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -374,6 +453,17 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (!canManageRole(req.user.role, user.role)) {
+      return forbidden(res);
+    }
+
     // Delete avatar from Cloudinary if exists
     if (user.avatar && user.avatar.public_id) {
       await deleteImage(user.avatar.public_id);
@@ -399,6 +489,7 @@ router.delete('/:id', auth, async (req, res) => {
  * /api/users/{id}/avatar:
  *   post:
  *     summary: Upload user avatar
+ *     description: Any signed-in user may change their own avatar; other accounts need the users:write permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -461,6 +552,12 @@ router.delete('/:id', auth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -474,7 +571,7 @@ router.delete('/:id', auth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/avatar', auth, uploadSingleImage, handleUploadError, handleImageUpload, async (req, res) => {
+router.post('/:id/avatar', auth, permitSelfOr('users:write'), uploadSingleImage, handleUploadError, handleImageUpload, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -485,16 +582,17 @@ router.post('/:id/avatar', auth, uploadSingleImage, handleUploadError, handleIma
       });
     }
 
+    if (!canModifyUser(req, user)) {
+      return forbidden(res);
+    }
+
     // Delete old avatar if exists
     if (user.avatar && user.avatar.public_id) {
       await deleteImage(user.avatar.public_id);
     }
 
     // Update user with new avatar
-    user.avatar = {
-      public_id: req.cloudinaryData.public_id,
-      url: req.cloudinaryData.url
-    };
+    user.avatar = req.cloudinaryData;
 
     await user.save();
 
@@ -519,6 +617,7 @@ router.post('/:id/avatar', auth, uploadSingleImage, handleUploadError, handleIma
  * /api/users/{id}/avatar:
  *   delete:
  *     summary: Delete user avatar
+ *     description: Any signed-in user may remove their own avatar; other accounts need the users:write permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -556,6 +655,12 @@ router.post('/:id/avatar', auth, uploadSingleImage, handleUploadError, handleIma
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -569,7 +674,7 @@ router.post('/:id/avatar', auth, uploadSingleImage, handleUploadError, handleIma
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id/avatar', auth, async (req, res) => {
+router.delete('/:id/avatar', auth, permitSelfOr('users:write'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -580,6 +685,10 @@ router.delete('/:id/avatar', auth, async (req, res) => {
       });
     }
 
+    if (!canModifyUser(req, user)) {
+      return forbidden(res);
+    }
+
     if (!user.avatar || !user.avatar.public_id) {
       return res.status(400).json({
         success: false,
@@ -607,4 +716,244 @@ router.delete('/:id/avatar', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication
+ *     description: For staff who lost their authenticator and backup codes. Removes the 2FA secret and signs the user out everywhere; if their role requires 2FA they will be asked to enroll again at next login.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *         example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/2fa', auth, permit('users:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canModifyUser(req, user)) {
+      return forbidden(res);
+    }
+
+    // Resetting your own 2FA would skip the code check in /api/auth/2fa/disable
+    if (user._id.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Use /api/auth/2fa/disable to turn off your own two-factor authentication'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (owner only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *         example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, editor, receptionist]
+ *                 example: "editor"
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error or last owner demotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/role', auth, permit('users:roles'), [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the site without an owner
+    if (user.role === 'owner' && req.body.role !== 'owner') {
+      const owners = await User.countDocuments({ role: 'owner', isActive: true });
+      if (owners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the role of the last owner'
+        });
+      }
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    // Moving into a role that requires 2FA: sign out so the next login enrolls
+    if (!user.twoFactor?.enabled && await isTwoFactorRequired(user.role)) {
+      await revokeAllSessions(user._id);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -6,10 +6,21 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
+const { startJobs } = require('./jobs');
+const { requestContext } = require('./middleware/requestContext');
+const locale = require('./middleware/locale');
+const localUploads = require('./storage/local');
 require('dotenv').config({ path: './config.env' });
 
 const app = express();
 
+// Behind a proxy or load balancer, set TRUST_PROXY (hop count, `true`, or
+// addresses) so req.ip - used by rate limits and sign-in lockouts - is the client's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -61,6 +72,12 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Per-request context for the audit log
+app.use(requestContext);
+
+// Response language from ?lang= / Accept-Language
+app.use(locale);
+
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -233,6 +250,21 @@ const serviceRoutes = require('./routes/services');
 const blogRoutes = require('./routes/blogs');
 const clinicInfoRoutes = require('./routes/clinicInfo');
 const resultsRoutes = require('./routes/results');
+const appointmentRoutes = require('./routes/appointments');
+
+const searchRoutes = require('./routes/search');
+const securitySettingsRoutes = require('./routes/securitySettings');
+const auditLogRoutes = require('./routes/auditLogs');
+const trashRoutes = require('./routes/trash');
+const translationRoutes = require('./routes/translations');
+const mediaRoutes = require('./routes/media');
+const contactRoutes = require('./routes/contact');
+const inquiryRoutes = require('./routes/inquiries');
+const newsletterRoutes = require('./routes/newsletter');
+const invitationRoutes = require('./routes/invitations');
+
+// Files stored by the local storage driver
+app.use(localUploads.ROUTE, localUploads.serve());
 
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
@@ -260,7 +292,18 @@ app.use('/api/services', serviceRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/clinic-info', clinicInfoRoutes);
 app.use('/api/results', resultsRoutes);
-
+app.use('/api/appointments', appointmentRoutes);
+
+app.use('/api/search', searchRoutes);
+app.use('/api/security-settings', securitySettingsRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/translations', translationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/contact', contactRoutes);
+app.use('/api/inquiries', inquiryRoutes);
+app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/invitations', invitationRoutes);
 // Basic route
 app.get('/', (req, res) => {
   res.json({
@@ -283,6 +326,17 @@ app.get('/', (req, res) => {
       blogs: '/api/blogs',
       clinicInfo: '/api/clinic-info',
       results: '/api/results',
+      appointments: '/api/appointments',
+      search: '/api/search',
+      securitySettings: '/api/security-settings',
+      auditLogs: '/api/audit-logs',
+      trash: '/api/trash',
+      translations: '/api/translations',
+      media: '/api/media',
+      contact: '/api/contact',
+      inquiries: '/api/inquiries',
+      newsletter: '/api/newsletter',
+      invitations: '/api/invitations',
       docs: '/api-docs'
     }
   });
@@ -398,6 +452,7 @@ const getBaseUrl = () => {
 };
 
 app.listen(PORT, () => {
+  startJobs();
   const baseUrl = getBaseUrl();
   const isProduction = process.env.NODE_ENV === 'production' || 
                       process.env.RAILWAY_ENVIRONMENT === 'production' ||
@@ -427,5 +482,16 @@ app.listen(PORT, () => {
   console.log(`   • Blogs: ${baseUrl}/api/blogs`);
   console.log(`   • Clinic Info: ${baseUrl}/api/clinic-info`);
   console.log(`   • Results: ${baseUrl}/api/results`);
+  console.log(`   • Appointments: ${baseUrl}/api/appointments`);
+  console.log(`   • Search: ${baseUrl}/api/search`);
+  console.log(`   • Security Settings: ${baseUrl}/api/security-settings`);
+  console.log(`   • Audit Logs: ${baseUrl}/api/audit-logs`);
+  console.log(`   • Trash: ${baseUrl}/api/trash`);
+  console.log(`   • Translations: ${baseUrl}/api/translations`);
+  console.log(`   • Media: ${baseUrl}/api/media`);
+  console.log(`   • Contact: ${baseUrl}/api/contact`);
+  console.log(`   • Inquiries: ${baseUrl}/api/inquiries`);
+  console.log(`   • Newsletter: ${baseUrl}/api/newsletter`);
+  console.log(`   • Invitations: ${baseUrl}/api/invitations`);
   console.log(`   • Swagger UI: ${baseUrl}/api-docs`);
 });
@@ -0,0 +1,32 @@
+// Assign a role to an existing account, e.g. to bootstrap the first owner:
+//   node set-user-role.js admin@example.com owner
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+const User = require('./models/User');
+const { ROLES } = require('./config/roles');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.log(`Usage: node set-user-role.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const run = async () => {
+  const uri = process.env.MONGODB_URI || process.env.DATABASE_URL || process.env.MONGO_URL || process.env.MONGODB_CONNECTION_STRING;
+  await mongoose.connect(uri);
+
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+  if (!user) {
+    console.log(`❌ No user found with email ${email}`);
+  } else {
+    console.log(`✅ ${user.username} (${user.email}) is now ${user.role}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to set role:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// Cloudinary storage driver (the default)
+const { cloudinary } = require('../config/cloudinary');
+
+// https://res.cloudinary.com/<cloud>/<type>/upload/<transformations>/v123/<public_id>.<ext>
+const CLOUDINARY_URL = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:[^/]+\/)*?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i;
+
+const upload = (file, { folder, resourceType }) => cloudinary.uploader.upload(
+  `data:${file.mimetype || 'image/jpeg'};base64,${file.buffer.toString('base64')}`,
+  {
+    folder,
+    resource_type: resourceType === 'video' ? 'video' : 'auto',
+    quality: 'auto',
+    fetch_format: 'auto'
+  }
+);
+
+const destroy = (publicId, { resourceType = 'image' } = {}) =>
+  cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+
+const parseUrl = (url) => {
+  const match = url.match(CLOUDINARY_URL);
+  return match ? { publicId: match[2], resourceType: match[1] } : null;
+};
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  destroy,
+  parseUrl
+};
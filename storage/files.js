@@ -0,0 +1,39 @@
+// Naming shared by the drivers that store files as-is (local, s3). Unlike
+// Cloudinary, the public ID is the full object key including the extension.
+const crypto = require('crypto');
+const path = require('path');
+
+const VIDEO_FORMATS = ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv'];
+
+const formatOf = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (/^[a-z0-9]{1,5}$/.test(extension)) return extension;
+  const subtype = (file.mimetype || '').split('/')[1] || 'bin';
+  return subtype.replace('jpeg', 'jpg').replace(/[^a-z0-9]/g, '') || 'bin';
+};
+
+// folder/1718000000000-9f86d081884c7d65.jpg
+const buildKey = (file, folder) => {
+  const format = formatOf(file);
+  const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${format}`;
+  return { key: folder ? `${folder}/${name}` : name, format };
+};
+
+const resourceTypeOf = (key) =>
+  (VIDEO_FORMATS.includes(path.extname(key).slice(1).toLowerCase()) ? 'video' : 'image');
+
+// Same shape as a Cloudinary upload response, so callers don't care which
+// driver stored the file
+const toUploadResult = (file, key, format, url) => ({
+  public_id: key,
+  secure_url: url,
+  resource_type: resourceTypeOf(key),
+  format,
+  bytes: file.buffer.length
+});
+
+module.exports = {
+  buildKey,
+  resourceTypeOf,
+  toUploadResult
+};
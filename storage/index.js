@@ -0,0 +1,201 @@
+// Storage adapter used by every upload middleware and route.
+//
+// STORAGE_DRIVER picks where new files go: `cloudinary` (default), `local`
+// or `s3`. Each driver implements:
+//   upload(file, { folder, resourceType })  multer file -> Cloudinary-shaped
+//                                           result ({ public_id, secure_url, ... })
+//   destroy(publicId, { resourceType })
+//   parseUrl(url)                           -> { publicId, resourceType } or null
+//
+// Files are deleted through the driver that stored them (recorded in the
+// media library), so switching drivers does not strand existing files.
+//
+// Images also get responsive variants and crops (utils/imageProcessing.js),
+// stored next to the original and deleted with it.
+const path = require('path');
+const { recordUpload, forgetAsset, findAsset } = require('../utils/mediaLibrary');
+const { processImage } = require('../utils/imageProcessing');
+
+const DRIVERS = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+const getDriverName = () => process.env.STORAGE_DRIVER || 'cloudinary';
+
+const getStorage = (name = getDriverName()) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver "${name}". Must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return DRIVERS[name]();
+};
+
+// Generate and store the variants of an uploaded image. Variants are an
+// enhancement: if anything fails the original is kept on its own.
+const uploadVariants = async (driver, file, folder, focalPoint) => {
+  let processed;
+  try {
+    processed = await processImage(file.buffer, { focalPoint });
+  } catch (error) {
+    console.warn('Image processing failed, storing the original only:', error.message);
+    return null;
+  }
+  if (!processed) return null;
+
+  const name = path.parse(file.originalname || 'image').name;
+
+  // Uploaded side by side; the request waits on the network, not on each file in turn
+  const results = await Promise.allSettled(processed.outputs.map(async (output) => {
+    const extension = output.format === 'jpeg' ? 'jpg' : output.format;
+    const result = await driver.upload({
+      buffer: output.buffer,
+      originalname: `${name}-${output.crop ? `${output.crop}-` : ''}${output.width}.${extension}`,
+      mimetype: `image/${output.format}`
+    }, { folder: `${folder}/variants`, resourceType: 'image' });
+
+    return {
+      public_id: result.public_id,
+      url: result.secure_url,
+      width: output.width,
+      height: output.height,
+      format: output.format,
+      ...(output.crop && { crop: output.crop })
+    };
+  }));
+
+  const variants = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+  const failed = results.find((result) => result.status === 'rejected');
+  if (failed) {
+    console.warn('Failed to store image variants, keeping the original only:', failed.reason?.message);
+    await Promise.all(variants.map((variant) => driver.destroy(variant.public_id).catch(() => null)));
+    return null;
+  }
+
+  return {
+    width: processed.width,
+    height: processed.height,
+    focalPoint: processed.focalPoint,
+    placeholder: processed.placeholder,
+    variants
+  };
+};
+
+const uploadFile = async (file, folder, resourceType, { focalPoint, uploadedBy } = {}) => {
+  if (!file || !file.buffer) {
+    throw new Error('Invalid file provided');
+  }
+
+  const driver = getStorage();
+  const result = await driver.upload(file, { folder, resourceType });
+  const processed = resourceType === 'image' ? await uploadVariants(driver, file, folder, focalPoint) : null;
+  const stored = processed ? { ...result, ...processed } : result;
+
+  await recordUpload(stored, file, driver.name, uploadedBy);
+  return stored;
+};
+
+// Upload an image with its variants. `focalPoint` ({ x, y } fractions)
+// positions the crops; the centre is used by default. `uploadedBy` is the id
+// of the user recorded in the media library.
+const uploadImage = async (file, folder = 'dentist-website', { focalPoint, uploadedBy } = {}) => {
+  try {
+    return await uploadFile(file, folder, 'image', { focalPoint, uploadedBy });
+  } catch (error) {
+    console.error('Image upload error:', error);
+    throw new Error(`Failed to upload image: ${error.message}`);
+  }
+};
+
+// Upload a video
+const uploadVideo = async (file, folder = 'videos', { uploadedBy } = {}) => {
+  try {
+    return await uploadFile(file, folder, 'video', { uploadedBy });
+  } catch (error) {
+    console.error('Video upload error:', error);
+    throw new Error(`Failed to upload video: ${error.message}`);
+  }
+};
+
+const deleteFile = async (publicId, resourceType) => {
+  const asset = await findAsset(publicId).catch(() => null);
+  const driver = getStorage(asset?.storage);
+  const result = await driver.destroy(publicId, { resourceType });
+
+  for (const variant of asset?.variants || []) {
+    try {
+      await driver.destroy(variant.publicId);
+    } catch (error) {
+      console.warn(`Failed to delete image variant ${variant.publicId}:`, error.message);
+    }
+  }
+
+  await forgetAsset(publicId);
+  return result;
+};
+
+// Delete an image
+const deleteImage = async (publicId) => {
+  try {
+    return await deleteFile(publicId, 'image');
+  } catch (error) {
+    console.error('Storage delete error:', error);
+    throw new Error('Failed to delete image');
+  }
+};
+
+// Delete a video
+const deleteVideo = async (publicId) => {
+  try {
+    return await deleteFile(publicId, 'video');
+  } catch (error) {
+    console.error('Storage delete error:', error);
+    throw new Error('Failed to delete video');
+  }
+};
+
+// Fields stored on image subdocuments (see utils/imageSchema.js)
+const toImage = (result) => ({
+  public_id: result.public_id,
+  url: result.secure_url,
+  width: result.width,
+  height: result.height,
+  focalPoint: result.focalPoint,
+  placeholder: result.placeholder,
+  variants: result.variants
+});
+
+// Best-effort cleanup of several images; failures are logged, not thrown
+const deleteImages = async (publicIds) => {
+  for (const publicId of publicIds.filter(Boolean)) {
+    try {
+      await deleteImage(publicId);
+    } catch (error) {
+      console.warn(`Failed to delete image ${publicId}:`, error.message);
+    }
+  }
+};
+
+// Identify a file from its public URL, whichever driver stored it. The S3
+// driver is only consulted when a bucket is configured.
+const parseUrl = (url) => {
+  const names = ['cloudinary', 'local', ...(process.env.S3_BUCKET ? ['s3'] : [])];
+  for (const name of names) {
+    const parsed = getStorage(name).parseUrl(url);
+    if (parsed) return { ...parsed, storage: name };
+  }
+  return null;
+};
+
+module.exports = {
+  STORAGE_DRIVERS: Object.keys(DRIVERS),
+  getStorage,
+  getDriverName,
+  uploadImage,
+  uploadVideo,
+  deleteImage,
+  deleteImages,
+  deleteVideo,
+  toImage,
+  parseUrl
+};
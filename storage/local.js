@@ -0,0 +1,71 @@
+// Local filesystem storage driver. Files are written under LOCAL_UPLOAD_DIR
+// and served on /uploads by both entry points; meant for development, tests
+// and single-server deployments (serverless file systems are not persistent).
+const express = require('express');
+const fs = require('fs/promises');
+const path = require('path');
+const { buildKey, resourceTypeOf, toUploadResult } = require('./files');
+
+const ROUTE = '/uploads';
+
+const getUploadDir = () => path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+const getBaseUrl = () => {
+  const base = process.env.LOCAL_UPLOAD_URL
+    || `${process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`}${ROUTE}`;
+  return base.replace(/\/+$/, '');
+};
+
+// Refuse keys that would escape the upload directory
+const resolveKey = (key) => {
+  const root = getUploadDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid file key: ${key}`);
+  }
+  return file;
+};
+
+const upload = async (file, { folder }) => {
+  const { key, format } = buildKey(file, folder);
+  const target = resolveKey(key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, file.buffer);
+  return toUploadResult(file, key, format, `${getBaseUrl()}/${key}`);
+};
+
+const destroy = async (publicId) => {
+  try {
+    await fs.unlink(resolveKey(publicId));
+    return { result: 'ok' };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { result: 'not found' };
+    throw error;
+  }
+};
+
+const parseUrl = (url) => {
+  const prefix = `${getBaseUrl()}/`;
+  if (!url.startsWith(prefix)) return null;
+  const publicId = decodeURIComponent(url.slice(prefix.length).split(/[?#]/)[0]);
+  return { publicId, resourceType: resourceTypeOf(publicId) };
+};
+
+// Static handler for ROUTE. Helmet's default Cross-Origin-Resource-Policy
+// would stop the frontend (another origin) from embedding the files.
+const serve = () => express.static(getUploadDir(), {
+  index: false,
+  maxAge: '365d',
+  immutable: true,
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+});
+
+module.exports = {
+  name: 'local',
+  ROUTE,
+  getUploadDir,
+  serve,
+  upload,
+  destroy,
+  parseUrl
+};
@@ -0,0 +1,67 @@
+// S3-compatible storage driver (AWS S3, Cloudflare R2, MinIO, DigitalOcean
+// Spaces...). Objects must be publicly readable, e.g. through a bucket policy
+// or a CDN in front of the bucket configured as S3_PUBLIC_URL.
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { buildKey, resourceTypeOf, toUploadResult } = require('./files');
+
+let client;
+
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+  return process.env.S3_BUCKET;
+};
+
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Falls back to the standard AWS credential chain when not set
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+  return client;
+};
+
+const getBaseUrl = () => {
+  if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/+$/, '');
+  const region = process.env.S3_REGION || 'us-east-1';
+  return `https://${process.env.S3_BUCKET}.s3.${region}.amazonaws.com`;
+};
+
+const upload = async (file, { folder }) => {
+  const { key, format } = buildKey(file, folder);
+  await getClient().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: key,
+    Body: file.buffer,
+    ContentType: file.mimetype,
+    CacheControl: 'public, max-age=31536000, immutable'
+  }));
+  return toUploadResult(file, key, format, `${getBaseUrl()}/${key}`);
+};
+
+// S3 deletes succeed whether or not the object exists
+const destroy = async (publicId) => {
+  await getClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: publicId }));
+  return { result: 'ok' };
+};
+
+const parseUrl = (url) => {
+  const prefix = `${getBaseUrl()}/`;
+  if (!url.startsWith(prefix)) return null;
+  const publicId = decodeURIComponent(url.slice(prefix.length).split(/[?#]/)[0]);
+  return { publicId, resourceType: resourceTypeOf(publicId) };
+};
+
+module.exports = {
+  name: 's3',
+  upload,
+  destroy,
+  parseUrl
+};
@@ -31,7 +31,6 @@ const requiredEnvVars = [
   'NODE_ENV',
   'MONGODB_URI',
   'JWT_SECRET',
-  'JWT_EXPIRE',
   'CLOUDINARY_CLOUD_NAME',
   'CLOUDINARY_API_KEY',
   'CLOUDINARY_API_SECRET',
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSlots } = require('../utils/appointmentSlots');
+
+// 2024-06-03 is a Monday
+const MONDAY = '2024-06-03';
+
+const teamMember = (availability) => ({ availability });
+
+describe('buildSlots', () => {
+  it('splits a block into slots of the default 30 minutes', () => {
+    const slots = buildSlots(teamMember([
+      { location: 'location1', dayOfWeek: 1, startTime: '09:00', endTime: '10:30' }
+    ]), 'location1', MONDAY);
+
+    assert.deepEqual(slots, [
+      { startTime: '09:00', endTime: '09:30' },
+      { startTime: '09:30', endTime: '10:00' },
+      { startTime: '10:00', endTime: '10:30' }
+    ]);
+  });
+
+  it('uses the block slot duration and drops a slot that does not fit', () => {
+    const slots = buildSlots(teamMember([
+      { location: 'location1', dayOfWeek: 1, startTime: '09:00', endTime: '10:30', slotDuration: 45 }
+    ]), 'location1', MONDAY);
+
+    assert.deepEqual(slots, [
+      { startTime: '09:00', endTime: '09:45' },
+      { startTime: '09:45', endTime: '10:30' }
+    ]);
+
+    const short = buildSlots(teamMember([
+      { location: 'location1', dayOfWeek: 1, startTime: '09:00', endTime: '10:00', slotDuration: 40 }
+    ]), 'location1', MONDAY);
+    assert.deepEqual(short, [{ startTime: '09:00', endTime: '09:40' }]);
+  });
+
+  it('only uses blocks for the location and day of week', () => {
+    const slots = buildSlots(teamMember([
+      { location: 'location2', dayOfWeek: 1, startTime: '08:00', endTime: '08:30' },
+      { location: 'location1', dayOfWeek: 2, startTime: '08:00', endTime: '08:30' },
+      { location: 'location1', dayOfWeek: 1, startTime: '12:00', endTime: '12:30' }
+    ]), 'location1', MONDAY);
+
+    assert.deepEqual(slots, [{ startTime: '12:00', endTime: '12:30' }]);
+  });
+
+  it('sorts slots from several blocks by start time', () => {
+    const slots = buildSlots(teamMember([
+      { location: 'location1', dayOfWeek: 1, startTime: '14:00', endTime: '14:30' },
+      { location: 'location1', dayOfWeek: 1, startTime: '09:00', endTime: '09:30' }
+    ]), 'location1', MONDAY);
+
+    assert.deepEqual(slots.map((slot) => slot.startTime), ['09:00', '14:00']);
+  });
+
+  it('returns no slots without availability', () => {
+    assert.deepEqual(buildSlots({}, 'location1', MONDAY), []);
+    assert.deepEqual(buildSlots(teamMember([]), 'location1', MONDAY), []);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, cursorCondition, parseListQuery, MAX_LIMIT } = require('../utils/listQuery');
+
+const id = new mongoose.Types.ObjectId();
+const createdAt = new Date('2024-06-03T09:30:00.000Z');
+
+describe('cursor encoding', () => {
+  it('round-trips dates, nested fields and ids in sort order', () => {
+    const sort = { createdAt: -1, 'cardInfo.title': 1, _id: -1 };
+    const cursor = encodeCursor({ createdAt, cardInfo: { title: 'Implants' }, _id: id }, sort);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    const [date, title, decodedId] = decodeCursor(cursor, sort);
+    assert.ok(date instanceof Date);
+    assert.equal(date.toISOString(), createdAt.toISOString());
+    assert.equal(title, 'Implants');
+    assert.ok(decodedId instanceof mongoose.Types.ObjectId);
+    assert.ok(decodedId.equals(id));
+  });
+
+  it('keeps missing values as null', () => {
+    const sort = { rating: 1, _id: 1 };
+    const [rating] = decodeCursor(encodeCursor({ _id: id }, sort), sort);
+    assert.equal(rating, null);
+  });
+
+  it('rejects cursors that are not valid or do not match the sort', () => {
+    const sort = { createdAt: -1, _id: -1 };
+    assert.throws(() => decodeCursor('not-a-cursor', sort), { message: 'Invalid cursor' });
+    assert.throws(() => decodeCursor(encodeCursor({ _id: id }, { _id: -1 }), sort), { message: 'Invalid cursor' });
+  });
+});
+
+describe('cursorCondition', () => {
+  it('continues after the cursor value, breaking ties by _id', () => {
+    assert.deepEqual(cursorCondition({ createdAt: 1, _id: 1 }, [createdAt, id]), {
+      $or: [
+        { createdAt: { $gt: createdAt } },
+        { createdAt, _id: { $gt: id } }
+      ]
+    });
+  });
+
+  it('keeps documents without a value after a descending page', () => {
+    assert.deepEqual(cursorCondition({ publishedAt: -1, _id: -1 }, [createdAt, id]), {
+      $or: [
+        { $or: [{ publishedAt: { $lt: createdAt } }, { publishedAt: null }] },
+        { publishedAt: createdAt, _id: { $lt: id } }
+      ]
+    });
+  });
+
+  it('pages through documents without a value by _id', () => {
+    // Descending: null sorts last, so only the remaining nulls follow
+    assert.deepEqual(cursorCondition({ publishedAt: -1, _id: -1 }, [null, id]), {
+      $or: [{ publishedAt: null, _id: { $lt: id } }]
+    });
+    // Ascending: null sorts first, so every document with a value follows
+    assert.deepEqual(cursorCondition({ order: 1, _id: 1 }, [null, id]), {
+      $or: [
+        { order: { $ne: null } },
+        { order: null, _id: { $gt: id } }
+      ]
+    });
+  });
+});
+
+describe('parseListQuery', () => {
+  const config = { sortable: ['createdAt'], defaultSort: '-createdAt' };
+
+  it('adds _id as a tie-breaker to the sort', () => {
+    assert.deepEqual(parseListQuery({}, config).sort, { createdAt: -1, _id: -1 });
+  });
+
+  it('decodes a cursor against the requested sort', () => {
+    const cursor = encodeCursor({ createdAt, _id: id }, { createdAt: -1, _id: -1 });
+    const parsed = parseListQuery({ cursor, limit: '500' }, config);
+
+    assert.equal(parsed.mode, 'cursor');
+    assert.equal(parsed.limit, MAX_LIMIT);
+    assert.equal(parsed.cursor[0].toISOString(), createdAt.toISOString());
+    assert.ok(parsed.cursor[1].equals(id));
+  });
+
+  it('returns an error for an invalid cursor', () => {
+    assert.deepEqual(parseListQuery({ cursor: 'abc' }, config), { error: 'Invalid cursor' });
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MediaAsset = require('../models/MediaAsset');
+const { folderOf, recordUpload } = require('../utils/mediaLibrary');
+
+describe('folderOf', () => {
+  it('returns the folder part of a public id', () => {
+    assert.equal(folderOf('services/variants/card-480'), 'services/variants');
+    assert.equal(folderOf('logo'), '');
+  });
+});
+
+describe('recordUpload', () => {
+  it('records the uploader it is given', async (t) => {
+    const update = t.mock.method(MediaAsset, 'findOneAndUpdate', async () => null);
+    const result = { public_id: 'images/smile', secure_url: '/uploads/images/smile.png', format: 'png', bytes: 120 };
+
+    await recordUpload(result, { originalname: 'smile.png' }, 'local', '665f1c2b9a1e4f0012345678');
+
+    const [filter, fields] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { publicId: 'images/smile' });
+    assert.equal(fields.uploadedBy, '665f1c2b9a1e4f0012345678');
+    assert.equal(fields.folder, 'images');
+    assert.equal(fields.storage, 'local');
+    assert.equal(fields.originalName, 'smile.png');
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDaySchedule, getOpenStatus } = require('../utils/openingHours');
+
+const weekdays = (startTime, endTime) => [1, 2, 3, 4, 5].map((dayOfWeek) => ({ dayOfWeek, startTime, endTime }));
+
+const clinicInfo = (openingHours, extra = {}) => ({
+  timezone: 'Europe/Berlin',
+  holidays: [],
+  location1: { openingHours },
+  ...extra
+});
+
+// Mon-Fri 09:00-17:00, written as two overlapping intervals
+const office = () => ({
+  weekly: [...weekdays('09:00', '12:00'), ...weekdays('11:00', '17:00')],
+  closures: [],
+  overrides: []
+});
+
+describe('getDaySchedule', () => {
+  it('joins overlapping weekly intervals', () => {
+    assert.deepEqual(getDaySchedule(clinicInfo(office()), 'location1', '2024-06-03'), {
+      date: '2024-06-03',
+      source: 'weekly',
+      reason: null,
+      intervals: [{ startTime: '09:00', endTime: '17:00' }]
+    });
+  });
+
+  it('treats a day without weekly hours or an unknown location as closed', () => {
+    assert.deepEqual(getDaySchedule(clinicInfo(office()), 'location1', '2024-06-08').intervals, []);
+    assert.deepEqual(getDaySchedule(clinicInfo(office()), 'location2', '2024-06-03').intervals, []);
+  });
+
+  it('applies recurring holidays every year and prefers one on the exact date', () => {
+    const christmas = { date: '2020-12-25', name: 'Christmas', recurring: true, intervals: [] };
+    const info = clinicInfo(office(), { holidays: [christmas] });
+
+    assert.deepEqual(getDaySchedule(info, 'location1', '2024-12-25'), {
+      date: '2024-12-25', source: 'holiday', reason: 'Christmas', intervals: []
+    });
+
+    info.holidays.push({
+      date: '2024-12-25', name: 'Christmas emergency hours', intervals: [{ startTime: '10:00', endTime: '12:00' }]
+    });
+    const day = getDaySchedule(info, 'location1', '2024-12-25');
+    assert.equal(day.reason, 'Christmas emergency hours');
+    assert.deepEqual(day.intervals, [{ startTime: '10:00', endTime: '12:00' }]);
+  });
+
+  it('ignores a one-off holiday in other years', () => {
+    const info = clinicInfo(office(), { holidays: [{ date: '2023-06-03', name: 'Opening day', intervals: [] }] });
+    assert.equal(getDaySchedule(info, 'location1', '2024-06-03').source, 'weekly');
+  });
+
+  it('puts closures before overrides and overrides before holidays', () => {
+    const hours = office();
+    hours.overrides.push({ date: '2024-12-25', reason: 'On call', intervals: [{ startTime: '08:00', endTime: '10:00' }] });
+    const info = clinicInfo(hours, { holidays: [{ date: '2024-12-25', name: 'Christmas', intervals: [] }] });
+
+    assert.deepEqual(getDaySchedule(info, 'location1', '2024-12-25'), {
+      date: '2024-12-25', source: 'override', reason: 'On call', intervals: [{ startTime: '08:00', endTime: '10:00' }]
+    });
+
+    hours.closures.push({ startDate: '2024-12-23', endDate: '2024-12-31', reason: 'Renovation' });
+    assert.deepEqual(getDaySchedule(info, 'location1', '2024-12-25'), {
+      date: '2024-12-25', source: 'closure', reason: 'Renovation', intervals: []
+    });
+    assert.equal(getDaySchedule(info, 'location1', '2024-12-31').source, 'closure');
+    assert.equal(getDaySchedule(info, 'location1', '2025-01-01').source, 'weekly');
+  });
+});
+
+describe('getOpenStatus', () => {
+  it('is open during an interval and reports when it closes and opens again', () => {
+    // Monday 10:00 in Berlin (UTC+2 in summer)
+    const status = getOpenStatus(clinicInfo(office()), 'location1', new Date('2024-06-03T08:00:00Z'));
+
+    assert.equal(status.isOpen, true);
+    assert.equal(status.source, 'weekly');
+    assert.deepEqual(status.today, [{ startTime: '09:00', endTime: '17:00' }]);
+    assert.equal(status.closesAt, '2024-06-03T15:00:00.000Z');
+    assert.equal(status.nextOpensAt, '2024-06-04T07:00:00.000Z');
+  });
+
+  it('looks past the weekend for the next opening', () => {
+    // Friday 20:00 in Berlin
+    const status = getOpenStatus(clinicInfo(office()), 'location1', new Date('2024-06-07T18:00:00Z'));
+
+    assert.equal(status.isOpen, false);
+    assert.equal(status.closesAt, null);
+    assert.equal(status.nextOpensAt, '2024-06-10T07:00:00.000Z');
+  });
+
+  it('closes at the end of an interval, not at its last minute', () => {
+    const status = getOpenStatus(clinicInfo(office()), 'location1', new Date('2024-06-03T15:00:00Z'));
+    assert.equal(status.isOpen, false);
+  });
+
+  it('follows late-night hours past midnight', () => {
+    const hours = office();
+    hours.weekly.push({ dayOfWeek: 5, startTime: '18:00', endTime: '24:00' });
+    hours.weekly.push({ dayOfWeek: 6, startTime: '00:00', endTime: '02:00' });
+
+    // Friday 22:00 in Berlin: open until Saturday 02:00, then again on Monday
+    const status = getOpenStatus(clinicInfo(hours), 'location1', new Date('2024-06-07T20:00:00Z'));
+    assert.equal(status.isOpen, true);
+    assert.equal(status.closesAt, '2024-06-08T00:00:00.000Z');
+    assert.equal(status.nextOpensAt, '2024-06-10T07:00:00.000Z');
+  });
+
+  it('has no next opening when the location has no hours', () => {
+    const status = getOpenStatus(clinicInfo({}), 'location1', new Date('2024-06-03T08:00:00Z'));
+    assert.equal(status.isOpen, false);
+    assert.equal(status.nextOpensAt, null);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const SecuritySettings = require('../models/SecuritySettings');
+const { checkPassword, validatePassword } = require('../utils/passwordPolicy');
+
+// The schema defaults, without the network lookup
+const POLICY = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  historySize: 5,
+  disallowPersonalInfo: true,
+  rejectCommon: true,
+  rejectBreached: false
+};
+
+const rules = async (password, policy = POLICY, context) =>
+  (await checkPassword(password, policy, context)).map((failure) => failure.rule);
+
+describe('checkPassword', () => {
+  it('accepts a password that follows every rule', async () => {
+    assert.deepEqual(await rules('Brushing4Teeth'), []);
+  });
+
+  it('reports every basic rule the password breaks', async () => {
+    assert.deepEqual(await rules('tooth'), ['minLength', 'uppercase', 'number']);
+    assert.deepEqual(await rules('ABCDEFGH1'), ['lowercase']);
+    assert.deepEqual(await rules('Brushing4Teeth', { ...POLICY, requireSymbol: true }), ['symbol']);
+    assert.deepEqual(await rules(undefined), ['minLength', 'lowercase', 'uppercase', 'number']);
+  });
+
+  it('limits passwords to the 72 bytes bcrypt uses', async () => {
+    assert.deepEqual(await rules(`Aa1${'x'.repeat(69)}`), []);
+    assert.deepEqual(await rules(`Aa1${'x'.repeat(70)}`), ['maxLength']);
+    assert.deepEqual(await rules(`Aa1${'é'.repeat(35)}`), ['maxLength']);
+  });
+
+  it('rejects common passwords, also with trailing digits and symbols', async () => {
+    assert.deepEqual(await rules('Password123!'), ['common']);
+    assert.deepEqual(await rules('Qwerty123'), ['common']);
+    assert.deepEqual(await rules('Password123!', { ...POLICY, rejectCommon: false }), []);
+  });
+
+  it('rejects the username or email local part', async () => {
+    const context = { username: 'drsmith', email: 'jane.doe@example.com' };
+    assert.deepEqual(await rules('Hello-DrSmith1', POLICY, context), ['personalInfo']);
+    assert.deepEqual(await rules('Jane.Doe2024x', POLICY, context), ['personalInfo']);
+    assert.deepEqual(await rules('Brushing4Teeth', POLICY, context), []);
+    assert.deepEqual(await rules('Hello-DrSmith1', { ...POLICY, disallowPersonalInfo: false }, context), []);
+  });
+
+  it('takes personal info from the user when it is not given', async () => {
+    const user = { username: 'drsmith', email: 'owner@example.com', isRecentPassword: async () => false };
+    assert.deepEqual(await rules('Hello-DrSmith1', POLICY, { user }), ['personalInfo']);
+  });
+
+  it('rejects one of the last passwords of the user', async () => {
+    const calls = [];
+    const user = {
+      username: 'drsmith',
+      isRecentPassword: async (password, historySize) => {
+        calls.push([password, historySize]);
+        return true;
+      }
+    };
+
+    assert.deepEqual(await rules('Brushing4Teeth', POLICY, { user }), ['reused']);
+    assert.deepEqual(calls, [['Brushing4Teeth', 5]]);
+    assert.deepEqual(await rules('Brushing4Teeth', { ...POLICY, historySize: 0 }, { user }), []);
+  });
+
+  it('only sends a hash prefix to the breach service', async (t) => {
+    const hash = crypto.createHash('sha1').update('Brushing4Teeth').digest('hex').toUpperCase();
+    const fetch = t.mock.method(globalThis, 'fetch', async () => ({
+      ok: true,
+      text: async () => `0000000000000000000000000000000000A:0\r\n${hash.slice(5)}:12\r\n`
+    }));
+
+    assert.deepEqual(await rules('Brushing4Teeth', { ...POLICY, rejectBreached: true }), ['breached']);
+    assert.equal(fetch.mock.calls[0].arguments[0], `https://api.pwnedpasswords.com/range/${hash.slice(0, 5)}`);
+  });
+
+  it('skips the breach service until the basic rules pass', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => assert.fail('should not be called'));
+    assert.deepEqual(await rules('tooth', { ...POLICY, rejectBreached: true }), ['minLength', 'uppercase', 'number']);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('lets the password through when the breach service cannot be reached', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(globalThis, 'fetch', async () => {
+      throw new Error('offline');
+    });
+    assert.deepEqual(await rules('Brushing4Teeth', { ...POLICY, rejectBreached: true }), []);
+  });
+});
+
+describe('validatePassword', () => {
+  it('checks against the stored policy and returns validator-style errors', async (t) => {
+    t.mock.method(SecuritySettings, 'getSettings', async () => ({
+      toObject: () => ({ passwordPolicy: { ...POLICY, minLength: 12 } })
+    }));
+
+    assert.deepEqual(await validatePassword('Brush4Teeth', { path: 'newPassword' }), [{
+      type: 'field',
+      location: 'body',
+      path: 'newPassword',
+      rule: 'minLength',
+      msg: 'Password must be at least 12 characters'
+    }]);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requestContext, getCurrentRequest } = require('../middleware/requestContext');
+const { uploadSingleImage } = require('../middleware/uploadImage');
+
+// Whether the handler can still reach its request through the async store,
+// as the audit plugin and media library do
+const report = (req, res) => res.json({
+  inContext: getCurrentRequest() === req,
+  file: req.file?.originalname || null
+});
+
+describe('request context', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(requestContext);
+    app.post('/json', express.json(), report);
+    app.post('/multipart', uploadSingleImage, report);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('is kept for JSON requests', async () => {
+    const response = await fetch(`${baseUrl}/json`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Implants' })
+    });
+    assert.deepEqual(await response.json(), { inContext: true, file: null });
+  });
+
+  it('is kept after multer parses a multipart request', async () => {
+    const body = new FormData();
+    body.append('title', 'Implants');
+    body.append('image', new Blob([Buffer.from('not really a png')], { type: 'image/png' }), 'smile.png');
+
+    const response = await fetch(`${baseUrl}/multipart`, { method: 'POST', body });
+    assert.deepEqual(await response.json(), { inContext: true, file: 'smile.png' });
+  });
+});
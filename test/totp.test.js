@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+// The SHA-1 secret from RFC 6238 appendix B ("12345678901234567890"), base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const step = (seconds) => Math.floor(seconds / 30);
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 test vectors (last 6 digits)', () => {
+    assert.equal(generateCode(RFC_SECRET, step(59)), '287082');
+    assert.equal(generateCode(RFC_SECRET, step(1111111109)), '081804');
+    assert.equal(generateCode(RFC_SECRET, step(1234567890)), '005924');
+    assert.equal(generateCode(RFC_SECRET, step(2000000000)), '279037');
+  });
+
+  it('accepts lowercase secrets', () => {
+    assert.equal(generateCode(RFC_SECRET.toLowerCase(), step(59)), '287082');
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111109 * 1000;
+
+  it('returns the matching time step', () => {
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time }), step(1111111109));
+    assert.equal(verifyCode(RFC_SECRET, '081 804', { time }), step(1111111109));
+  });
+
+  it('allows one step of clock drift by default', () => {
+    const previous = generateCode(RFC_SECRET, step(1111111109) - 1);
+    const tooOld = generateCode(RFC_SECRET, step(1111111109) - 2);
+
+    assert.equal(verifyCode(RFC_SECRET, previous, { time }), step(1111111109) - 1);
+    assert.equal(verifyCode(RFC_SECRET, tooOld, { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, previous, { time, window: 0 }), null);
+  });
+
+  it('rejects malformed codes', () => {
+    for (const code of ['', null, undefined, '12345', '1234567', 'abcdef']) {
+      assert.equal(verifyCode(RFC_SECRET, code, { time }), null);
+    }
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns a 160-bit base32 secret that codes can be generated from', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+    assert.match(generateCode(secret), /^\d{6}$/);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds a URI authenticator apps can scan', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'owner@example.com', issuer: 'Dentist' }));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Dentist:owner@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('issuer'), 'Dentist');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
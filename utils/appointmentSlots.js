@@ -0,0 +1,81 @@
+const Appointment = require('../models/Appointment');
+const ClinicInfo = require('../models/ClinicInfo');
+const { timeToMinutes, minutesToTime, getDayOfWeek, getZonedNow } = require('./time');
+const { getTimezone, getDaySchedule } = require('./openingHours');
+
+// Expand a team member's weekly availability into bookable slots for one date
+const buildSlots = (teamMember, location, date) => {
+  const dayOfWeek = getDayOfWeek(date);
+  const blocks = (teamMember.availability || [])
+    .filter((block) => block.location === location && block.dayOfWeek === dayOfWeek);
+
+  const slots = [];
+  for (const block of blocks) {
+    const duration = block.slotDuration || 30;
+    const end = timeToMinutes(block.endTime);
+    for (let start = timeToMinutes(block.startTime); start + duration <= end; start += duration) {
+      slots.push({ startTime: minutesToTime(start), endTime: minutesToTime(start + duration) });
+    }
+  }
+
+  return slots.sort((a, b) => a.startTime.localeCompare(b.startTime));
+};
+
+const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+// The clinic's timezone and opening hours, or null before clinic info exists.
+// Load once and pass as `clinicInfo` when computing slots for several days.
+const findClinicHours = () => ClinicInfo.findOne({ isActive: true })
+  .select('timezone holidays location1.openingHours location2.openingHours');
+
+// Closures, overrides and holidays of the location take precedence over the
+// team member's weekly availability; on a normal week day every slot stays
+const withinOpeningHours = (slots, clinicInfo, location, date) => {
+  if (!clinicInfo) return slots;
+
+  const day = getDaySchedule(clinicInfo, location, date);
+  if (day.source === 'weekly') return slots;
+
+  return slots.filter((slot) => day.intervals.some((interval) =>
+    interval.startTime <= slot.startTime && slot.endTime <= interval.endTime));
+};
+
+// Appointments that still block time for a team member on a date
+const findBookedAppointments = (teamMemberId, date, excludeId) => {
+  const query = {
+    teamMember: teamMemberId,
+    date,
+    status: { $in: Appointment.ACTIVE_STATUSES }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Appointment.find(query).select('startTime endTime');
+};
+
+const getAvailableSlots = async (teamMember, location, date, { excludeId, clinicInfo } = {}) => {
+  const hours = clinicInfo === undefined ? await findClinicHours() : clinicInfo;
+  const slots = withinOpeningHours(buildSlots(teamMember, location, date), hours, location, date);
+  if (slots.length === 0) return [];
+
+  const booked = await findBookedAppointments(teamMember._id, date, excludeId);
+  // Same timezone as the open status: clinic info's, else CLINIC_TIMEZONE
+  const now = getZonedNow(hours ? getTimezone(hours) : undefined);
+
+  return slots.filter((slot) => {
+    if (date < now.date) return false;
+    if (date === now.date && timeToMinutes(slot.startTime) <= now.minutes) return false;
+    return !booked.some((appointment) => overlaps(slot, appointment));
+  });
+};
+
+// Returns the matching free slot, or null if the requested start time is not bookable
+const findAvailableSlot = async (teamMember, location, date, startTime, options) => {
+  const slots = await getAvailableSlots(teamMember, location, date, options);
+  return slots.find((slot) => slot.startTime === startTime) || null;
+};
+
+module.exports = {
+  buildSlots,
+  findClinicHours,
+  getAvailableSlots,
+  findAvailableSlot
+};
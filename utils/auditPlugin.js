@@ -0,0 +1,164 @@
+// Mongoose plugin that writes an AuditLog entry for every document created,
+// updated or deleted while handling a POST/PUT/PATCH/DELETE request.
+// Writes made outside a request (background jobs, scripts) are not logged.
+// Lookups use `withDeleted` so changes to trashed documents (restore, purge)
+// are captured too; the option is ignored by models without soft delete.
+const AuditLog = require('../models/AuditLog');
+const { getCurrentRequest } = require('../middleware/requestContext');
+const { diffObjects, omitFields } = require('./diff');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Never copied into the audit trail
+const DEFAULT_EXCLUDE = [
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'passwordHistory',
+  'otpCode',
+  'otpExpire',
+  'otpAttempts',
+  'emailChangeTokenHash',
+  'emailChangeExpire',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'tokenVersion',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.backupCodes',
+  'twoFactor.lastUsedStep'
+];
+
+// Bulk updates beyond this many documents are not diffed one by one
+const MAX_BULK_DOCUMENTS = 200;
+
+const auditedRequest = () => {
+  const req = getCurrentRequest();
+  return req && MUTATING_METHODS.includes(req.method) ? req : null;
+};
+
+const record = async (req, entry) => {
+  try {
+    await AuditLog.create({
+      ...entry,
+      user: req.user?.id,
+      method: req.method,
+      route: `${req.baseUrl}${req.route?.path || req.path}`,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 500)
+    });
+  } catch (error) {
+    // Auditing must never break the request itself
+    console.error('❌ Failed to write audit log:', error.message);
+  }
+};
+
+const auditPlugin = (schema, options = {}) => {
+  const exclude = [...DEFAULT_EXCLUDE, ...(options.exclude || [])];
+
+  const logCreate = (req, model, doc) => record(req, {
+    action: 'create',
+    model,
+    documentId: doc._id,
+    after: omitFields(doc, exclude)
+  });
+
+  const logUpdate = (req, model, before, after) => {
+    const changes = diffObjects(before, after, { ignore: exclude });
+    if (changes.length === 0) return null;
+    return record(req, { action: 'update', model, documentId: after._id, changes });
+  };
+
+  const logDelete = (req, model, doc) => record(req, {
+    action: 'delete',
+    model,
+    documentId: doc._id,
+    before: omitFields(doc, exclude)
+  });
+
+  // doc.save()
+  schema.post('init', function() {
+    if (auditedRequest()) this.$locals.auditSnapshot = this.toObject();
+  });
+
+  schema.pre('save', function() {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post('save', async function(doc) {
+    const req = auditedRequest();
+    if (!req) return;
+
+    const model = doc.constructor.modelName;
+    if (doc.$locals.auditIsNew) {
+      await logCreate(req, model, doc.toObject());
+    } else if (doc.$locals.auditSnapshot) {
+      await logUpdate(req, model, doc.$locals.auditSnapshot, doc.toObject());
+    }
+    doc.$locals.auditSnapshot = doc.toObject();
+  });
+
+  // Model.findByIdAndUpdate / findOneAndUpdate / updateOne
+  schema.pre(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function() {
+    if (!auditedRequest()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).setOptions({ withDeleted: true }).lean();
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function() {
+    const req = auditedRequest();
+    if (!req || !this._auditBefore) return;
+
+    const after = await this.model.findById(this._auditBefore._id).setOptions({ withDeleted: true }).lean();
+    if (after) await logUpdate(req, this.model.modelName, this._auditBefore, after);
+  });
+
+  // Model.updateMany
+  schema.pre('updateMany', async function() {
+    if (!auditedRequest()) return;
+    this._auditBefore = await this.model.find(this.getFilter()).setOptions({ withDeleted: true }).limit(MAX_BULK_DOCUMENTS).lean();
+  });
+
+  schema.post('updateMany', async function() {
+    const req = auditedRequest();
+    if (!req || !this._auditBefore?.length) return;
+
+    const afterDocs = await this.model.find({ _id: { $in: this._auditBefore.map((doc) => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .lean();
+    const afterById = new Map(afterDocs.map((doc) => [doc._id.toString(), doc]));
+    for (const before of this._auditBefore) {
+      const after = afterById.get(before._id.toString());
+      if (after) await logUpdate(req, this.model.modelName, before, after);
+    }
+  });
+
+  // Model.findByIdAndDelete / findOneAndDelete / deleteOne / deleteMany
+  schema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    if (!auditedRequest()) return;
+    const query = this.model.find(this.getFilter()).setOptions({ withDeleted: true }).lean();
+    this._auditBefore = await (this.op === 'deleteMany' ? query.limit(MAX_BULK_DOCUMENTS) : query.limit(1));
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    const req = auditedRequest();
+    if (!req || !this._auditBefore?.length) return;
+
+    const remaining = await this.model.find({ _id: { $in: this._auditBefore.map((doc) => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
+    const stillThere = new Set(remaining.map((doc) => doc._id.toString()));
+    for (const doc of this._auditBefore) {
+      if (!stillThere.has(doc._id.toString())) await logDelete(req, this.model.modelName, doc);
+    }
+  });
+
+  // doc.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    const req = auditedRequest();
+    if (req) await logDelete(req, doc.constructor.modelName, doc.toObject());
+  });
+};
+
+module.exports = auditPlugin;
@@ -0,0 +1,48 @@
+// Admin-managed content types, shared by the trash and translation endpoints
+const Blog = require('../models/Blog');
+const Service = require('../models/Service');
+const FAQ = require('../models/FAQ');
+const Feedback = require('../models/Feedback');
+const HeroImage = require('../models/HeroImage');
+const HeroVideo = require('../models/HeroVideo');
+const Partner = require('../models/Partner');
+const Results = require('../models/Results');
+const Team = require('../models/Team');
+const TeamPicture = require('../models/TeamPicture');
+const ClinicInfo = require('../models/ClinicInfo');
+
+// Keyed by the type used in URLs such as /api/trash/:type/:id. `singleton`
+// is the filter that identifies the one live record for types that only
+// allow one.
+const CONTENT_TYPES = {
+  blogs: { Model: Blog, permission: 'blogs:write', title: (doc) => doc.cardInfo?.title },
+  services: { Model: Service, permission: 'services:write', title: (doc) => doc.cardInfo?.title },
+  faqs: { Model: FAQ, permission: 'faqs:write', title: (doc) => doc.question },
+  feedback: { Model: Feedback, permission: 'feedback:write', title: (doc) => doc.title },
+  'hero-images': { Model: HeroImage, permission: 'hero-images:write', title: (doc) => doc.title },
+  'hero-videos': {
+    Model: HeroVideo,
+    permission: 'hero-videos:write',
+    title: (doc) => doc.title,
+    singleton: { isActive: true }
+  },
+  partners: { Model: Partner, permission: 'partners:write', title: (doc) => doc.partnerName },
+  results: { Model: Results, permission: 'results:write', title: (doc) => doc.title },
+  team: { Model: Team, permission: 'team:write', title: (doc) => doc.name },
+  'team-pictures': {
+    Model: TeamPicture,
+    permission: 'team-pictures:write',
+    title: (doc) => doc.teamName,
+    singleton: {}
+  },
+  'clinic-info': {
+    Model: ClinicInfo,
+    permission: 'clinic-info:write',
+    title: (doc) => doc.name,
+    singleton: { isActive: true }
+  }
+};
+
+module.exports = {
+  CONTENT_TYPES
+};
@@ -0,0 +1,64 @@
+// Field-level differences between two plain objects
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Normalise documents so ObjectIds and Dates compare as strings
+const toPlain = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+
+// { a: { b: 1 } } -> { 'a.b': 1 }. Arrays are compared as a whole.
+const flatten = (value, prefix = '', output = {}) => {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, output);
+    } else {
+      output[path] = child;
+    }
+  }
+  return output;
+};
+
+const isIgnored = (path, ignore) =>
+  ignore.some((field) => path === field || path.startsWith(`${field}.`));
+
+// Returns [{ field, before, after }] for every path that differs
+const diffObjects = (before, after, { ignore = [] } = {}) => {
+  const left = flatten(toPlain(before));
+  const right = flatten(toPlain(after));
+  const fields = new Set([...Object.keys(left), ...Object.keys(right)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (isIgnored(field, ignore)) continue;
+    if (JSON.stringify(left[field]) !== JSON.stringify(right[field])) {
+      changes.push({ field, before: left[field], after: right[field] });
+    }
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+};
+
+// Copy of a document without the ignored fields
+const omitFields = (value, ignore = []) => {
+  const plain = toPlain(value);
+  if (!isPlainObject(plain)) return plain;
+
+  const strip = (object, prefix) => {
+    for (const key of Object.keys(object)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (ignore.includes(path)) {
+        delete object[key];
+      } else if (isPlainObject(object[key])) {
+        strip(object[key], path);
+      }
+    }
+    return object;
+  };
+  return strip(plain, '');
+};
+
+module.exports = {
+  flatten,
+  diffObjects,
+  omitFields
+};
@@ -0,0 +1,60 @@
+// Self-service email changes: the new address only replaces the old one
+// once the link sent to it has been opened
+const crypto = require('crypto');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// The dashboard page that reads ?token= and posts it to /api/auth/me/email/confirm
+const getConfirmUrl = () =>
+  process.env.EMAIL_CHANGE_CONFIRM_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/confirm-email`;
+
+// Store the pending address and return the confirmation link to email to it.
+// A new request replaces any earlier one.
+const requestEmailChange = async (user, newEmail) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.pendingEmail = newEmail;
+  user.emailChangeTokenHash = hashToken(token);
+  user.emailChangeExpire = new Date(Date.now() + EMAIL_CHANGE_TTL);
+  await user.save();
+
+  return `${getConfirmUrl()}?token=${token}`;
+};
+
+const cancelEmailChange = (user) => User.updateOne(
+  { _id: user._id },
+  { $unset: { pendingEmail: 1, emailChangeTokenHash: 1, emailChangeExpire: 1 } }
+);
+
+// Resolves to { user, previousEmail } or { error, conflict }
+const confirmEmailChange = async (token) => {
+  const user = await User.findOne({
+    emailChangeTokenHash: hashToken(String(token)),
+    emailChangeExpire: { $gt: new Date() }
+  });
+  if (!user || !user.pendingEmail) {
+    return { error: 'Invalid or expired confirmation link' };
+  }
+
+  // Someone else may have taken the address since the change was requested
+  if (await User.exists({ _id: { $ne: user._id }, email: user.pendingEmail })) {
+    await cancelEmailChange(user);
+    return { error: 'Email already exists', conflict: true };
+  }
+
+  const previousEmail = user.email;
+  user.email = user.pendingEmail;
+  user.pendingEmail = undefined;
+  user.emailChangeTokenHash = undefined;
+  user.emailChangeExpire = undefined;
+  await user.save();
+
+  return { user, previousEmail };
+};
+
+module.exports = {
+  requestEmailChange,
+  cancelEmailChange,
+  confirmEmailChange
+};
@@ -2,7 +2,7 @@ const nodemailer = require('nodemailer');
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     service: 'gmail', // You can change this to your preferred email service
     auth: {
       user: process.env.EMAIL_USER,
@@ -11,6 +11,14 @@ const createTransporter = () => {
   });
 };
 
+// For text submitted through public forms
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Send OTP email
 const sendOTPEmail = async (email, otp, username) => {
   try {
@@ -59,7 +67,7 @@ const sendWelcomeEmail = async (email, username) => {
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2 style="color: #333;">Welcome to Dentist Website!</h2>
-          <p>Hello ${username},</p>
+          <p>Hello ${escapeHtml(username)},</p>
           <p>Thank you for registering with us. Your account has been created successfully!</p>
           <p>You can now access all the features of our platform.</p>
           <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
@@ -79,7 +87,268 @@ const sendWelcomeEmail = async (email, username) => {
   }
 };
 
+// Invitation to create a dashboard account
+const sendInvitationEmail = async (email, { role, invitedBy, link, expiresAt }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'You have been invited to the Dentist Website dashboard',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">You're invited!</h2>
+          <p>Hello,</p>
+          <p>${invitedBy ? escapeHtml(invitedBy) : 'The clinic'} has invited you to manage the Dentist Website as <strong>${escapeHtml(role)}</strong>.</p>
+          <p>Choose a username and password to create your account:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="background-color: #007bff; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Accept invitation</a>
+          </div>
+          <p><strong>This invitation expires on ${expiresAt.toUTCString()}.</strong></p>
+          <p>If you were not expecting this invitation, you can ignore this email.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message, please do not reply to this email.
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Invitation email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending invitation email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell a user their account was locked after repeated failed sign-ins
+const sendAccountLockedEmail = async (email, { username, lockedUntil, ip }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your account has been temporarily locked - Dentist Website',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Account temporarily locked</h2>
+          <p>Hello ${escapeHtml(username)},</p>
+          <p>We locked your account after several failed sign-in attempts${ip ? ` from IP address ${escapeHtml(ip)}` : ''}.</p>
+          <p><strong>You can sign in again after ${lockedUntil.toUTCString()}.</strong></p>
+          <p>If this was you, you can also reset your password to unlock your account right away.</p>
+          <p>If it wasn't you, someone may be trying to guess your password. Consider resetting it and enabling two-factor authentication.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message, please do not reply to this email.
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Confirm a new address before it replaces the account's email
+const sendEmailChangeVerification = async (email, { username, link }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Confirm your new email address - Dentist Website',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Confirm your new email address</h2>
+          <p>Hello ${escapeHtml(username)},</p>
+          <p>Please confirm that you want to use this address for your Dentist Website account:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="background-color: #007bff; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Confirm email address</a>
+          </div>
+          <p><strong>This link will expire in 24 hours.</strong></p>
+          <p>If you did not request this change, please ignore this email.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message, please do not reply to this email.
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Email change verification sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending email change verification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Let the previous address know the account's email was changed
+const sendEmailChangedNotice = async (email, { username, newEmail }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your email address was changed - Dentist Website',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Email address changed</h2>
+          <p>Hello ${escapeHtml(username)},</p>
+          <p>The email address of your Dentist Website account was changed to <strong>${escapeHtml(newEmail)}</strong>.</p>
+          <p>If you did not make this change, please contact the clinic's administrator right away.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message, please do not reply to this email.
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Email changed notice sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending email changed notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Notify the clinic about a contact form inquiry; replies go to the sender
+const sendInquiryNotification = async (to, inquiry) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to,
+      replyTo: inquiry.email,
+      subject: `New inquiry: ${inquiry.subject || inquiry.name}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">New Website Inquiry</h2>
+          <p><strong>Name:</strong> ${escapeHtml(inquiry.name)}</p>
+          <p><strong>Email:</strong> ${escapeHtml(inquiry.email)}</p>
+          ${inquiry.phone ? `<p><strong>Phone:</strong> ${escapeHtml(inquiry.phone)}</p>` : ''}
+          ${inquiry.subject ? `<p><strong>Subject:</strong> ${escapeHtml(inquiry.subject)}</p>` : ''}
+          <div style="background-color: #f4f4f4; padding: 20px; margin: 20px 0; white-space: pre-wrap;">${escapeHtml(inquiry.message)}</div>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            Sent from the website contact form. Reply to this email to answer the sender directly.
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Inquiry notification sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending inquiry notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Double opt-in: the subscription only starts once this link is opened
+const sendSubscriptionConfirmation = async (email, name, confirmUrl) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Please confirm your subscription - Dentist Website',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Confirm your subscription</h2>
+          <p>Hello${name ? ` ${escapeHtml(name)}` : ''},</p>
+          <p>Thanks for signing up for our newsletter. Please confirm your email address to start receiving it:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${confirmUrl}" style="background-color: #007bff; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Confirm subscription</a>
+          </div>
+          <p><strong>This link will expire in 48 hours.</strong></p>
+          <p>If you did not sign up, please ignore this email and you will not hear from us again.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message, please do not reply to this email.
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Subscription confirmation sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending subscription confirmation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// One newsletter to one subscriber. `posts` are the snapshots stored on the
+// newsletter when sending started.
+const sendNewsletterEmail = async (email, newsletter, unsubscribeUrl) => {
+  try {
+    const transporter = createTransporter();
+
+    const posts = newsletter.posts.map((post) => `
+          <div style="margin: 0 0 30px;">
+            ${post.imageUrl ? `<img src="${escapeHtml(post.imageUrl)}" alt="" style="width: 100%; max-width: 600px; border-radius: 4px;">` : ''}
+            <h3 style="color: #333; margin: 12px 0 6px;">${escapeHtml(post.title)}</h3>
+            <p style="color: #555; margin: 0 0 8px;">${escapeHtml(post.description)}</p>
+            ${post.url ? `<a href="${escapeHtml(post.url)}" style="color: #007bff;">Read more</a>` : ''}
+          </div>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: newsletter.subject,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${escapeHtml(newsletter.subject)}</h2>
+          ${newsletter.intro ? `<p style="white-space: pre-wrap;">${escapeHtml(newsletter.intro)}</p>` : ''}
+          ${posts}
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            You are receiving this because you subscribed to our newsletter.
+            <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe</a>
+          </p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending newsletter:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendOTPEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendInvitationEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeVerification,
+  sendEmailChangedNotice,
+  sendInquiryNotification,
+  sendSubscriptionConfirmation,
+  sendNewsletterEmail
 };
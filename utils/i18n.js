@@ -0,0 +1,91 @@
+// Locale negotiation and translated reads for models using
+// utils/translationsPlugin.js
+const { getDefaultLocale, getSupportedLocales } = require('../config/locales');
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target[key], object);
+  parent[last] = value;
+};
+
+// Empty strings and empty lists count as "not translated"
+const hasValue = (value) => (Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value.trim() !== '');
+
+// "es-MX" also matches a supported "es"
+const matchLocale = (tag, supported) => {
+  const locale = String(tag || '').trim().toLowerCase();
+  if (!locale) return null;
+  if (supported.includes(locale)) return locale;
+  const base = locale.split('-')[0];
+  return supported.includes(base) ? base : null;
+};
+
+// ?lang= wins over Accept-Language; anything unsupported falls back to the
+// default locale
+const resolveLocale = (req) => {
+  const supported = getSupportedLocales();
+
+  const fromQuery = matchLocale(req.query.lang, supported);
+  if (fromQuery) return fromQuery;
+
+  const accepted = String(req.get('Accept-Language') || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.split(';');
+      const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { tag, q: q ? parseFloat(q.slice(2)) || 0 : 1 };
+    })
+    .filter(({ q }) => q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of accepted) {
+    const locale = matchLocale(tag, supported);
+    if (locale) return locale;
+  }
+  return getDefaultLocale();
+};
+
+const toPlain = (doc) => (typeof doc.toJSON === 'function' ? doc.toJSON() : { ...doc });
+
+const getTranslation = (translations, locale) =>
+  (translations instanceof Map ? translations.get(locale) : translations?.[locale]);
+
+// Plain copy of a document (or array of documents) in the given locale.
+// Untranslated fields keep the default-locale value and the raw
+// `translations` map is left out.
+const localize = (Model, data, locale) => {
+  if (Array.isArray(data)) return data.map((doc) => localize(Model, doc, locale));
+  if (!data) return data;
+
+  const { translations, ...plain } = toPlain(data);
+  const translation = locale === getDefaultLocale() ? null : getTranslation(translations, locale);
+  if (!translation) return plain;
+
+  for (const path of Model.translatableFields) {
+    const value = getPath(translation, path);
+    if (hasValue(value) && getPath(plain, path) !== undefined) setPath(plain, path, value);
+  }
+  return plain;
+};
+
+// { es: ['cardInfo.title', ...] } - fields that have a default-locale value
+// but no translation, for each requested locale
+const getMissingTranslations = (Model, doc, locales) => {
+  const plain = toPlain(doc);
+  const missing = {};
+  for (const locale of locales) {
+    const translation = getTranslation(plain.translations, locale);
+    missing[locale] = Model.translatableFields.filter((path) =>
+      hasValue(getPath(plain, path)) && !hasValue(getPath(translation, path)));
+  }
+  return missing;
+};
+
+module.exports = {
+  resolveLocale,
+  localize,
+  getMissingTranslations
+};
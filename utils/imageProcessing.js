@@ -0,0 +1,153 @@
+// Responsive versions of uploaded images, generated with sharp before they
+// reach the storage driver (see storage/index.js uploadImage):
+//   - width variants (WebP by default) for srcset
+//   - square and portrait crops centred on the image's focal point
+//   - a tiny blurred placeholder as a data URI, shown while the image loads
+//
+// Every output is encoded and stored inside the upload request, so the
+// defaults are kept small; AVIF in particular is slow to encode.
+//
+// Animated images and formats sharp cannot resize are stored as they are.
+const sharp = require('sharp');
+
+const PROCESSABLE_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'tiff', 'heif'];
+
+const DEFAULT_WIDTHS = [480, 960, 1920];
+const DEFAULT_FORMATS = ['webp'];
+const VARIANT_FORMATS = ['webp', 'avif', 'jpeg'];
+
+// Crops are WebP only; `portrait` replaces a separate mobile upload
+const CROPS = [
+  { name: 'square', ratio: 1 },
+  { name: 'portrait', ratio: 9 / 16 }
+];
+const DEFAULT_CROP_WIDTHS = [720];
+
+const PLACEHOLDER_WIDTH = 16;
+const CENTER = { x: 0.5, y: 0.5 };
+
+const isEnabled = () => process.env.IMAGE_VARIANTS !== 'false';
+
+const parseList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+const parseWidths = (value, fallback) => {
+  const widths = parseList(value).map(Number).filter((width) => Number.isInteger(width) && width > 0);
+  return widths.length > 0 ? [...new Set(widths)].sort((a, b) => a - b) : fallback;
+};
+
+const getVariantWidths = () => parseWidths(process.env.IMAGE_VARIANT_WIDTHS, DEFAULT_WIDTHS);
+
+const getCropWidths = () => parseWidths(process.env.IMAGE_CROP_WIDTHS, DEFAULT_CROP_WIDTHS);
+
+// IMAGE_VARIANT_CROPS=square keeps only the square crop; `none` turns crops off
+const getCrops = () => {
+  const value = process.env.IMAGE_VARIANT_CROPS;
+  if (value === undefined || value.trim() === '') return CROPS;
+  const names = parseList(value);
+  return CROPS.filter((crop) => names.includes(crop.name));
+};
+
+const getVariantFormats = () => {
+  const formats = parseList(process.env.IMAGE_VARIANT_FORMATS).filter((format) => VARIANT_FORMATS.includes(format));
+  return formats.length > 0 ? formats : DEFAULT_FORMATS;
+};
+
+// "0.5,0.3" -> { x: 0.5, y: 0.3 }; fractions of the width and height measured
+// from the top-left corner. Returns null when missing, false when malformed.
+const parseFocalPoint = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parts = typeof value === 'object' ? [value.x, value.y] : String(value).split(',');
+  if (parts.length !== 2) return false;
+  const [x, y] = parts.map((part) => Number(String(part).trim()));
+  const valid = [x, y].every((number) => Number.isFinite(number) && number >= 0 && number <= 1);
+  return valid ? { x, y } : false;
+};
+
+// Reads the `<field>FocalPoint` body fields sent alongside uploaded files
+const readFocalPoints = (body, fields) => {
+  const points = {};
+  for (const field of fields) {
+    const point = parseFocalPoint(body?.[`${field}FocalPoint`]);
+    if (point === false) {
+      return { error: `${field}FocalPoint must be two numbers between 0 and 1, e.g. "0.5,0.3"` };
+    }
+    if (point) points[field] = point;
+  }
+  return { points };
+};
+
+// Widths to generate: the configured ones smaller than the original, plus the
+// original width itself when it is below the largest configured width
+const widthsFor = (originalWidth, widths) => {
+  const smaller = widths.filter((width) => width < originalWidth);
+  return originalWidth < widths[widths.length - 1] ? [...smaller, originalWidth] : smaller;
+};
+
+// Largest region with the crop's aspect ratio, centred on the focal point as
+// far as the image edges allow
+const cropRegion = (width, height, ratio, focalPoint) => {
+  const cropWidth = width / height > ratio ? Math.round(height * ratio) : width;
+  const cropHeight = width / height > ratio ? height : Math.round(width / ratio);
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    left: clamp(Math.round(focalPoint.x * width - cropWidth / 2), width - cropWidth),
+    top: clamp(Math.round(focalPoint.y * height - cropHeight / 2), height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+};
+
+const encode = async (pipeline, format) => {
+  const { data, info } = await pipeline.toFormat(format, { quality: format === 'avif' ? 50 : 75 })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, format, width: info.width, height: info.height };
+};
+
+// Returns null when the file should be stored untouched, otherwise
+// { width, height, focalPoint, placeholder, outputs: [{ buffer, format, width, height, crop? }] }
+const processImage = async (buffer, { focalPoint } = {}) => {
+  if (!isEnabled()) return null;
+
+  const metadata = await sharp(buffer).metadata();
+  if (!PROCESSABLE_FORMATS.includes(metadata.format) || (metadata.pages || 1) > 1) return null;
+
+  // EXIF orientations 5-8 swap width and height once auto-rotated
+  const rotated = (metadata.orientation || 1) >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const point = focalPoint || CENTER;
+  const source = () => sharp(buffer).rotate();
+
+  const outputs = [];
+  for (const variantWidth of widthsFor(width, getVariantWidths())) {
+    for (const format of getVariantFormats()) {
+      outputs.push(await encode(source().resize({ width: variantWidth }), format));
+    }
+  }
+
+  for (const crop of getCrops()) {
+    const region = cropRegion(width, height, crop.ratio, point);
+    for (const cropWidth of widthsFor(region.width, getCropWidths())) {
+      const output = await encode(source().extract(region).resize({ width: cropWidth }), 'webp');
+      outputs.push({ ...output, crop: crop.name });
+    }
+  }
+
+  const placeholder = await source().resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 40 }).toBuffer();
+
+  return {
+    width,
+    height,
+    focalPoint: point,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    outputs
+  };
+};
+
+module.exports = {
+  CROPS,
+  parseFocalPoint,
+  readFocalPoints,
+  cropRegion,
+  processImage
+};
@@ -0,0 +1,42 @@
+// Shape of every uploaded image stored on a document: the original file plus
+// what utils/imageProcessing.js generated from it. Images uploaded before
+// processing existed only have public_id and url.
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  public_id: String,
+  url: String,
+  width: Number,
+  height: Number,
+  format: String,
+  // Set for focal-point crops: "square" or "portrait"
+  crop: String
+}, { _id: false });
+
+const imageField = ({ required = true } = {}) => ({
+  public_id: {
+    type: String,
+    required
+  },
+  url: {
+    type: String,
+    required
+  },
+  width: Number,
+  height: Number,
+  // Fractions of the width and height, from the top-left corner
+  focalPoint: {
+    x: { type: Number, min: 0, max: 1 },
+    y: { type: Number, min: 0, max: 1 }
+  },
+  // Tiny blurred WebP data URI to show while the image loads
+  placeholder: String,
+  variants: {
+    type: [variantSchema],
+    default: undefined
+  }
+});
+
+module.exports = {
+  imageField
+};
@@ -0,0 +1,45 @@
+// Signed invitation links, shared by routes/invitations.js (sending) and
+// routes/auth.js (accepting)
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const INVITE_PURPOSE = 'invite';
+
+const getInviteTtl = () => {
+  const days = parseInt(process.env.INVITE_EXPIRE_DAYS, 10);
+  return (Number.isInteger(days) && days > 0 ? days : 7) * DAY;
+};
+
+// The dashboard page that reads ?token= and posts it to /api/auth/accept-invite
+const getAcceptUrl = () =>
+  process.env.INVITE_ACCEPT_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invite`;
+
+// Expires together with the invitation
+const createInviteToken = (invitation) => jwt.sign(
+  { inv: invitation._id, purpose: INVITE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000)) }
+);
+
+const buildInviteLink = (invitation) => `${getAcceptUrl()}?token=${encodeURIComponent(createInviteToken(invitation))}`;
+
+// Returns the pending invitation a token was issued for, or null when the
+// token is invalid or the invitation was accepted, revoked or has expired
+const findPendingInvitation = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== INVITE_PURPOSE) return null;
+
+  return Invitation.findOne({ _id: decoded.inv, ...Invitation.pendingFilter() });
+};
+
+module.exports = {
+  getInviteTtl,
+  buildInviteLink,
+  findPendingInvitation
+};
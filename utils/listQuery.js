@@ -0,0 +1,341 @@
+// Shared pagination / sorting / projection / filtering for list endpoints
+//
+// Each route describes what callers may touch:
+//   {
+//     sortable: ['createdAt', 'cardInfo.title'],       // ?sort=-createdAt,cardInfo.title
+//     defaultSort: '-createdAt',
+//     fields: ['cardInfo', 'slug', 'createdAt'],        // ?fields=cardInfo,slug or ?fields=-blogContent
+//     filters: {                                        // ?rating[gte]=4&title=implant&from=2024-01-01
+//       rating: 'number',
+//       title: { path: 'cardInfo.title', type: 'text' },
+//       from: { path: 'createdAt', type: 'date', operator: 'gte' }
+//     }
+//   }
+//
+// Pagination is opt-in so existing clients keep receiving the full list:
+//   ?page=2&limit=10   offset pagination with total/pages
+//   ?limit=10          first page of cursor pagination, then ?cursor=<nextCursor>
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+class ListQueryError extends Error {}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const castValue = (value, type, key) => {
+  if (typeof value !== 'string') {
+    throw new ListQueryError(`Invalid value for filter "${key}"`);
+  }
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number)) {
+        throw new ListQueryError(`Filter "${key}" must be a number`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (value !== 'true' && value !== 'false') {
+        throw new ListQueryError(`Filter "${key}" must be true or false`);
+      }
+      return value === 'true';
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new ListQueryError(`Filter "${key}" must be a valid date`);
+      }
+      return date;
+    }
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new ListQueryError(`Filter "${key}" must be a valid id`);
+      }
+      return new mongoose.Types.ObjectId(value);
+    default:
+      return value;
+  }
+};
+
+const buildCondition = (key, raw, { type, operator }) => {
+  // Text filters are a case-insensitive "contains" match
+  if (type === 'text') {
+    if (typeof raw !== 'string' || !raw.trim()) {
+      throw new ListQueryError(`Invalid value for filter "${key}"`);
+    }
+    return { $regex: escapeRegex(raw.trim()), $options: 'i' };
+  }
+
+  // Filters bound to one operator, e.g. ?from=2024-01-01 -> { $gte: date }
+  if (operator) {
+    return { [`$${operator}`]: castValue(raw, type, key) };
+  }
+
+  // ?rating=5 or ?location=location1,location2
+  if (typeof raw === 'string') {
+    const values = raw.split(',');
+    return values.length > 1
+      ? { $in: values.map((value) => castValue(value, type, key)) }
+      : castValue(raw, type, key);
+  }
+
+  // ?rating[gte]=4&rating[lte]=5
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ListQueryError(`Invalid value for filter "${key}"`);
+  }
+
+  const condition = {};
+  for (const [operator, value] of Object.entries(raw)) {
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw new ListQueryError(`Unsupported operator "${operator}" for filter "${key}"`);
+    }
+    if (RANGE_OPERATORS.includes(operator) && (type === 'boolean' || type === 'objectId')) {
+      throw new ListQueryError(`Operator "${operator}" cannot be used with filter "${key}"`);
+    }
+    condition[`$${operator}`] = operator === 'in'
+      ? String(value).split(',').map((item) => castValue(item, type, key))
+      : castValue(value, type, key);
+  }
+  return condition;
+};
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+const parseFilters = (query, filters = {}) => {
+  const conditions = {};
+  for (const [key, definition] of Object.entries(filters)) {
+    if (typeof query[key] === 'undefined') continue;
+
+    const config = typeof definition === 'string' ? { type: definition } : definition;
+    const path = config.path || key;
+    const condition = buildCondition(key, query[key], config);
+
+    // Several query keys may narrow the same field (?from=...&to=...)
+    conditions[path] = isOperatorObject(conditions[path]) && isOperatorObject(condition)
+      ? { ...conditions[path], ...condition }
+      : condition;
+  }
+  return conditions;
+};
+
+const parseSort = (sort, { sortable = [], defaultSort = '-createdAt' }) => {
+  const raw = typeof sort === 'string' && sort.trim() ? sort : defaultSort;
+  const fields = {};
+
+  for (const part of raw.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const direction = part.startsWith('-') ? -1 : 1;
+    const field = part.replace(/^[-+]/, '');
+    if (field !== '_id' && !sortable.includes(field)) {
+      throw new ListQueryError(`Cannot sort by "${field}". Sortable fields: ${sortable.join(', ')}`);
+    }
+    fields[field] = direction;
+  }
+
+  // _id breaks ties so pages (and cursors) are stable
+  if (!('_id' in fields)) {
+    const last = Object.values(fields).pop() || -1;
+    fields._id = last;
+  }
+  return fields;
+};
+
+const parseProjection = (fields, allowed = []) => {
+  if (typeof fields !== 'string' || !fields.trim()) return null;
+
+  const projection = {};
+  let mode = null;
+  for (const part of fields.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const exclude = part.startsWith('-');
+    const field = part.replace(/^-/, '');
+    if (!allowed.includes(field) && !allowed.some((path) => field.startsWith(`${path}.`))) {
+      throw new ListQueryError(`Unknown field "${field}". Selectable fields: ${allowed.join(', ')}`);
+    }
+    if (mode !== null && mode !== exclude) {
+      throw new ListQueryError('Cannot mix included and excluded fields');
+    }
+    mode = exclude;
+    projection[field] = exclude ? 0 : 1;
+  }
+  return projection;
+};
+
+const parseLimit = (limit) => {
+  if (typeof limit === 'undefined') return DEFAULT_LIMIT;
+  const number = parseInt(limit, 10);
+  if (Number.isNaN(number) || number < 1) {
+    throw new ListQueryError('limit must be a positive integer');
+  }
+  return Math.min(number, MAX_LIMIT);
+};
+
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map((field) => {
+    const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), doc);
+    return value instanceof Date ? { $date: value.toISOString() } : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const fields = Object.keys(sort);
+    if (!Array.isArray(values) || values.length !== fields.length) throw new Error();
+
+    return values.map((value, index) => {
+      if (value && typeof value === 'object' && typeof value.$date === 'string') return new Date(value.$date);
+      if (fields[index] === '_id') return new mongoose.Types.ObjectId(value);
+      return value;
+    });
+  } catch (error) {
+    throw new ListQueryError('Invalid cursor');
+  }
+};
+
+// Values of `field` after `value` in sort order. MongoDB sorts null (and
+// missing) before everything else: first when ascending, last when descending.
+// Resolves to null when nothing can come after.
+const afterValue = (field, value, direction) => {
+  if (value === null) return direction === 1 ? { [field]: { $ne: null } } : null;
+  if (direction === 1 || field === '_id') return { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition: documents strictly after the cursor in sort order. The
+// last sort key is always _id, which is never null, so one branch remains.
+const cursorCondition = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => {
+      const after = afterValue(field, values[index], sort[field]);
+      if (!after) return null;
+
+      const condition = {};
+      for (let i = 0; i < index; i++) {
+        condition[fields[i]] = values[i];
+      }
+      return { ...condition, ...after };
+    }).filter(Boolean)
+  };
+};
+
+// Turn req.query into a description of the list request.
+// Returns { error } when the query is invalid.
+const parseListQuery = (query, config = {}) => {
+  try {
+    const sort = parseSort(query.sort, config);
+    const parsed = {
+      filter: parseFilters(query, config.filters),
+      sort,
+      projection: parseProjection(query.fields, config.fields),
+      mode: 'all'
+    };
+
+    if (typeof query.cursor !== 'undefined') {
+      parsed.mode = 'cursor';
+      parsed.limit = parseLimit(query.limit);
+      parsed.cursor = decodeCursor(String(query.cursor), sort);
+    } else if (typeof query.page !== 'undefined') {
+      const page = parseInt(query.page, 10);
+      if (Number.isNaN(page) || page < 1) {
+        throw new ListQueryError('page must be a positive integer');
+      }
+      parsed.mode = 'page';
+      parsed.page = page;
+      parsed.limit = parseLimit(query.limit);
+    } else if (typeof query.limit !== 'undefined') {
+      parsed.mode = 'cursor';
+      parsed.limit = parseLimit(query.limit);
+    }
+
+    return parsed;
+  } catch (error) {
+    if (error instanceof ListQueryError) return { error: error.message };
+    throw error;
+  }
+};
+
+const combine = (...conditions) => {
+  const parts = conditions.filter((condition) => condition && Object.keys(condition).length);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+// Run a parsed list query against a model. `baseFilter` holds the route's own
+// visibility rules and is always applied on top of the caller's filters.
+// Resolves to { data, meta } where meta is spread into the response body.
+const runListQuery = async (Model, baseFilter, listQuery, { populate } = {}) => {
+  const { filter, sort, projection, mode, limit } = listQuery;
+  const conditions = combine(baseFilter, filter);
+
+  const build = (criteria, select = projection) => {
+    let query = Model.find(criteria).sort(sort);
+    // Translated reads (utils/i18n.js) need the translations of the selected fields
+    if (select && Model.translatableFields && Object.values(select).includes(1)) {
+      select = { ...select, translations: 1 };
+    }
+    if (select) query = query.select(select);
+    if (populate) query = query.populate(populate);
+    return query;
+  };
+
+  if (mode === 'page') {
+    const { page } = listQuery;
+    const [data, total] = await Promise.all([
+      build(conditions).skip((page - 1) * limit).limit(limit),
+      Model.countDocuments(conditions)
+    ]);
+    const pages = Math.ceil(total / limit);
+    return {
+      data,
+      meta: { total, page, pages, limit, hasMore: page < pages }
+    };
+  }
+
+  if (mode === 'cursor') {
+    const criteria = listQuery.cursor
+      ? combine(conditions, cursorCondition(sort, listQuery.cursor))
+      : conditions;
+
+    // The cursor is built from the sort keys, so keep them in the projection
+    let select = projection;
+    if (projection) {
+      select = { ...projection };
+      for (const field of Object.keys(sort)) {
+        if (Object.values(projection).includes(1)) select[field] = 1;
+        else delete select[field];
+      }
+    }
+
+    const docs = await build(criteria, select).limit(limit + 1);
+    const hasMore = docs.length > limit;
+    const data = hasMore ? docs.slice(0, limit) : docs;
+    return {
+      data,
+      meta: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+      }
+    };
+  }
+
+  return { data: await build(conditions), meta: {} };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  parseListQuery,
+  runListQuery
+};
@@ -0,0 +1,188 @@
+// Brute-force protection for sign-in and password reset. Failed attempts are
+// counted per account and per client IP: after a few failures every further
+// attempt has to wait a little longer, and too many lock the key for a while.
+const LoginThrottle = require('../models/LoginThrottle');
+const { sendAccountLockedEmail } = require('./emailService');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const MAX_DELAY = 30 * SECOND;
+const MAX_LOCK = 24 * 60 * MINUTE;
+
+const readPositiveInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Failures allowed before a lockout, and how many of them come without a delay
+const getLimits = (scope) => (scope === 'ip'
+  ? { maxFailures: readPositiveInt('LOGIN_IP_MAX_ATTEMPTS', 20), freeFailures: 10 }
+  : { maxFailures: readPositiveInt('LOGIN_MAX_ATTEMPTS', 5), freeFailures: 2 });
+
+// The first lockout lasts LOGIN_LOCK_MINUTES, each further one twice as long
+const getLockDuration = (lockouts) =>
+  Math.min(readPositiveInt('LOGIN_LOCK_MINUTES', 15) * MINUTE * 2 ** (lockouts - 1), MAX_LOCK);
+
+// Quiet keys are forgotten after this long, lockout history included
+const getWindow = () => readPositiveInt('LOGIN_ATTEMPT_WINDOW_MINUTES', 60) * MINUTE;
+
+// 1s, 2s, 4s... between attempts once the free failures are used up
+const getDelay = (failures, freeFailures) =>
+  (failures <= freeFailures ? 0 : Math.min(2 ** (failures - freeFailures - 1) * SECOND, MAX_DELAY));
+
+const getOtpMaxAttempts = () => readPositiveInt('OTP_MAX_ATTEMPTS', 5);
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / SECOND));
+
+// Reserve one attempt for a key. The attempt counts as a failure up front
+// and is forgiven on success, so concurrent requests cannot get around the
+// limits. Resolves to { blocked }, the attempt to settle later, or null when
+// another attempt for the same key changed it first.
+const tryBeginAttempt = async (key, scope, ip, now) => {
+  const { maxFailures, freeFailures } = getLimits(scope);
+  const current = await LoginThrottle.findOne({ key });
+  // Past its window the key starts over, even if MongoDB hasn't removed it yet
+  const state = current && current.expiresAt > now ? current : null;
+
+  if (state) {
+    if (state.lockedUntil > now) {
+      return { blocked: { locked: true, retryAfter: secondsUntil(state.lockedUntil, now) } };
+    }
+    if (state.nextAttemptAt > now) {
+      return { blocked: { locked: false, retryAfter: secondsUntil(state.nextAttemptAt, now) } };
+    }
+    // The previous attempt reached the limit and is still being checked
+    if (state.failures >= maxFailures) {
+      return { blocked: { locked: true, retryAfter: secondsUntil(state.expiresAt, now) } };
+    }
+  }
+
+  const failures = (state?.failures || 0) + 1;
+  const lockouts = state?.lockouts || 0;
+  const fields = {
+    failures,
+    lockouts,
+    nextAttemptAt: new Date(now.getTime() + getDelay(failures, freeFailures)),
+    lockedUntil: null,
+    lastIp: ip,
+    expiresAt: new Date(now.getTime() + getWindow())
+  };
+
+  let reserved;
+  if (current) {
+    const { modifiedCount } = await LoginThrottle.updateOne(
+      { _id: current._id, attempts: current.attempts },
+      { $set: fields, $inc: { attempts: 1 } }
+    );
+    reserved = modifiedCount === 1;
+  } else {
+    reserved = await LoginThrottle.create({ key, attempts: 1, ...fields }).then(
+      () => true,
+      (error) => {
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    );
+  }
+
+  return reserved ? { key, scope, failures, lockouts, maxFailures } : null;
+};
+
+// Staff signing in together from the clinic's shared IP race on the same
+// key; losing the race is not a failure, so re-read the key and try again
+const MAX_CONFLICT_RETRIES = 5;
+
+const beginAttempt = async (key, scope, ip) => {
+  for (let retry = 0; retry < MAX_CONFLICT_RETRIES; retry++) {
+    const attempt = await tryBeginAttempt(key, scope, ip, new Date());
+    if (attempt) return attempt;
+  }
+  // Still contended after every retry
+  return { blocked: { locked: false, retryAfter: 1 } };
+};
+
+// Lock the key if this was the last failure allowed. Resolves to the lock's
+// end, or null when the key isn't locked by this call.
+const failAttempt = async (attempt, now = new Date()) => {
+  if (attempt.failures < attempt.maxFailures) return null;
+
+  const lockedUntil = new Date(now.getTime() + getLockDuration(attempt.lockouts + 1));
+  const { modifiedCount } = await LoginThrottle.updateOne(
+    { key: attempt.key, failures: { $gte: attempt.maxFailures } },
+    {
+      failures: 0,
+      lockouts: attempt.lockouts + 1,
+      lockedUntil,
+      expiresAt: new Date(lockedUntil.getTime() + getWindow())
+    }
+  );
+  return modifiedCount === 1 ? lockedUntil : null;
+};
+
+// A successful sign-in clears the account; a shared IP only gets its attempt back
+const succeedAttempt = (attempt) => (attempt.scope === 'account'
+  ? LoginThrottle.deleteOne({ key: attempt.key })
+  : LoginThrottle.updateOne({ key: attempt.key, failures: { $gt: 0 } }, { $inc: { failures: -1 } }));
+
+// Start a guarded sign-in for the client IP and, if given, the account.
+// Resolves to { blocked: { locked, retryAfter } } or { attempts } to pass to
+// failSignIn / succeedSignIn once the credentials have been checked.
+const beginSignIn = async (req, email) => {
+  const ipAttempt = await beginAttempt(ipKey(req.ip), 'ip', req.ip);
+  if (ipAttempt.blocked) return ipAttempt;
+
+  if (!email) return { attempts: [ipAttempt] };
+
+  const accountAttempt = await beginAttempt(accountKey(email), 'account', req.ip);
+  if (accountAttempt.blocked) {
+    // Trying a locked account still counts against the IP
+    await failAttempt(ipAttempt);
+    return accountAttempt;
+  }
+
+  return { attempts: [ipAttempt, accountAttempt] };
+};
+
+// Record a failed sign-in. When it locks the account, the user (if there is
+// one) is told by email.
+const failSignIn = async ({ attempts }, req, user) => {
+  for (const attempt of attempts) {
+    const lockedUntil = await failAttempt(attempt);
+    if (lockedUntil && attempt.scope === 'account' && user) {
+      await sendAccountLockedEmail(user.email, {
+        username: user.username,
+        lockedUntil,
+        ip: req.ip
+      });
+    }
+  }
+};
+
+const succeedSignIn = ({ attempts }) => Promise.all(attempts.map(succeedAttempt));
+
+// Lift an account lockout, e.g. after the password was reset
+const resetAccountThrottle = (email) => LoginThrottle.deleteOne({ key: accountKey(email) });
+
+// 429 for a blocked attempt, with Retry-After
+const sendBlocked = (res, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: locked
+      ? `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      : `Too many attempts. Please wait ${retryAfter} second(s) before trying again.`,
+    retryAfter
+  });
+};
+
+module.exports = {
+  getOtpMaxAttempts,
+  beginSignIn,
+  failSignIn,
+  succeedSignIn,
+  resetAccountThrottle,
+  sendBlocked
+};
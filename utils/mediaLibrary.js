@@ -0,0 +1,61 @@
+// Keeps the MediaAsset collection in step with file storage. storage/index.js
+// calls these after every upload and delete, so routes never need to.
+// Failures are logged and swallowed: bookkeeping must never break an upload.
+const MediaAsset = require('../models/MediaAsset');
+
+const folderOf = (publicId) => {
+  const slash = publicId.lastIndexOf('/');
+  return slash === -1 ? '' : publicId.slice(0, slash);
+};
+
+// `result` is a storage driver's upload response, `file` the multer file it
+// came from, `storage` the driver's name and `uploadedBy` the user's id
+const recordUpload = async (result, file, storage, uploadedBy) => {
+  try {
+    await MediaAsset.findOneAndUpdate(
+      { publicId: result.public_id },
+      {
+        publicId: result.public_id,
+        url: result.secure_url,
+        storage,
+        resourceType: result.resource_type || 'image',
+        folder: folderOf(result.public_id),
+        format: result.format,
+        bytes: result.bytes,
+        width: result.width,
+        height: result.height,
+        duration: result.duration,
+        originalName: file?.originalname,
+        variants: (result.variants || []).map((variant) => ({
+          publicId: variant.public_id,
+          url: variant.url,
+          width: variant.width,
+          height: variant.height,
+          format: variant.format,
+          crop: variant.crop
+        })),
+        uploadedBy
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error('❌ Failed to record media asset:', error.message);
+  }
+};
+
+const findAsset = (publicId) => MediaAsset.findOne({ publicId }).select('storage resourceType variants.publicId').lean();
+
+const forgetAsset = async (publicId) => {
+  try {
+    await MediaAsset.deleteOne({ publicId });
+  } catch (error) {
+    console.error('❌ Failed to remove media asset record:', error.message);
+  }
+};
+
+module.exports = {
+  folderOf,
+  recordUpload,
+  findAsset,
+  forgetAsset
+};
@@ -0,0 +1,191 @@
+// Reference counting for the media library, shared by routes/media.js and
+// jobs/cleanupMedia.js.
+//
+// Every document that can point at an uploaded file is scanned, trashed ones
+// included since a restore needs their files back. A file is referenced by
+// an image/video subdocument ({ public_id, url }) or by its URL appearing in
+// any text field, e.g. an image embedded in a blog paragraph.
+const MediaAsset = require('../models/MediaAsset');
+const User = require('../models/User');
+const { CONTENT_TYPES } = require('./contentTypes');
+const { folderOf } = require('./mediaLibrary');
+const { deleteImage, deleteVideo, parseUrl } = require('../storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const SOURCE_MODELS = [...Object.values(CONTENT_TYPES).map(({ Model }) => Model), User];
+
+const URL_IN_TEXT = /https?:\/\/[^\s"'<>)]+/g;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.MEDIA_ORPHAN_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 7;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Calls found(publicId, url, path, image) for every file the document refers
+// to; `image` is the subdocument when there is one. Variants inside an image
+// subdocument belong to their original and are not counted separately.
+const walk = (value, path, found) => {
+  if (typeof value === 'string') {
+    for (const url of value.match(URL_IN_TEXT) || []) {
+      const parsed = parseUrl(url);
+      if (parsed) found(parsed.publicId, url, path);
+    }
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walk(item, path ? `${path}.${index}` : String(index), found));
+    return;
+  }
+  if (!isPlainObject(value)) return;
+
+  if (typeof value.public_id === 'string' && value.public_id) {
+    found(value.public_id, value.url, path, value);
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    walk(child, path ? `${path}.${key}` : key, found);
+  }
+};
+
+// Map of publicId -> { url, variants, references: [{ model, documentId, path }] }
+const collectReferences = async () => {
+  const references = new Map();
+
+  for (const Model of SOURCE_MODELS) {
+    const cursor = Model.find().setOptions({ withDeleted: true }).lean().cursor();
+    for await (const doc of cursor) {
+      const seen = new Set();
+      walk(doc, '', (publicId, url, path, image) => {
+        const key = `${publicId} ${path}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        if (!references.has(publicId)) {
+          references.set(publicId, { url, variants: image?.variants || [], references: [] });
+        }
+        references.get(publicId).references.push({ model: Model.modelName, documentId: doc._id, path });
+      });
+    }
+  }
+
+  return references;
+};
+
+const flush = async (operations) => {
+  if (operations.length > 0) await MediaAsset.bulkWrite(operations, { ordered: false });
+  operations.length = 0;
+};
+
+// Recount references for every asset. Files referenced by content but missing
+// from the library (uploaded before it existed) are added to it.
+const refreshReferences = async () => {
+  const references = await collectReferences();
+  const now = new Date();
+  const report = { assets: 0, referenced: 0, orphaned: 0, orphanedBytes: 0, added: 0 };
+  const operations = [];
+
+  const cursor = MediaAsset.find().select('publicId orphanedAt bytes').lean().cursor();
+  for await (const asset of cursor) {
+    const found = references.get(asset.publicId);
+    references.delete(asset.publicId);
+    report.assets++;
+
+    if (found) {
+      report.referenced++;
+    } else {
+      report.orphaned++;
+      report.orphanedBytes += asset.bytes || 0;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: asset._id },
+        update: {
+          $set: {
+            references: found ? found.references : [],
+            referenceCount: found ? found.references.length : 0,
+            referencesCheckedAt: now,
+            orphanedAt: found ? null : asset.orphanedAt || now
+          }
+        }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush(operations);
+  }
+
+  for (const [publicId, { url, variants, references: refs }] of references) {
+    if (!url) continue;
+    const parsed = parseUrl(url);
+    report.assets++;
+    report.referenced++;
+    report.added++;
+
+    operations.push({
+      updateOne: {
+        filter: { publicId },
+        update: {
+          $setOnInsert: {
+            publicId,
+            url,
+            storage: parsed?.storage || 'cloudinary',
+            resourceType: parsed?.resourceType || 'image',
+            folder: folderOf(publicId),
+            variants: variants.map((variant) => ({
+              publicId: variant.public_id,
+              url: variant.url,
+              width: variant.width,
+              height: variant.height,
+              format: variant.format,
+              crop: variant.crop
+            }))
+          },
+          $set: {
+            references: refs,
+            referenceCount: refs.length,
+            referencesCheckedAt: now,
+            orphanedAt: null
+          }
+        },
+        upsert: true
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush(operations);
+  }
+  await flush(operations);
+
+  return report;
+};
+
+// Destroy a file and drop its library entry
+const destroyAsset = (asset) =>
+  asset.resourceType === 'video' ? deleteVideo(asset.publicId) : deleteImage(asset.publicId);
+
+// Delete assets that have gone unreferenced for longer than
+// MEDIA_ORPHAN_RETENTION_DAYS. Run refreshReferences() first.
+const purgeOrphans = async ({ limit = 50 } = {}) => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY);
+  const orphans = await MediaAsset.find({ referenceCount: 0, orphanedAt: { $ne: null, $lte: cutoff } }).limit(limit);
+
+  let purged = 0;
+  for (const asset of orphans) {
+    try {
+      await destroyAsset(asset);
+      purged++;
+    } catch (error) {
+      console.error(`❌ Failed to delete orphaned ${asset.resourceType} ${asset.publicId}:`, error.message);
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  getRetentionDays,
+  collectReferences,
+  refreshReferences,
+  destroyAsset,
+  purgeOrphans
+};
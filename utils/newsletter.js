@@ -0,0 +1,265 @@
+// Newsletter subscriptions and sending, shared by routes/newsletter.js and
+// jobs/sendNewsletters.js.
+//
+// Sign-ups are confirmed through an emailed link before they receive
+// anything. Sending a newsletter creates one NewsletterDelivery per confirmed
+// subscriber; the send-newsletters job then works through them in throttled
+// batches (NEWSLETTER_BATCH_SIZE per run, NEWSLETTER_SEND_DELAY_MS apart).
+const crypto = require('crypto');
+const Blog = require('../models/Blog');
+const Subscriber = require('../models/Subscriber');
+const Newsletter = require('../models/Newsletter');
+const NewsletterDelivery = require('../models/NewsletterDelivery');
+const { publishedFilter } = require('./publishing');
+const { hashToken } = require('./tokens');
+const { sendSubscriptionConfirmation, sendNewsletterEmail } = require('./emailService');
+
+const HOUR = 60 * 60 * 1000;
+const CONFIRM_TOKEN_TTL = 48 * HOUR;
+const MAX_ATTEMPTS = 3;
+const INSERT_BATCH_SIZE = 500;
+
+const DEFAULT_POST_COUNT = 5;
+const MAX_POST_COUNT = 20;
+
+const getBatchSize = () => {
+  const size = parseInt(process.env.NEWSLETTER_BATCH_SIZE, 10);
+  return Number.isInteger(size) && size > 0 ? size : 25;
+};
+
+const getSendDelay = () => {
+  const delay = parseInt(process.env.NEWSLETTER_SEND_DELAY_MS, 10);
+  return Number.isInteger(delay) && delay >= 0 ? delay : 200;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Links in emails point at this API, e.g. /api/newsletter/confirm
+const apiUrl = (path) => `${process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`}${path}`;
+
+// Posts link to the public website when SITE_URL is set
+const blogUrl = (blog) => {
+  if (!process.env.SITE_URL) return null;
+  return `${process.env.SITE_URL.replace(/\/$/, '')}/blogs/${blog.slug || blog._id}`;
+};
+
+const unsubscribeUrl = (token) => apiUrl(`/api/newsletter/unsubscribe?token=${token}`);
+
+// Start double opt-in for an address, or start it again for someone who
+// never confirmed or unsubscribed. Confirmed subscribers are left alone.
+const requestSubscription = async ({ email, name, ip }) => {
+  const subscriber = await Subscriber.findOne({ email }) || new Subscriber({ email });
+  if (subscriber.status === 'subscribed') return { subscriber, alreadySubscribed: true };
+
+  const token = crypto.randomBytes(32).toString('hex');
+  if (name) subscriber.name = name;
+  subscriber.status = 'pending';
+  subscriber.confirmTokenHash = hashToken(token);
+  subscriber.confirmTokenExpire = new Date(Date.now() + CONFIRM_TOKEN_TTL);
+  subscriber.subscribedIp = ip;
+  await subscriber.save();
+
+  const sent = await sendSubscriptionConfirmation(
+    subscriber.email,
+    subscriber.name,
+    apiUrl(`/api/newsletter/confirm?token=${token}`)
+  );
+  return { subscriber, emailSent: sent.success };
+};
+
+// Returns the confirmed subscriber, or null for an unknown or expired token
+const confirmSubscription = async (token) => {
+  const subscriber = await Subscriber.findOne({
+    confirmTokenHash: hashToken(String(token)),
+    confirmTokenExpire: { $gt: new Date() }
+  }).select('+unsubscribeToken');
+  if (!subscriber) return null;
+
+  subscriber.status = 'subscribed';
+  subscriber.confirmedAt = new Date();
+  subscriber.unsubscribedAt = undefined;
+  subscriber.confirmTokenHash = undefined;
+  subscriber.confirmTokenExpire = undefined;
+  subscriber.unsubscribeToken = subscriber.unsubscribeToken || crypto.randomBytes(32).toString('hex');
+  await subscriber.save();
+  return subscriber;
+};
+
+// Returns the subscriber, or null for an unknown token
+const unsubscribe = async (token) => {
+  const subscriber = await Subscriber.findOne({ unsubscribeToken: String(token) });
+  if (!subscriber) return null;
+
+  if (subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'unsubscribed';
+    subscriber.unsubscribedAt = new Date();
+    await subscriber.save();
+  }
+  return subscriber;
+};
+
+// Blogs for a new newsletter: the given IDs in that order, otherwise the
+// latest posts published since the last newsletter went out
+const pickBlogs = async ({ blogIds, count = DEFAULT_POST_COUNT } = {}) => {
+  if (blogIds?.length) {
+    const blogs = await Blog.find({ _id: { $in: blogIds }, ...publishedFilter() }).select('_id');
+    const found = new Set(blogs.map((blog) => String(blog._id)));
+    return blogIds.filter((id) => found.has(String(id)));
+  }
+
+  const last = await Newsletter.findOne({ status: { $ne: 'draft' } }).sort({ sendStartedAt: -1 }).select('sendStartedAt');
+  const filter = publishedFilter();
+  if (last?.sendStartedAt) filter.publishedAt = { $gt: last.sendStartedAt };
+
+  const blogs = await Blog.find(filter)
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .limit(Math.min(count, MAX_POST_COUNT))
+    .select('_id');
+  return blogs.map((blog) => blog._id);
+};
+
+// What each recipient sees, taken from the blogs that are still published
+const snapshotPosts = async (blogIds) => {
+  const blogs = await Blog.find({ _id: { $in: blogIds }, ...publishedFilter() })
+    .select('cardInfo.title cardInfo.description cardInfo.image.url slug');
+  const byId = new Map(blogs.map((blog) => [String(blog._id), blog]));
+
+  return blogIds
+    .map((id) => byId.get(String(id)))
+    .filter(Boolean)
+    .map((blog) => ({
+      blog: blog._id,
+      title: blog.cardInfo.title,
+      description: blog.cardInfo.description,
+      url: blogUrl(blog),
+      imageUrl: blog.cardInfo.image?.url
+    }));
+};
+
+// Queue a draft for every confirmed subscriber. Returns { error } when it
+// cannot be sent.
+const startSending = async (newsletter) => {
+  const posts = await snapshotPosts(newsletter.blogs);
+  if (posts.length === 0) return { error: 'None of the newsletter\'s blog posts are published' };
+
+  const recipients = await Subscriber.countDocuments({ status: 'subscribed' });
+  if (recipients === 0) return { error: 'There are no confirmed subscribers' };
+
+  // Claim the draft so two requests cannot both queue it
+  const claimed = await Newsletter.findOneAndUpdate(
+    { _id: newsletter._id, status: 'draft' },
+    { status: 'sending', posts, sendStartedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return { error: 'Newsletter has already been sent' };
+
+  let total = 0;
+  const batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await NewsletterDelivery.insertMany(batch, { ordered: false });
+    total += result.length;
+    batch.length = 0;
+  };
+
+  const cursor = Subscriber.find({ status: 'subscribed' }).select('email').lean().cursor();
+  for await (const subscriber of cursor) {
+    batch.push({ newsletter: claimed._id, subscriber: subscriber._id, email: subscriber.email });
+    if (batch.length >= INSERT_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  claimed.stats.total = total;
+  await claimed.save();
+  return { newsletter: claimed };
+};
+
+const refreshStats = async (newsletter) => {
+  const rows = await NewsletterDelivery.aggregate([
+    { $match: { newsletter: newsletter._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const counts = Object.fromEntries(rows.map((row) => [row._id, row.count]));
+
+  newsletter.stats = {
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    sent: counts.sent || 0,
+    failed: counts.failed || 0,
+    skipped: counts.skipped || 0
+  };
+  if (!counts.pending) {
+    newsletter.status = 'sent';
+    newsletter.sentAt = new Date();
+  }
+  await newsletter.save();
+};
+
+const deliver = async (newsletter, delivery, subscriber) => {
+  if (!subscriber || subscriber.status !== 'subscribed') {
+    delivery.status = 'skipped';
+    return delivery.save();
+  }
+
+  // Claim the delivery; another instance may already be sending it
+  const claimed = await NewsletterDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: 'pending', attempts: delivery.attempts },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const result = await sendNewsletterEmail(claimed.email, newsletter, unsubscribeUrl(subscriber.unsubscribeToken));
+  if (result.success) {
+    claimed.status = 'sent';
+    claimed.sentAt = new Date();
+    claimed.error = undefined;
+  } else {
+    claimed.error = result.error;
+    // Left pending to be retried by a later run
+    if (claimed.attempts >= MAX_ATTEMPTS) claimed.status = 'failed';
+  }
+  return claimed.save();
+};
+
+// Send the next batch of queued emails, oldest newsletter first.
+// Returns the number of deliveries processed. Pauses between emails, so it
+// is only called by the send-newsletters job, never from a request handler.
+const sendPendingDeliveries = async () => {
+  let budget = getBatchSize();
+  let processed = 0;
+
+  const newsletters = await Newsletter.find({ status: 'sending' }).sort({ sendStartedAt: 1 });
+  for (const newsletter of newsletters) {
+    if (budget > 0) {
+      const deliveries = await NewsletterDelivery.find({ newsletter: newsletter._id, status: 'pending' })
+        .sort({ _id: 1 })
+        .limit(budget);
+      budget -= deliveries.length;
+
+      const subscribers = await Subscriber.find({ _id: { $in: deliveries.map((delivery) => delivery.subscriber) } })
+        .select('status +unsubscribeToken');
+      const byId = new Map(subscribers.map((subscriber) => [String(subscriber._id), subscriber]));
+
+      for (const delivery of deliveries) {
+        await deliver(newsletter, delivery, byId.get(String(delivery.subscriber)));
+        processed++;
+        await sleep(getSendDelay());
+      }
+    }
+    await refreshStats(newsletter);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  DEFAULT_POST_COUNT,
+  MAX_POST_COUNT,
+  requestSubscription,
+  confirmSubscription,
+  unsubscribe,
+  pickBlogs,
+  snapshotPosts,
+  startSending,
+  sendPendingDeliveries
+};
@@ -0,0 +1,123 @@
+// Structured opening hours from ClinicInfo: which hours apply to a location on
+// a given date, and whether it is open right now
+const {
+  getClinicTimezone,
+  timeToMinutes,
+  minutesToTime,
+  getDayOfWeek,
+  addDays,
+  getZonedNow,
+  zonedTimeToDate
+} = require('./time');
+
+// How far ahead to look for the next opening before giving up
+const LOOKAHEAD_DAYS = 60;
+
+// End time of an interval that runs until midnight ("24:00")
+const MIDNIGHT = 24 * 60;
+
+const getTimezone = (clinicInfo) => clinicInfo.timezone || getClinicTimezone();
+
+// Sorted, with overlapping or touching intervals joined: 09-12 + 11-14 -> 09-14
+const mergeIntervals = (intervals = []) => intervals
+  .map((interval) => ({ start: timeToMinutes(interval.startTime), end: timeToMinutes(interval.endTime) }))
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push(interval);
+    }
+    return merged;
+  }, [])
+  .map(({ start, end }) => ({ startTime: minutesToTime(start), endTime: minutesToTime(end) }));
+
+// A holiday on this exact date wins over a recurring one on the same day
+const findHoliday = (holidays = [], date) =>
+  holidays.find((holiday) => holiday.date === date) ||
+  holidays.find((holiday) => holiday.recurring && holiday.date.slice(5) === date.slice(5));
+
+// The hours a location keeps on a date ("YYYY-MM-DD", clinic-local). The
+// first match wins: a closure of the location, an override for that date, a
+// clinic-wide holiday, then the weekly hours. No intervals means closed.
+const getDaySchedule = (clinicInfo, location, date) => {
+  const hours = clinicInfo[location]?.openingHours || {};
+
+  const closure = (hours.closures || []).find((entry) => entry.startDate <= date && date <= entry.endDate);
+  if (closure) {
+    return { date, source: 'closure', reason: closure.reason || null, intervals: [] };
+  }
+
+  const override = (hours.overrides || []).find((entry) => entry.date === date);
+  if (override) {
+    return { date, source: 'override', reason: override.reason || null, intervals: mergeIntervals(override.intervals) };
+  }
+
+  const holiday = findHoliday(clinicInfo.holidays, date);
+  if (holiday) {
+    return { date, source: 'holiday', reason: holiday.name, intervals: mergeIntervals(holiday.intervals) };
+  }
+
+  const dayOfWeek = getDayOfWeek(date);
+  return {
+    date,
+    source: 'weekly',
+    reason: null,
+    intervals: mergeIntervals((hours.weekly || []).filter((entry) => entry.dayOfWeek === dayOfWeek))
+  };
+};
+
+// Start of the first interval that begins after `minutes` on `date`, looking
+// ahead day by day. Resolves to an ISO timestamp or null.
+const findNextOpening = (clinicInfo, location, date, minutes, timeZone) => {
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const day = addDays(date, offset);
+    const next = getDaySchedule(clinicInfo, location, day).intervals
+      .find((interval) => offset > 0 || timeToMinutes(interval.startTime) > minutes);
+    if (next) return zonedTimeToDate(day, timeToMinutes(next.startTime), timeZone).toISOString();
+  }
+  return null;
+};
+
+// Where an interval really closes: one that runs until 24:00 carries on
+// into a 00:00 interval on the next day (late-night hours)
+const findClosing = (clinicInfo, location, date, interval) => {
+  let closing = { date, minutes: timeToMinutes(interval.endTime) };
+  for (let offset = 1; offset <= LOOKAHEAD_DAYS && closing.minutes === MIDNIGHT; offset++) {
+    const next = getDaySchedule(clinicInfo, location, addDays(date, offset)).intervals[0];
+    if (!next || next.startTime !== '00:00') break;
+    closing = { date: addDays(date, offset), minutes: timeToMinutes(next.endTime) };
+  }
+  return closing;
+};
+
+// Whether a location is open at `now`, today's hours, when the current
+// interval closes and when the location next opens
+const getOpenStatus = (clinicInfo, location, now = new Date()) => {
+  const timeZone = getTimezone(clinicInfo);
+  const { date, minutes } = getZonedNow(timeZone, now);
+  const today = getDaySchedule(clinicInfo, location, date);
+
+  const current = today.intervals.find((interval) =>
+    timeToMinutes(interval.startTime) <= minutes && minutes < timeToMinutes(interval.endTime));
+  const closing = current ? findClosing(clinicInfo, location, date, current) : null;
+
+  return {
+    location,
+    isOpen: !!current,
+    source: today.source,
+    reason: today.reason,
+    today: today.intervals,
+    closesAt: closing ? zonedTimeToDate(closing.date, closing.minutes, timeZone).toISOString() : null,
+    nextOpensAt: closing
+      ? findNextOpening(clinicInfo, location, closing.date, closing.minutes, timeZone)
+      : findNextOpening(clinicInfo, location, date, minutes, timeZone)
+  };
+};
+
+module.exports = {
+  getTimezone,
+  getDaySchedule,
+  getOpenStatus
+};
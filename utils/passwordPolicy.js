@@ -0,0 +1,117 @@
+// Rules for new passwords, set by the owner in the security settings
+// (PUT /api/security-settings) and checked on every route that sets one
+const crypto = require('crypto');
+const SecuritySettings = require('../models/SecuritySettings');
+
+// bcrypt ignores everything past 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const BREACH_API_URL = 'https://api.pwnedpasswords.com/range/';
+const BREACH_API_TIMEOUT = 3000;
+
+// The most common passwords from public leak lists, lowercased. Checked with
+// and without trailing digits and symbols, so "Password123!" is caught too.
+const COMMON_PASSWORDS = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000', '123123', '654321',
+  '666666', '121212', '112233', '987654321', 'qwerty', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm',
+  '1q2w3e4r', '1qaz2wsx', 'qazwsx', 'password', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'admin', 'administrator',
+  'letmein', 'welcome', 'iloveyou', 'monkey', 'dragon', 'master', 'sunshine', 'princess', 'football',
+  'baseball', 'superman', 'batman', 'trustno1', 'shadow', 'michael', 'jennifer', 'hello', 'freedom',
+  'whatever', 'starwars', 'login', 'abc', 'abcdef', 'secret', 'changeme', 'default', 'guest', 'root',
+  'test', 'qwerty123', 'dentist', 'dental', 'clinic', 'doctor', 'smile'
+]);
+
+const getPasswordPolicy = async () => (await SecuritySettings.getSettings()).toObject().passwordPolicy;
+
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(lower.replace(/[\d\W_]+$/, ''));
+};
+
+// Pieces of the user's identity that shouldn't appear in their password
+const personalInfo = ({ username, email }) => [username, email && String(email).split('@')[0]]
+  .filter((value) => typeof value === 'string' && value.trim().length >= 3)
+  .map((value) => value.trim().toLowerCase());
+
+// k-anonymity lookup: only the first 5 characters of the SHA-1 leave the
+// server. Resolves to false when the service can't be reached.
+const isBreachedPassword = async (password) => {
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  try {
+    const response = await fetch(`${BREACH_API_URL}${hash.slice(0, 5)}`, {
+      headers: { 'Add-Padding': 'true' },
+      signal: AbortSignal.timeout(BREACH_API_TIMEOUT)
+    });
+    if (!response.ok) return false;
+
+    const suffix = hash.slice(5);
+    return (await response.text()).split('\n').some((line) => {
+      const [candidate, count] = line.trim().split(':');
+      return candidate === suffix && parseInt(count, 10) > 0;
+    });
+  } catch (error) {
+    console.error('Breached password check failed:', error.message);
+    return false;
+  }
+};
+
+// Every rule the password breaks, as { rule, msg }. The breach and reuse
+// checks only run once the cheap rules pass.
+const checkPassword = async (password, policy, { user, username, email } = {}) => {
+  const failures = [];
+  const fail = (rule, msg) => failures.push({ rule, msg });
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    fail('minLength', `Password must be at least ${policy.minLength} characters`);
+  }
+  password = typeof password === 'string' ? password : '';
+
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    fail('maxLength', `Password must be at most ${MAX_PASSWORD_BYTES} bytes`);
+  }
+  if (policy.requireLowercase && !/\p{Ll}/u.test(password)) {
+    fail('lowercase', 'Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/\p{Lu}/u.test(password)) {
+    fail('uppercase', 'Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    fail('number', 'Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^\p{L}\d]/u.test(password)) {
+    fail('symbol', 'Password must contain a symbol');
+  }
+  if (policy.disallowPersonalInfo) {
+    const lower = password.toLowerCase();
+    const identity = personalInfo({ username: username ?? user?.username, email: email ?? user?.email });
+    if (identity.some((value) => lower.includes(value))) {
+      fail('personalInfo', 'Password must not contain your username or email');
+    }
+  }
+  if (policy.rejectCommon && password && isCommonPassword(password)) {
+    fail('common', 'Password is too common');
+  }
+  if (failures.length > 0) return failures;
+
+  if (policy.rejectBreached && await isBreachedPassword(password)) {
+    fail('breached', 'Password has appeared in a data breach; please choose another');
+  }
+  if (user && policy.historySize > 0 && await user.isRecentPassword(password, policy.historySize)) {
+    fail('reused', `Password must not match any of your last ${policy.historySize} passwords`);
+  }
+  return failures;
+};
+
+// Check a password against the current policy. Resolves to errors shaped like
+// express-validator's, plus the `rule` broken, or an empty array.
+const validatePassword = async (password, { path = 'password', user, username, email } = {}) => {
+  const policy = await getPasswordPolicy();
+  const failures = await checkPassword(password, policy, { user, username, email });
+  return failures.map(({ rule, msg }) => ({ type: 'field', location: 'body', path, rule, msg }));
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  validatePassword
+};
@@ -0,0 +1,55 @@
+// Draft/publish workflow shared by blogs and services
+const { hasPermission } = require('../config/roles');
+
+const PUBLICATION_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Documents created before the workflow existed have no status and count as published
+const publishedFilter = () => ({
+  isActive: true,
+  status: { $in: ['published', null] }
+});
+
+// Staff who can edit the content type see every status (optionally narrowed
+// with ?status=); everyone else only sees published, active documents
+const visibilityFilter = (req, permission) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return publishedFilter();
+  }
+
+  const { status } = req.query;
+  if (!PUBLICATION_STATUSES.includes(status)) return {};
+  return { status: status === 'published' ? { $in: ['published', null] } : status };
+};
+
+// Work out the publication fields for a requested status change.
+// Returns { error } when the request is invalid.
+const resolvePublication = (status, publishAt, now = new Date()) => {
+  if (!PUBLICATION_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${PUBLICATION_STATUSES.join(', ')}` };
+  }
+
+  if (status === 'scheduled') {
+    const date = new Date(publishAt);
+    if (!publishAt || isNaN(date)) {
+      return { error: 'publishAt must be a valid date when scheduling' };
+    }
+    // A time in the past simply publishes now
+    if (date <= now) {
+      return { fields: { status: 'published', publishAt: date, publishedAt: now } };
+    }
+    return { fields: { status: 'scheduled', publishAt: date, publishedAt: null } };
+  }
+
+  if (status === 'published') {
+    return { fields: { status, publishAt: null, publishedAt: now } };
+  }
+
+  return { fields: { status, publishAt: null } };
+};
+
+module.exports = {
+  PUBLICATION_STATUSES,
+  publishedFilter,
+  visibilityFilter,
+  resolvePublication
+};
@@ -0,0 +1,85 @@
+// Content revision history for blogs and services
+const Revision = require('../models/Revision');
+const { diffObjects, omitFields } = require('./diff');
+
+// Content fields captured in each revision, per model
+const REVISION_FIELDS = {
+  Blog: ['cardInfo', 'blogContent'],
+  Service: ['cardInfo', 'serviceBlog']
+};
+
+// Images are replaced through the upload endpoints and are not rolled back
+const EXCLUDED_FIELDS = ['cardInfo.image', 'blogContent.heroImage', 'serviceBlog.heroImage'];
+
+const takeSnapshot = (doc) => {
+  const plain = doc.toObject();
+  const content = {};
+  for (const field of REVISION_FIELDS[doc.constructor.modelName]) {
+    content[field] = plain[field];
+  }
+  return omitFields(content, EXCLUDED_FIELDS);
+};
+
+const latestRevision = (doc) => Revision.findOne({ model: doc.constructor.modelName, documentId: doc._id })
+  .sort({ version: -1 });
+
+const createRevision = async (doc, fields) => {
+  try {
+    return await Revision.create({ model: doc.constructor.modelName, documentId: doc._id, ...fields });
+  } catch (error) {
+    // Two saves raced for the same version number; take the next one
+    if (error.code !== 11000) throw error;
+    const latest = await latestRevision(doc);
+    return Revision.create({ model: doc.constructor.modelName, documentId: doc._id, ...fields, version: latest.version + 1 });
+  }
+};
+
+// Store the document's current content as a new revision.
+// `previous` is the document before the change; it becomes a baseline
+// revision when the document has no history yet. Updates that leave the
+// content unchanged are not recorded. Resolves to the revision or null.
+const recordRevision = async (doc, { action, userId, previous, restoredFrom }) => {
+  const content = takeSnapshot(doc);
+  let latest = await latestRevision(doc);
+
+  if (!latest && previous) {
+    latest = await createRevision(doc, {
+      version: 1,
+      action: 'baseline',
+      content: takeSnapshot(previous),
+      changedFields: []
+    });
+  }
+
+  const changedFields = latest ? diffObjects(latest.content, content).map((change) => change.field) : [];
+  if (action === 'update' && latest && changedFields.length === 0) return null;
+
+  return createRevision(doc, {
+    version: latest ? latest.version + 1 : 1,
+    action,
+    restoredFrom,
+    content,
+    changedFields,
+    createdBy: userId
+  });
+};
+
+// Field-level diff between two revisions of a document
+const diffRevisions = (from, to) => diffObjects(from.content, to.content);
+
+// Copy a revision's content onto the document (not saved). Fields that
+// revisions do not track, such as images, keep their current values.
+const applyRevision = (doc, revision) => {
+  for (const field of REVISION_FIELDS[doc.constructor.modelName]) {
+    for (const [key, value] of Object.entries(revision.content[field] || {})) {
+      doc.set(`${field}.${key}`, value);
+    }
+  }
+  return doc;
+};
+
+module.exports = {
+  recordRevision,
+  diffRevisions,
+  applyRevision
+};
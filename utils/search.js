@@ -0,0 +1,73 @@
+// Helpers for building search result snippets
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and "quoted phrases" from a $text search string, ignoring -negated terms
+const extractTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) terms.push(term.toLowerCase());
+  }
+  return [...new Set(terms)];
+};
+
+// Matches a term at the start of a word, so "whiten" also marks "whitening"
+const termsRegex = (terms, flags = 'gi') => new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, flags);
+
+// Pick the text that mentions the search terms most and cut a window around
+// the first hit. Matches are wrapped in <mark>; the rest is HTML-escaped.
+const buildSnippet = (texts, terms, length = SNIPPET_LENGTH) => {
+  const candidates = texts.filter((text) => typeof text === 'string' && text.trim());
+  if (candidates.length === 0) return '';
+  if (terms.length === 0) return escapeHtml(candidates[0].slice(0, length));
+
+  let best = candidates[0];
+  let bestHits = 0;
+  for (const text of candidates) {
+    const hits = (text.match(termsRegex(terms)) || []).length;
+    if (hits > bestHits) {
+      best = text;
+      bestHits = hits;
+    }
+  }
+
+  const firstHit = bestHits > 0 ? best.search(termsRegex(terms, 'i')) : 0;
+  let start = Math.max(0, firstHit - Math.floor(length / 3));
+  // Don't start in the middle of a word
+  if (start > 0) {
+    const space = best.indexOf(' ', start);
+    start = space !== -1 && space < firstHit ? space + 1 : start;
+  }
+  const end = Math.min(best.length, start + length);
+
+  const window = best.slice(start, end);
+  const pattern = termsRegex(terms);
+  let snippet = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(window)) !== null) {
+    snippet += `${escapeHtml(window.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < best.length ? '…' : ''}`;
+};
+
+module.exports = {
+  extractTerms,
+  buildSnippet
+};
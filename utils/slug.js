@@ -0,0 +1,50 @@
+// URL slugs for blogs and services
+
+const MAX_SLUG_LENGTH = 80;
+
+const slugify = (text) => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'item';
+};
+
+// Current and retired slugs share one namespace so old URLs keep redirecting
+// to the document that owned them. Collisions get a numeric suffix. Trashed
+// documents keep their slugs so they can be restored.
+const generateUniqueSlug = async (Model, title, excludeId) => {
+  const base = slugify(title);
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  let candidate = base;
+  let suffix = 2;
+  while (await Model.exists({ ...exclude, $or: [{ slug: candidate }, { slugHistory: candidate }] }).setOptions({ withDeleted: true })) {
+    candidate = `${base}-${suffix++}`;
+  }
+  return candidate;
+};
+
+// Slug fields to $set when a document's title changes (empty if unchanged)
+const buildSlugUpdate = async (Model, existing, title) => {
+  if (!title || (existing.slug && title === existing.cardInfo.title)) return {};
+
+  const slug = await generateUniqueSlug(Model, title, existing._id);
+  if (slug === existing.slug) return {};
+
+  const history = (existing.slugHistory || []).filter((old) => old !== slug);
+  if (existing.slug) history.push(existing.slug);
+
+  return { slug, slugHistory: history };
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+  buildSlugUpdate
+};
@@ -0,0 +1,77 @@
+// Mongoose plugin that turns deletes into a trash state.
+//
+// Trashed documents carry deletedAt/deletedBy and are hidden from every query
+// unless the query opts in with `.setOptions({ withDeleted: true })` or
+// filters on `deletedAt` itself. jobs/purgeTrash.js removes them for good
+// once the retention period has passed.
+//
+// `assetPaths` lists the subdocuments holding uploaded files
+// ({ public_id, url }) that should be destroyed when the document is purged.
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'updateOne',
+  'updateMany'
+];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const softDeletePlugin = (schema, { assetPaths = [] } = {}) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  const assets = assetPaths.map((asset) => (typeof asset === 'string' ? { path: asset, resourceType: 'image' } : asset));
+
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    // $geoNear and $text searches must stay the first stage
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    const mustStayFirst = first && (first.$geoNear || (first.$match && first.$match.$text));
+    pipeline.splice(mustStayFirst ? 1 : 0, 0, { $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+
+  // Uploaded files to destroy when the document is purged
+  schema.methods.getAssets = function() {
+    return assets
+      .map(({ path, resourceType }) => ({ publicId: getPath(this, path)?.public_id, resourceType }))
+      .filter((asset) => asset.publicId);
+  };
+};
+
+module.exports = softDeletePlugin;
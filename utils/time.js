@@ -0,0 +1,93 @@
+// Helpers for clinic-local dates ("YYYY-MM-DD") and times ("HH:mm")
+
+const getClinicTimezone = () => process.env.CLINIC_TIMEZONE || 'UTC';
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// 0 = Sunday ... 6 = Saturday
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const isValidDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+};
+
+const addDays = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getZonedParts = (timeZone, now) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+// Current date and minute-of-day as seen on the clinic wall clock
+const getZonedNow = (timeZone = getClinicTimezone(), now = new Date()) => {
+  const parts = getZonedParts(timeZone, now);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// The instant a wall-clock date and minute-of-day happen in a timezone.
+// Around DST changes, repeated times resolve to their first occurrence and
+// skipped times to the same distance past the jump (02:30 -> 03:30).
+const zonedTimeToDate = (date, minutes, timeZone = getClinicTimezone()) => {
+  const HOUR = 60 * 60 * 1000;
+  const wallClock = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60 * 1000;
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(timeZone, new Date(instant));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUtc - Math.floor(instant / 60000) * 60000;
+  };
+
+  const before = offsetAt(wallClock - 12 * HOUR);
+  const after = offsetAt(wallClock + 12 * HOUR);
+  for (const offset of [before, after]) {
+    if (offsetAt(wallClock - offset) === offset) return new Date(wallClock - offset);
+  }
+  return new Date(wallClock - before);
+};
+
+module.exports = {
+  getClinicTimezone,
+  timeToMinutes,
+  minutesToTime,
+  getDayOfWeek,
+  isValidDate,
+  addDays,
+  isValidTimeZone,
+  getZonedNow,
+  zonedTimeToDate
+};
@@ -0,0 +1,125 @@
+// Access and refresh tokens for staff sessions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const getAccessTokenExpiry = () => process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const getRefreshTokenTtl = () => (parseInt(process.env.REFRESH_TOKEN_DAYS) || 30) * DAY;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT. `tv` ties it to the user's tokenVersion so bumping the
+// version revokes every access token already handed out; `sid` ties it to
+// the refresh token family so logging out one session revokes it as well.
+const generateAccessToken = (user, sessionId) => {
+  const payload = { id: user._id, role: user.role, tv: user.tokenVersion || 0 };
+  if (sessionId) payload.sid = sessionId;
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpiry()
+  });
+};
+
+const issueRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl()),
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')?.slice(0, 500)
+  });
+  return token;
+};
+
+// Body fields returned by login and refresh
+const createSession = async (user, req, family = crypto.randomUUID()) => ({
+  token: generateAccessToken(user, family),
+  refreshToken: await issueRefreshToken(user, req, family),
+  expiresIn: getAccessTokenExpiry()
+});
+
+// Whether the session an access token belongs to is still open
+const isSessionActive = (sessionId) => RefreshToken.exists({
+  family: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Swap a refresh token for a new access/refresh pair.
+// Returns { error } when the token cannot be used.
+const rotateRefreshToken = async (token, req) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (existing.revokedAt) {
+    // A token that was already exchanged is being replayed: whoever holds
+    // the newer token may be an attacker, so end the whole session
+    if (existing.revokedReason === 'rotated') {
+      await revokeFamily(existing.family, 'reuse-detected');
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (existing.expiresAt <= Date.now()) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  const user = await User.findById(existing.user).select('role isActive tokenVersion');
+  if (!user || !user.isActive) {
+    await revokeFamily(existing.family, 'logout');
+    return { error: 'Invalid refresh token' };
+  }
+
+  // Claim the token atomically so two concurrent requests can't both rotate it
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeFamily(existing.family, 'reuse-detected');
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  return { user, session: await createSession(user, req, existing.family) };
+};
+
+// Log out a single session (the refresh token's family)
+const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) }).select('family user');
+  if (!existing) return null;
+
+  await revokeFamily(existing.family, 'logout');
+  return existing;
+};
+
+// Log out everywhere: revoke all refresh tokens and invalidate outstanding access tokens
+const revokeAllSessions = async (userId, reason = 'logout-all') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  isSessionActive,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,32 @@
+// Mongoose plugin that adds per-field translations to a model.
+//
+// `fields` lists the paths that can be translated. Each non-default locale
+// gets an entry in the `translations` map shaped like the document itself,
+// e.g. translations.es.cardInfo.title. The copies keep the original field
+// validation (trim, maxLength, paragraph shape) but are never required, so a
+// translation can be filled in one field at a time.
+const mongoose = require('mongoose');
+
+const translationsPlugin = (schema, { fields }) => {
+  const definition = {};
+  for (const path of fields) {
+    const type = schema.path(path);
+    if (type.schema) {
+      definition[path] = [type.schema];
+    } else {
+      const { required, ...options } = type.options;
+      definition[path] = options;
+    }
+  }
+
+  schema.add({
+    translations: {
+      type: Map,
+      of: new mongoose.Schema(definition, { _id: false })
+    }
+  });
+
+  schema.statics.translatableFields = fields;
+};
+
+module.exports = translationsPlugin;
@@ -0,0 +1,49 @@
+// Trash bin shared by routes/trash.js and jobs/purgeTrash.js
+const { CONTENT_TYPES } = require('./contentTypes');
+const Revision = require('../models/Revision');
+const { deleteImage, deleteVideo } = require('../storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Every content type supports soft delete
+const TRASH_TYPES = CONTENT_TYPES;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 30;
+};
+
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getRetentionDays() * DAY);
+
+const toTrashItem = (type, doc) => ({
+  type,
+  id: doc._id,
+  title: TRASH_TYPES[type].title(doc) || null,
+  deletedAt: doc.deletedAt,
+  deletedBy: doc.deletedBy || null,
+  purgeAt: getPurgeDate(doc.deletedAt)
+});
+
+// Remove a trashed document for good. The record goes first so a storage
+// outage can only leave orphaned files behind, never records pointing at
+// missing ones.
+const purgeDocument = async (doc) => {
+  await doc.constructor.deleteOne({ _id: doc._id });
+  await Revision.deleteMany({ model: doc.constructor.modelName, documentId: doc._id });
+
+  for (const { publicId, resourceType } of doc.getAssets()) {
+    try {
+      await (resourceType === 'video' ? deleteVideo(publicId) : deleteImage(publicId));
+    } catch (error) {
+      console.error(`❌ Failed to delete ${resourceType} ${publicId} from storage:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  getPurgeDate,
+  toTrashItem,
+  purgeDocument
+};
@@ -0,0 +1,101 @@
+// Two-factor authentication helpers shared by the auth and user routes
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const { verifyCode } = require('./totp');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRY = '10m';
+
+const CHALLENGE_PURPOSES = {
+  login: '2fa-login',
+  setup: '2fa-setup'
+};
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Dental Clinic Admin';
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+// One-time recovery codes such as "3f9a-c21b". Only hashes are stored.
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const isTwoFactorRequired = async (role) => {
+  const settings = await SecuritySettings.getSettings();
+  return settings.twoFactorRequiredRoles.includes(role);
+};
+
+// Short-lived token proving the password step of a login succeeded. It is
+// only accepted by the 2FA endpoints, never as an access token.
+const createChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user._id, purpose, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRY
+  });
+};
+
+// Returns the active user the challenge was issued to, or null
+const verifyChallengeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== purpose) return null;
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive || (decoded.tv || 0) !== (user.tokenVersion || 0)) return null;
+  return user;
+};
+
+// Check a TOTP or backup code for a user with 2FA enabled. Accepted codes are
+// consumed atomically, so each works only once.
+// Resolves to { method, backupCodesRemaining } or null.
+const verifyTwoFactorCode = async (userId, code) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step !== null) {
+    const accepted = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return accepted.modifiedCount === 1
+      ? { method: 'totp', backupCodesRemaining: user.twoFactor.backupCodes.length }
+      : null;
+  }
+
+  const hash = hashBackupCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } },
+    { new: true }
+  ).select('+twoFactor.backupCodes');
+  if (!updated) return null;
+
+  return { method: 'backup-code', backupCodesRemaining: updated.twoFactor.backupCodes.length };
+};
+
+module.exports = {
+  CHALLENGE_PURPOSES,
+  getIssuer,
+  generateBackupCodes,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTwoFactorCode
+};